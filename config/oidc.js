@@ -0,0 +1,75 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 5500}`;
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+// Local mock identity provider for offline development and testing
+export const MOCK_OIDC_ENABLED = process.env.OIDC_MOCK_ENABLED === 'true' &&
+  process.env.NODE_ENV !== 'production';
+export const MOCK_OIDC_CLIENT_ID = 'bloodlink-mock-client';
+export const MOCK_OIDC_CLIENT_SECRET = 'bloodlink-mock-secret';
+export const MOCK_OIDC_ISSUER = `${API_URL}/api/dev/oidc`;
+
+/**
+ * Build the list of configured OpenID Connect providers.
+ * Google is configured with GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET; any other
+ * provider can be added through OIDC_PROVIDERS as a JSON array of
+ * {name, issuer, clientId, clientSecret, scope}.
+ * @returns {object} name -> provider config
+ */
+const loadProviders = () => {
+  const providers = {};
+
+  if (process.env.GOOGLE_CLIENT_ID) {
+    providers.google = {
+      name: 'google',
+      issuer: 'https://accounts.google.com',
+      clientId: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET
+    };
+  }
+
+  if (process.env.OIDC_PROVIDERS) {
+    try {
+      JSON.parse(process.env.OIDC_PROVIDERS).forEach(provider => {
+        providers[provider.name] = provider;
+      });
+    } catch (error) {
+      console.error('Invalid OIDC_PROVIDERS configuration:', error.message);
+    }
+  }
+
+  if (MOCK_OIDC_ENABLED) {
+    providers.mock = {
+      name: 'mock',
+      issuer: MOCK_OIDC_ISSUER,
+      clientId: MOCK_OIDC_CLIENT_ID,
+      clientSecret: MOCK_OIDC_CLIENT_SECRET
+    };
+  }
+
+  Object.values(providers).forEach(provider => {
+    provider.scope = provider.scope || 'openid email profile';
+    // The frontend receives the redirect and posts the code back to the API
+    provider.redirectUri = provider.redirectUri || `${CLIENT_URL}/oauth/callback/${provider.name}`;
+  });
+
+  return providers;
+};
+
+const providers = loadProviders();
+
+/**
+ * Get a configured provider by name
+ * @param {string} name
+ * @returns {object|null}
+ */
+export const getOidcProvider = (name) => providers[name] || null;
+
+/**
+ * Get the names of all configured providers
+ * @returns {Array}
+ */
+export const getOidcProviderNames = () => Object.keys(providers);
@@ -1,6 +1,9 @@
 import { socketStore } from '../utils/socketStore.js';
 
 const setupSocket = (io) => {
+  // Let background jobs and controllers reach connected clients
+  socketStore.setServer(io);
+
   // Socket.io connection handler
   io.on('connection', (socket) => {
     console.log(`Socket connected: ${socket.id}`);
@@ -0,0 +1,194 @@
+import bcrypt from 'bcrypt';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import Donation from '../models/Donation.js';
+import Message from '../models/Message.js';
+import Notification from '../models/Notification.js';
+import Camp from '../models/Camp.js';
+import Session from '../models/Session.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { notifyUser } from '../utils/notify.js';
+import { verifyTotp } from '../utils/totp.js';
+
+// Days between a deletion request and the account being anonymised
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+// How recent a provider login has to be to count as re-authentication
+const REAUTH_WINDOW_MS = 10 * 60000;
+
+/**
+ * Make sure the user has just proven who they are: with their password, a
+ * two-factor code, or - for accounts that log in through a provider and have
+ * no password they know - a login in the last few minutes
+ * @param {object} user - User document with the two-factor secret selected
+ * @param {object} req - Express request
+ */
+const confirmReauthentication = async (user, req) => {
+  const { password, code } = req.body;
+
+  if (password) {
+    if (!await bcrypt.compare(password, user.password)) {
+      throw new AppError('Password is incorrect', 401);
+    }
+    return;
+  }
+
+  if (code) {
+    const step = user.twoFactor?.enabled ? verifyTotp(user.twoFactor.secret, code) : null;
+    if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+      throw new AppError('Invalid two-factor code', 401);
+    }
+    user.twoFactor.lastUsedStep = step;
+    return;
+  }
+
+  if (user.oidcIdentities?.length > 0 && req.tokenPayload?.sid) {
+    const session = await Session.findById(req.tokenPayload.sid);
+    if (session?.isActive && Date.now() - session.createdAt < REAUTH_WINDOW_MS) {
+      return;
+    }
+  }
+
+  throw new AppError(
+    user.oidcIdentities?.length > 0
+      ? 'Please confirm with your password or a two-factor code, or log in with your provider again'
+      : 'Please provide your password to confirm',
+    400
+  );
+};
+
+/**
+ * Download a copy of all personal data held for the current user
+ * @route GET /api/auth/account/export
+ * @access Private
+ */
+export const exportAccountData = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+loginHistory +knownDevices');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const [requests, donations, messages, notifications, camps] = await Promise.all([
+    Request.find({ requester: user._id }).sort({ createdAt: -1 }).lean(),
+    Donation.find({ $or: [{ donor: user._id }, { requester: user._id }] })
+      .sort({ createdAt: -1 })
+      .lean(),
+    Message.find({ sender: user._id })
+      .select('chat content contentType createdAt')
+      .sort({ createdAt: -1 })
+      .lean(),
+    Notification.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+    Camp.find({ 'participants.user': user._id })
+      .select('title startDate endDate address status')
+      .lean()
+  ]);
+
+  const profile = user.getPublicProfile();
+
+  const archive = {
+    exportedAt: new Date().toISOString(),
+    profile,
+    loginHistory: user.loginHistory || [],
+    knownDevices: (user.knownDevices || []).map(device => ({
+      userAgent: device.userAgent,
+      lastIp: device.lastIp,
+      firstSeenAt: device.firstSeenAt,
+      lastSeenAt: device.lastSeenAt
+    })),
+    requests,
+    donations,
+    messages,
+    notifications,
+    camps
+  };
+
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="bloodlink-data-${user._id}.json"`
+  );
+  res.status(200).json({
+    success: true,
+    data: archive
+  });
+});
+
+/**
+ * Schedule the current user's account for deletion after a grace period
+ * @route POST /api/auth/account/delete
+ * @access Private
+ */
+export const requestAccountDeletion = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const user = await User.findById(req.user.id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.hasRole('admin')) {
+    throw new AppError('Admin accounts cannot be deleted through self-service', 403);
+  }
+
+  if (user.deletion?.scheduledFor) {
+    throw new AppError('Account deletion is already scheduled', 400);
+  }
+
+  await confirmReauthentication(user, req);
+
+  const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 3600000);
+
+  user.deletion = {
+    requestedAt: new Date(),
+    scheduledFor,
+    reason
+  };
+  // Stop appearing in donor searches during the grace period
+  user.isAvailable = false;
+  user.updatedAt = new Date();
+  await user.save();
+
+  await notifyUser(user, {
+    title: 'Account deletion scheduled',
+    message: `Your account will be permanently deleted on ${scheduledFor.toDateString()}. You can cancel this from your account settings until then.`,
+    type: 'system',
+    actionUrl: '/settings/account',
+    details: {
+      scheduledFor
+    }
+  }, Notification);
+
+  res.status(200).json({
+    success: true,
+    message: `Account scheduled for deletion in ${DELETION_GRACE_DAYS} days`,
+    data: {
+      scheduledFor
+    }
+  });
+});
+
+/**
+ * Cancel a pending account deletion
+ * @route POST /api/auth/account/delete/cancel
+ * @access Private
+ */
+export const cancelAccountDeletion = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!user.deletion?.scheduledFor) {
+    throw new AppError('No account deletion is scheduled', 400);
+  }
+
+  user.deletion = undefined;
+  user.updatedAt = new Date();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Account deletion cancelled'
+  });
+});
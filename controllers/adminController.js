@@ -0,0 +1,782 @@
+import crypto from 'crypto';
+import User, { CREDENTIALED_ROLES } from '../models/User.js';
+import Request from '../models/Request.js';
+import Donation from '../models/Donation.js';
+import Camp from '../models/Camp.js';
+import Notification from '../models/Notification.js';
+import Setting, { SETTING_DEFINITIONS } from '../models/Setting.js';
+import AuditLog from '../models/AuditLog.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { notifyUser } from '../utils/notify.js';
+import { revokeAllUserTokens, revokeAccessToken } from '../utils/authTokens.js';
+import { generateToken, verifyToken } from '../utils/tokenUtils.js';
+import { recordAudit } from '../utils/auditLog.js';
+import { sendPasswordResetEmail } from '../utils/authEmails.js';
+import { validateRoleList } from '../utils/roles.js';
+
+const ADMIN_USER_FIELDS = '-password -resetPasswordToken -resetPasswordExpires -fcmToken';
+const IMPERSONATION_EXPIRES_IN = process.env.IMPERSONATION_EXPIRES_IN || '15m';
+
+/**
+ * Get doctor and NGO credential applications
+ * @route GET /api/admin/credentials
+ * @access Private (Admin only)
+ */
+export const getCredentialApplications = asyncHandler(async (req, res) => {
+  const { 
+    status = 'pending', 
+    role, 
+    page = 1, 
+    limit = 20 
+  } = req.query;
+  
+  // Build query - each doctor or NGO role is reviewed on its own
+  const reviewRole = role || { $in: CREDENTIALED_ROLES };
+  const withStatus = { credentials: { $elemMatch: { role: reviewRole, status } } };
+  const query = {
+    roles: reviewRole,
+    // Accounts created before credential review have no entry yet and still await one
+    ...(status === 'pending'
+      ? { $or: [withStatus, { credentials: { $not: { $elemMatch: { role: reviewRole } } } }] }
+      : withStatus)
+  };
+  
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  const applications = await User.find(query)
+    .select('name email phone role roles hospitalId hospitalName ngoId ngoName credentials createdAt')
+    .populate('credentials.reviewedBy', 'name email')
+    .sort({ 'credentials.submittedAt': 1, createdAt: 1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+  
+  const total = await User.countDocuments(query);
+  
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+    currentPage: parseInt(page),
+    data: applications
+  });
+});
+
+/**
+ * Find a doctor or NGO account awaiting a credential decision
+ * @param {string} userId
+ * @returns {object} User document
+ */
+const findCredentialApplicant = async (userId) => {
+  const user = await User.findById(userId);
+  
+  if (!user || !CREDENTIALED_ROLES.some(role => user.hasRole(role))) {
+    throw new AppError('Doctor or NGO account not found', 404);
+  }
+  
+  return user;
+};
+
+/**
+ * Find the review of the doctor or NGO role a decision is about
+ * @param {object} user - User document
+ * @param {string} role - Role to review; may be left out when the user holds only one
+ * @returns {object} Credential subdocument
+ */
+const findRoleCredential = (user, role) => {
+  const heldRoles = CREDENTIALED_ROLES.filter(r => user.hasRole(r));
+  
+  if (!role && heldRoles.length > 1) {
+    throw new AppError(`Please specify which role to review: ${heldRoles.join(', ')}`, 400);
+  }
+  
+  const reviewRole = role || heldRoles[0];
+  if (!heldRoles.includes(reviewRole)) {
+    throw new AppError(`User does not hold the '${reviewRole}' role`, 400);
+  }
+  
+  // Accounts not yet moved to per-role review get their entry now
+  return user.getCredential(reviewRole) || user.submitCredential(reviewRole);
+};
+
+/**
+ * Approve doctor or NGO credentials. For doctors the admin confirms the
+ * hospital they work at (hospitalName, defaulting to the one they gave),
+ * which decides whose requests they may endorse.
+ * @route PUT /api/admin/credentials/:userId/approve
+ * @access Private (Admin only)
+ */
+export const approveCredentials = asyncHandler(async (req, res) => {
+  const user = await findCredentialApplicant(req.params.userId);
+  const credential = findRoleCredential(user, req.body.role);
+  
+  if (credential.status === 'approved') {
+    throw new AppError(`The ${credential.role} credentials are already approved`, 400);
+  }
+  
+  if (credential.role === 'doctor') {
+    const hospitalName = String(req.body.hospitalName || user.hospitalName || '').trim();
+    if (!hospitalName) {
+      throw new AppError('Please confirm the name of the hospital this doctor works at', 400);
+    }
+    user.hospitalName = hospitalName;
+    credential.hospitalName = hospitalName;
+  }
+  
+  credential.status = 'approved';
+  credential.reviewedBy = req.user.id;
+  credential.reviewedAt = new Date();
+  credential.reason = req.body.reason || '';
+  user.updatedAt = new Date();
+  await user.save();
+  
+  // Notify applicant
+  const notificationData = {
+    title: 'Credentials Approved',
+    message: `Your ${credential.role === 'doctor' ? 'doctor' : 'NGO'} credentials have been approved. You now have full access to that role.`,
+    type: 'verification',
+    actionUrl: '/profile',
+    details: {
+      userId: user._id
+    }
+  };
+  
+  await notifyUser(user, notificationData, Notification);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Credentials approved successfully',
+    data: {
+      id: user._id,
+      role: credential.role,
+      credentialStatus: credential.status,
+      credential
+    }
+  });
+});
+
+/**
+ * Reject doctor or NGO credentials
+ * @route PUT /api/admin/credentials/:userId/reject
+ * @access Private (Admin only)
+ */
+export const rejectCredentials = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  
+  if (!reason) {
+    throw new AppError('Please provide a reason for rejection', 400);
+  }
+  
+  const user = await findCredentialApplicant(req.params.userId);
+  const credential = findRoleCredential(user, req.body.role);
+  
+  credential.status = 'rejected';
+  credential.reviewedBy = req.user.id;
+  credential.reviewedAt = new Date();
+  credential.reason = reason;
+  user.updatedAt = new Date();
+  await user.save();
+  
+  // Notify applicant
+  const notificationData = {
+    title: 'Credentials Rejected',
+    message: `Your ${credential.role === 'doctor' ? 'doctor' : 'NGO'} credentials could not be approved. Reason: ${reason}`,
+    type: 'verification',
+    actionUrl: '/profile',
+    details: {
+      userId: user._id,
+      reason
+    }
+  };
+  
+  await notifyUser(user, notificationData, Notification);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Credentials rejected',
+    data: {
+      id: user._id,
+      role: credential.role,
+      credentialStatus: credential.status,
+      credential
+    }
+  });
+});
+
+/**
+ * Get all admin-configurable settings
+ * @route GET /api/admin/settings
+ * @access Private (Admin only)
+ */
+export const getSettings = asyncHandler(async (req, res) => {
+  const settings = await Promise.all(
+    Object.entries(SETTING_DEFINITIONS).map(async ([key, definition]) => ({
+      key,
+      description: definition.description,
+      value: await Setting.getValue(key),
+      default: definition.default
+    }))
+  );
+  
+  res.status(200).json({
+    success: true,
+    count: settings.length,
+    data: settings
+  });
+});
+
+/**
+ * Update a setting
+ * @route PUT /api/admin/settings/:key
+ * @access Private (Admin only)
+ */
+export const updateSetting = asyncHandler(async (req, res) => {
+  const { key } = req.params;
+  const { value } = req.body;
+  const definition = SETTING_DEFINITIONS[key];
+  
+  if (!definition) {
+    throw new AppError(`Unknown setting: ${key}`, 404);
+  }
+  
+  if (value === undefined || !definition.validate(value)) {
+    throw new AppError(`Invalid value for setting: ${key}`, 400);
+  }
+  
+  const setting = await Setting.setValue(key, value, req.user.id);
+  
+  res.status(200).json({
+    success: true,
+    message: 'Setting updated successfully',
+    data: {
+      key: setting.key,
+      value: setting.value,
+      updatedAt: setting.updatedAt
+    }
+  });
+});
+
+/**
+ * Search users
+ * @route GET /api/admin/users
+ * @access Private (Admin only)
+ */
+export const getUsers = asyncHandler(async (req, res) => {
+  const { 
+    role, 
+    bloodGroup, 
+    isVerified, 
+    isActive, 
+    credentialStatus,
+    search,
+    page = 1, 
+    limit = 20 
+  } = req.query;
+  
+  // Build query
+  const query = {};
+  
+  if (role) query.roles = role;
+  if (bloodGroup) query.bloodGroup = bloodGroup;
+  if (credentialStatus) query['credentials.status'] = credentialStatus;
+  if (isVerified !== undefined) query.isVerified = isVerified === 'true';
+  if (isActive !== undefined) query.isActive = isActive === 'true';
+  
+  // Match name, email or phone
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [
+      { name: pattern },
+      { email: pattern },
+      { phone: pattern }
+    ];
+  }
+  
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  const users = await User.find(query)
+    .select(ADMIN_USER_FIELDS)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+  
+  const total = await User.countDocuments(query);
+  
+  res.status(200).json({
+    success: true,
+    count: users.length,
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+    currentPage: parseInt(page),
+    data: users
+  });
+});
+
+/**
+ * Get user by ID
+ * @route GET /api/admin/users/:id
+ * @access Private (Admin only)
+ */
+export const getUserById = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id)
+    .select(ADMIN_USER_FIELDS)
+    .populate('deactivation.by', 'name email');
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  res.status(200).json({
+    success: true,
+    data: user
+  });
+});
+
+/**
+ * Find a user an admin is about to change, refusing changes to their own account
+ * @param {object} req - Express request
+ * @returns {object} User document
+ */
+const findManagedUser = async (req) => {
+  if (req.params.id === req.user.id.toString()) {
+    throw new AppError('You cannot perform this action on your own account', 400);
+  }
+  
+  const user = await User.findById(req.params.id);
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  return user;
+};
+
+/**
+ * Deactivate a user account
+ * @route PUT /api/admin/users/:id/deactivate
+ * @access Private (Admin only)
+ */
+export const deactivateUser = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  const user = await findManagedUser(req);
+  
+  if (!user.isActive) {
+    throw new AppError('User is already deactivated', 400);
+  }
+  
+  user.isActive = false;
+  user.isAvailable = false;
+  user.deactivation = {
+    reason: reason || '',
+    by: req.user.id,
+    at: new Date()
+  };
+  user.updatedAt = new Date();
+  await user.save();
+  
+  // Sign the user out everywhere
+  await revokeAllUserTokens(user._id, 'deactivated');
+  
+  res.status(200).json({
+    success: true,
+    message: 'User deactivated successfully',
+    data: {
+      id: user._id,
+      isActive: user.isActive,
+      deactivation: user.deactivation
+    }
+  });
+});
+
+/**
+ * Reactivate a user account
+ * @route PUT /api/admin/users/:id/reactivate
+ * @access Private (Admin only)
+ */
+export const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findManagedUser(req);
+  
+  if (user.isActive) {
+    throw new AppError('User is already active', 400);
+  }
+  
+  user.isActive = true;
+  user.deactivation = undefined;
+  user.updatedAt = new Date();
+  await user.save();
+  
+  // Notify user
+  const notificationData = {
+    title: 'Account Reactivated',
+    message: 'Your BloodLink account has been reactivated. You can log in again.',
+    type: 'system',
+    actionUrl: '/login'
+  };
+  
+  try {
+    await notifyUser(user, notificationData, Notification);
+  } catch (error) {
+    console.error('Error notifying reactivated user:', error);
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: 'User reactivated successfully',
+    data: {
+      id: user._id,
+      isActive: user.isActive
+    }
+  });
+});
+
+/**
+ * Change the roles a user holds
+ * @route PUT /api/admin/users/:id/role
+ * @access Private (Admin only)
+ */
+export const changeUserRole = asyncHandler(async (req, res) => {
+  const { role, roles, bloodGroup, hospitalId, hospitalName, ngoId } = req.body;
+  
+  // Either the full list of roles, or a single role replacing all of them
+  const newRoles = Array.isArray(roles) && roles.length > 0 ? roles : (role ? [role] : []);
+  
+  const roleError = validateRoleList(newRoles);
+  if (roleError) {
+    throw new AppError(roleError, 400);
+  }
+  
+  const user = await findManagedUser(req);
+  const previousRoles = user.getRoles();
+  
+  if (previousRoles.length === newRoles.length && newRoles.every(r => previousRoles.includes(r))) {
+    throw new AppError(`User already has the roles: ${newRoles.join(', ')}`, 400);
+  }
+  
+  // Role-specific fields may be supplied alongside the new roles
+  if (bloodGroup) user.bloodGroup = bloodGroup;
+  if (hospitalId) user.hospitalId = hospitalId;
+  if (hospitalName) user.hospitalName = hospitalName;
+  if (ngoId) user.ngoId = ngoId;
+  
+  user.roles = newRoles;
+  // Keep the current active role if the user still holds it
+  if (role && newRoles.includes(role)) {
+    user.role = role;
+  } else if (!newRoles.includes(user.role)) {
+    user.role = newRoles[0];
+  }
+  
+  // Admin assignment counts as credential approval of the added roles only
+  const addedRoles = newRoles.filter(r => !previousRoles.includes(r));
+  user.credentials = (user.credentials || []).filter(credential => newRoles.includes(credential.role));
+  addedRoles
+    .filter(r => CREDENTIALED_ROLES.includes(r))
+    .forEach(r => {
+      Object.assign(user.submitCredential(r), {
+        status: 'approved',
+        reviewedBy: req.user.id,
+        reviewedAt: new Date(),
+        reason: `Role assigned by admin (previously ${previousRoles.join(', ')})`,
+        ...(r === 'doctor' ? { hospitalName: user.hospitalName } : {})
+      });
+    });
+  
+  if (!newRoles.includes('donor')) {
+    user.isAvailable = false;
+  }
+  
+  user.updatedAt = new Date();
+  
+  // Schema validation reports missing role-specific fields
+  await user.save();
+  
+  res.status(200).json({
+    success: true,
+    message: `Roles changed from '${previousRoles.join(', ')}' to '${newRoles.join(', ')}'`,
+    data: {
+      id: user._id,
+      role: user.role,
+      roles: user.roles,
+      credentials: user.credentials
+    }
+  });
+});
+
+/**
+ * Override the open request cap for one requester (e.g. a hospital account).
+ * Send limit: null to go back to the platform setting.
+ * @route PUT /api/admin/users/:id/request-limit
+ * @access Private (Admin only)
+ */
+export const setOpenRequestLimit = asyncHandler(async (req, res) => {
+  const { limit, reason } = req.body;
+
+  if (limit !== null && (!Number.isInteger(limit) || limit < 0 || limit > 1000)) {
+    throw new AppError('Limit must be a whole number between 0 and 1000, or null to use the default', 400);
+  }
+
+  const user = await findManagedUser(req);
+
+  user.openRequestLimit = limit === null
+    ? undefined
+    : { limit, reason: reason || '', by: req.user.id, at: new Date() };
+  user.updatedAt = new Date();
+  await user.save();
+
+  await recordAudit({
+    action: 'user.request-limit',
+    actor: req.user.id,
+    subject: user._id,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    details: { limit, reason }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: limit === null
+      ? 'Open request limit reset to the platform default'
+      : `Open request limit set to ${limit}`,
+    data: {
+      id: user._id,
+      openRequestLimit: user.openRequestLimit || null
+    }
+  });
+});
+
+/**
+ * Force a user to reset their password
+ * @route POST /api/admin/users/:id/force-password-reset
+ * @access Private (Admin only)
+ */
+export const forcePasswordReset = asyncHandler(async (req, res) => {
+  const user = await findManagedUser(req);
+  
+  user.passwordResetRequired = true;
+  user.updatedAt = new Date();
+  await user.save();
+  
+  // Existing sessions must not outlive the reset requirement
+  await revokeAllUserTokens(user._id, 'forced-password-reset');
+  
+  let emailSent = true;
+  try {
+    await sendPasswordResetEmail(user, { forcedByAdmin: true });
+  } catch (error) {
+    console.error('Error sending forced password reset email:', error);
+    emailSent = false;
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: emailSent
+      ? 'Password reset required and reset email sent'
+      : 'Password reset required, but the reset email could not be sent',
+    data: {
+      id: user._id,
+      passwordResetRequired: user.passwordResetRequired,
+      emailSent
+    }
+  });
+});
+
+/**
+ * Get a user's requests, donations and camps
+ * @route GET /api/admin/users/:id/activity
+ * @access Private (Admin only)
+ */
+export const getUserActivity = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.params.id).select('name email role');
+  
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+  
+  const [requests, donations, camps] = await Promise.all([
+    Request.find({
+      $or: [{ requester: user._id }, { 'pledges.donor': user._id }]
+    })
+    .populate('requester', 'name email')
+    .populate('pledges.donor', 'name email')
+    .sort({ createdAt: -1 }),
+    Donation.find({
+      $or: [{ donor: user._id }, { requester: user._id }, { verifiedBy: user._id }]
+    })
+    .populate('donor', 'name email')
+    .populate('requester', 'name email')
+    .populate('verifiedBy', 'name hospitalName')
+    .sort({ donationDate: -1 }),
+    Camp.find({
+      $or: [{ organizer: user._id }, { 'participants.user': user._id }]
+    })
+    .select('title address startDate endDate status organizer collectedUnits')
+    .sort({ startDate: -1 })
+  ]);
+  
+  res.status(200).json({
+    success: true,
+    data: {
+      user,
+      requests,
+      donations,
+      camps,
+      counts: {
+        requests: requests.length,
+        donations: donations.length,
+        camps: camps.length
+      }
+    }
+  });
+});
+
+/**
+ * Issue a short-lived token to see the platform as another user.
+ * Write actions are blocked unless explicitly allowed, and every request
+ * made with the token is written to the audit log.
+ * @route POST /api/admin/users/:id/impersonate
+ * @access Private (Admin only)
+ */
+export const startImpersonation = asyncHandler(async (req, res) => {
+  const { reason, allowWrites = false } = req.body;
+  
+  if (!reason) {
+    throw new AppError('Please provide a reason for impersonating this user', 400);
+  }
+  
+  const user = await findManagedUser(req);
+  
+  if (user.hasRole('admin')) {
+    throw new AppError('Admin accounts cannot be impersonated', 403);
+  }
+  
+  if (!user.isActive) {
+    throw new AppError('Deactivated accounts cannot be impersonated', 400);
+  }
+  
+  const impersonationId = crypto.randomUUID();
+  const readOnly = allowWrites !== true;
+  
+  const token = generateToken(user._id, user.role, IMPERSONATION_EXPIRES_IN, 'impersonation', {
+    jti: impersonationId,
+    tv: user.tokenVersion || 0,
+    impersonatedBy: req.user.id.toString(),
+    readOnly,
+    reason
+  });
+  const expiresAt = new Date(verifyToken(token).exp * 1000);
+  
+  await recordAudit({
+    action: 'impersonation.start',
+    actor: req.user.id,
+    subject: user._id,
+    impersonationId,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.headers['user-agent'],
+    details: { reason, readOnly, expiresAt }
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: `Impersonating ${user.name}${readOnly ? ' (read-only)' : ''} until ${expiresAt.toISOString()}`,
+    data: {
+      token,
+      impersonationId,
+      readOnly,
+      expiresAt,
+      user: {
+        id: user._id,
+        name: user.name,
+        role: user.role
+      }
+    }
+  });
+});
+
+/**
+ * End an impersonation before its token expires
+ * @route DELETE /api/admin/impersonations/:impersonationId
+ * @access Private (Admin only)
+ */
+export const endImpersonation = asyncHandler(async (req, res) => {
+  const { impersonationId } = req.params;
+  
+  const start = await AuditLog.findOne({ action: 'impersonation.start', impersonationId });
+  
+  if (!start) {
+    throw new AppError('Impersonation not found', 404);
+  }
+  
+  const expiresAt = new Date(start.details.expiresAt);
+  
+  if (expiresAt > new Date()) {
+    await revokeAccessToken({
+      jti: impersonationId,
+      id: start.subject,
+      exp: Math.ceil(expiresAt.getTime() / 1000)
+    }, 'impersonation-ended');
+  }
+  
+  await recordAudit({
+    action: 'impersonation.end',
+    actor: req.user.id,
+    subject: start.subject,
+    impersonationId,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.headers['user-agent']
+  });
+  
+  res.status(200).json({
+    success: true,
+    message: 'Impersonation ended'
+  });
+});
+
+/**
+ * Search the audit log
+ * @route GET /api/admin/audit-logs
+ * @access Private (Admin only)
+ */
+export const getAuditLogs = asyncHandler(async (req, res) => {
+  const { 
+    action, 
+    actor, 
+    subject, 
+    impersonationId,
+    page = 1, 
+    limit = 50 
+  } = req.query;
+  
+  // Build query
+  const query = {};
+  
+  if (action) query.action = action;
+  if (actor) query.actor = actor;
+  if (subject) query.subject = subject;
+  if (impersonationId) query.impersonationId = impersonationId;
+  
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  
+  const logs = await AuditLog.find(query)
+    .populate('actor', 'name email')
+    .populate('subject', 'name email role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(parseInt(limit));
+  
+  const total = await AuditLog.countDocuments(query);
+  
+  res.status(200).json({
+    success: true,
+    count: logs.length,
+    total,
+    totalPages: Math.ceil(total / parseInt(limit)),
+    currentPage: parseInt(page),
+    data: logs
+  });
+});
@@ -0,0 +1,216 @@
+import ApiKey from '../models/ApiKey.js';
+import User from '../models/User.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { API_KEY_SCOPES, generateApiKey } from '../utils/apiKeys.js';
+
+const DEFAULT_KEY_LIFETIME_DAYS = 90;
+const MAX_KEY_LIFETIME_DAYS = 365;
+// How long a rotated key keeps working so integrations can switch over
+const ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+
+/**
+ * Get the organisation a user's API keys belong to
+ * @param {object} user - User document
+ * @returns {object} {type, id, name}
+ */
+const getUserOrganization = (user) => {
+  if (user.role === 'doctor') {
+    return { type: 'hospital', id: user.hospitalId, name: user.hospitalName };
+  }
+  if (user.role === 'ngo') {
+    return { type: 'ngo', id: user.ngoId, name: user.ngoName };
+  }
+  return { type: 'platform', id: 'bloodlink', name: 'BloodLink' };
+};
+
+/**
+ * Build the query limiting keys to the current user's organisation (admins see all)
+ * @param {object} req - Express request
+ * @returns {object} MongoDB query
+ */
+const buildOrganizationQuery = async (req) => {
+  if (req.user.role === 'admin') return {};
+
+  const user = await User.findById(req.user.id);
+  const organization = getUserOrganization(user);
+  return {
+    'organization.type': organization.type,
+    'organization.id': organization.id
+  };
+};
+
+/**
+ * Find a key the current user's organisation may manage
+ * @param {object} req - Express request
+ * @returns {object} ApiKey document
+ */
+const findManagedKey = async (req) => {
+  const query = await buildOrganizationQuery(req);
+  const apiKey = await ApiKey.findOne({ ...query, _id: req.params.id });
+
+  if (!apiKey) {
+    throw new AppError('API key not found', 404);
+  }
+
+  return apiKey;
+};
+
+/**
+ * Create and store a new key for an organisation
+ * @param {object} data - {name, owner, organization, scopes, lifetimeDays}
+ * @returns {object} {apiKey, key}
+ */
+const createKey = async ({ name, owner, organization, scopes, lifetimeDays }) => {
+  const { key, prefix, keyHash } = generateApiKey();
+
+  const apiKey = await ApiKey.create({
+    name,
+    owner,
+    organization,
+    prefix,
+    keyHash,
+    scopes,
+    expiresAt: new Date(Date.now() + lifetimeDays * 24 * 3600000)
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * List API keys for the current user's organisation
+ * @route GET /api/api-keys
+ * @access Private (Doctor, NGO, Admin)
+ */
+export const getApiKeys = asyncHandler(async (req, res) => {
+  const query = await buildOrganizationQuery(req);
+
+  const apiKeys = await ApiKey.find(query)
+    .populate('owner', 'name email')
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: apiKeys.length,
+    data: apiKeys.map(apiKey => apiKey.toSafeObject()),
+    availableScopes: API_KEY_SCOPES
+  });
+});
+
+/**
+ * Create an API key
+ * @route POST /api/api-keys
+ * @access Private (Doctor, NGO, Admin)
+ */
+export const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays = DEFAULT_KEY_LIFETIME_DAYS } = req.body;
+
+  if (!name) {
+    throw new AppError('Please provide a name for the key', 400);
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new AppError(`Please provide at least one scope: ${API_KEY_SCOPES.join(', ')}`, 400);
+  }
+
+  const invalidScopes = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (invalidScopes.length > 0) {
+    throw new AppError(`Invalid scopes: ${invalidScopes.join(', ')}`, 400);
+  }
+
+  const lifetimeDays = parseInt(expiresInDays);
+  if (!lifetimeDays || lifetimeDays < 1 || lifetimeDays > MAX_KEY_LIFETIME_DAYS) {
+    throw new AppError(`Expiry must be between 1 and ${MAX_KEY_LIFETIME_DAYS} days`, 400);
+  }
+
+  const user = await User.findById(req.user.id);
+  const organization = getUserOrganization(user);
+
+  if (!organization.id) {
+    throw new AppError('Your account is not linked to an organisation', 400);
+  }
+
+  const { apiKey, key } = await createKey({
+    name,
+    owner: user._id,
+    organization,
+    scopes: [...new Set(scopes)],
+    lifetimeDays
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now - it will not be shown again',
+    data: {
+      ...apiKey.toSafeObject(),
+      key
+    }
+  });
+});
+
+/**
+ * Replace a key with a new one. The old key keeps working for a short grace period.
+ * @route POST /api/api-keys/:id/rotate
+ * @access Private (Doctor, NGO, Admin)
+ */
+export const rotateApiKey = asyncHandler(async (req, res) => {
+  const oldKey = await findManagedKey(req);
+
+  if (!oldKey.isActive || oldKey.replacedBy) {
+    throw new AppError('Only active keys that have not been rotated can be rotated', 400);
+  }
+
+  // Keep the original lifetime for the replacement
+  const lifetimeDays = Math.max(
+    1,
+    Math.round((oldKey.expiresAt - oldKey.createdAt) / (24 * 3600000))
+  );
+
+  const { apiKey, key } = await createKey({
+    name: oldKey.name,
+    owner: req.user.id,
+    organization: oldKey.organization,
+    scopes: oldKey.scopes,
+    lifetimeDays
+  });
+
+  const graceEnd = new Date(Date.now() + ROTATION_GRACE_HOURS * 3600000);
+  oldKey.rotatedAt = new Date();
+  oldKey.replacedBy = apiKey._id;
+  if (oldKey.expiresAt > graceEnd) {
+    oldKey.expiresAt = graceEnd;
+  }
+  await oldKey.save();
+
+  res.status(201).json({
+    success: true,
+    message: `API key rotated. The old key stops working at ${oldKey.expiresAt.toISOString()}`,
+    data: {
+      ...apiKey.toSafeObject(),
+      key,
+      previousKey: oldKey.toSafeObject()
+    }
+  });
+});
+
+/**
+ * Revoke an API key immediately
+ * @route DELETE /api/api-keys/:id
+ * @access Private (Doctor, NGO, Admin)
+ */
+export const revokeApiKey = asyncHandler(async (req, res) => {
+  const apiKey = await findManagedKey(req);
+
+  if (apiKey.revokedAt) {
+    throw new AppError('API key is already revoked', 400);
+  }
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.user.id;
+  await apiKey.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'API key revoked',
+    data: apiKey.toSafeObject()
+  });
+});
@@ -1,7 +1,118 @@
 import bcrypt from 'bcrypt';
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
-import { generateToken, verifyToken } from '../utils/tokenUtils.js';
+import User, { USER_ROLES, CREDENTIALED_ROLES } from '../models/User.js';
+import OtpCode from '../models/OtpCode.js';
+import { generateToken, verifyToken, hashToken } from '../utils/tokenUtils.js';
+import Notification from '../models/Notification.js';
+import { notifyUser } from '../utils/notify.js';
+import { sendVerificationEmail, sendPasswordResetEmail } from '../utils/authEmails.js';
+import { checkPasswordStrength, isPasswordReused, setUserPassword } from '../utils/passwordPolicy.js';
+import {
+  issueAuthTokens,
+  rotateRefreshToken,
+  revokeAccessToken,
+  revokeSession,
+  revokeAllUserTokens
+} from '../utils/authTokens.js';
+import { verifyTotp } from '../utils/totp.js';
+import { isTwoFactorEnforcedForUser, consumeRecoveryCode } from '../utils/twoFactor.js';
+import { isAccountLocked, registerFailedLogin, registerSuccessfulLogin } from '../utils/loginSecurity.js';
+import { sendSms } from '../utils/smsService.js';
+import { validateRoleList, getMissingRoleField } from '../utils/roles.js';
+import { getOidcProvider, getOidcProviderNames } from '../config/oidc.js';
+import { buildAuthorizationUrl, completeAuthorization } from '../utils/oidc.js';
+
+const TWO_FACTOR_TOKEN_EXPIRES_IN = '5m';
+const OIDC_SIGNUP_TOKEN_EXPIRES_IN = '15m';
+
+// SMS one-time codes
+const OTP_EXPIRES_MINUTES = 10;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_PURPOSES = ['login', 'verify-phone'];
+const PHONE_PATTERN = /^[0-9]{10}$/;
+
+/**
+ * Work out the roles a signup asks for
+ * @param {object} fields - {role, roles}; a single role may be given instead of a list
+ * @returns {object} {userRoles, activeRole}
+ */
+const resolveSignupRoles = ({ role, roles }) => {
+  const userRoles = Array.isArray(roles) && roles.length > 0 ? roles : (role ? [role] : []);
+  const activeRole = role && userRoles.includes(role) ? role : userRoles[0];
+  return { userRoles, activeRole };
+};
+
+/**
+ * Validate role-specific registration fields and build an unsaved user
+ * @param {object} fields - Registration fields (password already hashed)
+ * @returns {object} {user} or {error, statusCode}
+ */
+const buildNewUser = ({
+  name,
+  email,
+  password,
+  phone,
+  role,
+  roles,
+  bloodGroup,
+  location,
+  address,
+  hospitalId,
+  hospitalName,
+  ngoId,
+  diseases
+}) => {
+  const { userRoles, activeRole } = resolveSignupRoles({ role, roles });
+
+  const roleError = validateRoleList(userRoles);
+  if (roleError) {
+    return { error: roleError, statusCode: 400 };
+  }
+
+  // Admins are only ever created by another admin
+  if (userRoles.includes('admin')) {
+    return { error: 'Admin accounts can only be created by an administrator', statusCode: 403 };
+  }
+
+  // Additional validation for each role
+  const missingField = getMissingRoleField(userRoles, { bloodGroup, hospitalId, ngoId });
+  if (missingField) {
+    return { error: missingField, statusCode: 400 };
+  }
+
+  const hasRole = (r) => userRoles.includes(r);
+
+  // Create user with appropriate fields for each role
+  const user = new User({
+    name,
+    email,
+    password,
+    phone,
+    roles: userRoles,
+    role: activeRole,
+    createdAt: new Date(),
+    // Add role-specific fields conditionally
+    ...(hasRole('donor') || hasRole('requester') ? { 
+      bloodGroup,
+      location: location || null,
+      address: address || null,
+      diseases: diseases || [],
+    } : {}),
+    // The hospital name is confirmed by the admin who reviews the credentials
+    ...(hasRole('doctor') ? { hospitalId, hospitalName } : {}),
+    ...(hasRole('ngo') ? { ngoId } : {}),
+    // Doctor and NGO credentials must be approved by an admin
+    credentials: userRoles
+      .filter(role => CREDENTIALED_ROLES.includes(role))
+      .map(role => ({ role, status: 'pending', submittedAt: new Date() })),
+    // Donors start as unavailable by default
+    ...(hasRole('donor') ? { isAvailable: false } : {})
+  });
+
+  return { user };
+};
 
 /**
  * Register a new user
@@ -15,13 +126,8 @@ export const register = async (req, res) => {
       email, 
       password, 
       phone, 
-      role, 
-      bloodGroup, 
-      location, 
-      address,
-      hospitalId,  // For doctor role
-      ngoId,       // For NGO role
-      diseases     // Medical history (for donors)
+      role,        // Active role
+      roles        // All roles held, e.g. ['donor', 'requester'] (optional)
     } = req.body;
 
     // Check if user already exists
@@ -33,80 +139,817 @@ export const register = async (req, res) => {
       });
     }
 
-    // Validate required fields based on role
-    if (!name || !email || !password || !phone || !role) {
+    // Validate required fields
+    if (!name || !email || !password || !phone || (!role && !(Array.isArray(roles) && roles.length))) {
       return res.status(400).json({ 
         success: false, 
         message: 'Please provide all required fields' 
       });
     }
 
-    // Additional validation based on role
-    if ((role === 'donor' || role === 'requester') && !bloodGroup) {
+    const passwordError = checkPasswordStrength(password, { name, email });
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    // Hash password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
+
+    const { user: newUser, error, statusCode } = buildNewUser({ ...req.body, password: hashedPassword });
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    await newUser.save();
+
+    // Send verification email - registration still succeeds if delivery fails
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (emailError) {
+      console.error('Verification email error:', emailError);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(newUser, req);
+
+    // Return user info without password
+    const userResponse = { ...newUser._doc };
+    delete userResponse.password;
+    delete userResponse.emailVerificationToken;
+    delete userResponse.emailVerificationExpires;
+
+    res.status(201).json({
+      success: true,
+      message: 'User registered successfully. Please check your email to verify your account',
+      data: {
+        user: userResponse,
+        token,
+        refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during registration',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Send the response for a locked account
+ * @param {object} res - Express response
+ * @param {Date} lockUntil
+ */
+const sendLockedResponse = (res, lockUntil) => {
+  const minutes = Math.ceil((lockUntil - Date.now()) / 60000);
+  return res.status(423).json({
+    success: false,
+    message: `Account temporarily locked due to too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+    lockUntil
+  });
+};
+
+/**
+ * Issue tokens for an authenticated user, record the login and send the response
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} user - User document
+ * @param {object} options - {mfa} (optional)
+ */
+const completeLogin = async (req, res, user, { mfa = false } = {}) => {
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await issueAuthTokens(user, req, { mfa });
+
+  // Update last login time
+  user.lastLogin = new Date();
+  await user.save();
+
+  // Record the login and alert the user about new devices or a recent lockout
+  const { isNewDevice, afterLockout } = await registerSuccessfulLogin(user, req);
+  if (isNewDevice || afterLockout) {
+    const reasons = [];
+    if (isNewDevice) reasons.push('from a device we have not seen before');
+    if (afterLockout) reasons.push('after your account was temporarily locked due to failed login attempts');
+
+    const notificationData = {
+      title: 'New sign-in to your account',
+      message: `Your account was signed in to ${reasons.join(' and ')} (IP ${req.ip}, ${req.headers['user-agent'] || 'unknown device'}) at ${new Date().toISOString()}. If this wasn't you, reset your password immediately.`,
+      type: 'system',
+      actionUrl: '/profile/security',
+      details: {
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        isNewDevice,
+        afterLockout
+      }
+    };
+
+    // The login itself should not fail because the alert could not be sent
+    notifyUser(user, notificationData, Notification)
+      .catch(error => console.error('Login alert error:', error));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: user.getPublicProfile(),
+      token,
+      refreshToken
+    }
+  });
+};
+
+/**
+ * Continue a login once the first factor (password or SMS code) has been checked:
+ * enforce a pending password reset and two-factor authentication, then issue tokens
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {object} user - User document
+ */
+const continueLogin = async (req, res, user) => {
+  // An admin has required a new password
+  if (user.passwordResetRequired) {
+    return res.status(403).json({
+      success: false,
+      message: 'A password reset is required. Please use the link sent to your email or request a new one',
+      passwordResetRequired: true
+    });
+  }
+
+  // Users with 2FA enabled must confirm a code before receiving tokens
+  if (user.twoFactor?.enabled) {
+    const twoFactorToken = generateToken(user._id, user.role, TWO_FACTOR_TOKEN_EXPIRES_IN, '2fa', {
+      tv: user.tokenVersion || 0
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication code required',
+      data: {
+        requiresTwoFactor: true,
+        twoFactorToken
+      }
+    });
+  }
+
+  // Role requires 2FA but the user has not enrolled yet
+  if (await isTwoFactorEnforcedForUser(user)) {
+    const twoFactorToken = generateToken(user._id, user.role, TWO_FACTOR_TOKEN_EXPIRES_IN, '2fa-setup', {
+      tv: user.tokenVersion || 0
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication must be set up before logging in',
+      data: {
+        twoFactorSetupRequired: true,
+        twoFactorToken
+      }
+    });
+  }
+
+  await completeLogin(req, res, user);
+};
+
+/**
+ * Login user
+ * @route POST /api/auth/login
+ * @access Public
+ */
+export const login = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validate input
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide email and password'
+      });
+    }
+
+    // Find user
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    // Refuse while the account is locked, without checking the password
+    if (isAccountLocked(user)) {
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    // Check password
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      const { locked, lockUntil } = await registerFailedLogin(user, req, 'password');
+      if (locked) {
+        return sendLockedResponse(res, lockUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
+    await continueLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Complete login with a TOTP or recovery code
+ * @route POST /api/auth/2fa/verify
+ * @access Public (requires the intermediate token from login)
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!twoFactorToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the two-factor token and a code'
+      });
+    }
+
+    // Verify intermediate token
+    const decoded = verifyToken(twoFactorToken);
+    if (!decoded || decoded.type !== '2fa') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired two-factor session, please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor?.enabled || (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired two-factor session, please log in again'
+      });
+    }
+
+    if (isAccountLocked(user)) {
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    let isValid = false;
+    if (code) {
+      // Reject codes from a time step that has already been used
+      const step = verifyTotp(user.twoFactor.secret, code);
+      isValid = step !== null && step > (user.twoFactor.lastUsedStep || 0);
+      if (isValid) {
+        user.twoFactor.lastUsedStep = step;
+      }
+    } else {
+      isValid = consumeRecoveryCode(user, recoveryCode);
+    }
+
+    if (!isValid) {
+      // Wrong codes count towards the same lockout as wrong passwords
+      const { locked, lockUntil } = await registerFailedLogin(user, req, '2fa');
+      if (locked) {
+        return sendLockedResponse(res, lockUntil);
+      }
+      return res.status(401).json({
+        success: false,
+        message: code ? 'Invalid two-factor code' : 'Invalid recovery code'
+      });
+    }
+
+    await completeLogin(req, res, user, { mfa: true });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check a phone number given in a request body
+ * @param {*} phone
+ * @returns {boolean}
+ */
+const isValidPhone = (phone) => typeof phone === 'string' && PHONE_PATTERN.test(phone);
+
+/**
+ * Find the account an SMS login for a phone number belongs to.
+ * Only a number the user has verified can be used - an unverified one may
+ * be mistyped or recycled and now belong to someone else.
+ * @param {string} phone
+ * @returns {object|null} User document
+ */
+const findUserForPhoneLogin = async (phone) => {
+  const users = await User.find({ phone, isActive: true, phoneVerified: true });
+  return users.length === 1 ? users[0] : null;
+};
+
+/**
+ * Hash an SMS code together with the phone number it was sent to
+ * @param {string} phone
+ * @param {string} code
+ * @returns {string}
+ */
+const hashOtp = (phone, code) => hashToken(`${phone}:${code}`);
+
+/**
+ * Send a one-time code by SMS for phone login or phone verification
+ * @route POST /api/auth/otp/request
+ * @access Public (login) / Private (verify-phone)
+ */
+export const requestOtp = async (req, res) => {
+  try {
+    const { purpose = 'login' } = req.body;
+
+    if (!OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: `Purpose must be one of: ${OTP_PURPOSES.join(', ')}`
+      });
+    }
+
+    let user;
+    let phone;
+
+    if (purpose === 'verify-phone') {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Please log in to verify your phone number'
+        });
+      }
+
+      user = await User.findById(req.user.id);
+      phone = user.phone;
+
+      if (user.phoneVerified) {
+        return res.status(400).json({
+          success: false,
+          message: 'Phone number is already verified'
+        });
+      }
+
+      // Only one account may claim a number for SMS login
+      const claimed = await User.exists({ _id: { $ne: user._id }, phone, phoneVerified: true });
+      if (claimed) {
+        return res.status(409).json({
+          success: false,
+          message: 'This phone number is already verified on another account'
+        });
+      }
+    } else {
+      phone = req.body.phone;
+
+      if (!isValidPhone(phone)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a valid 10-digit phone number'
+        });
+      }
+
+      user = await findUserForPhoneLogin(phone);
+    }
+
+    // Same response whether or not an account exists for the number
+    const genericResponse = {
+      success: true,
+      message: purpose === 'login'
+        ? 'If an account exists for this number, a code has been sent'
+        : 'Verification code sent',
+      data: {
+        expiresInMinutes: OTP_EXPIRES_MINUTES
+      }
+    };
+
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const latest = await OtpCode.findOne({ phone, purpose }).sort({ createdAt: -1 });
+    if (latest && Date.now() - latest.createdAt < OTP_RESEND_COOLDOWN_MS) {
+      return res.status(429).json({
+        success: false,
+        message: 'Please wait a minute before requesting another code'
+      });
+    }
+
+    // Only the most recent code is valid
+    await OtpCode.updateMany(
+      { phone, purpose, consumedAt: null },
+      { consumedAt: new Date() }
+    );
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    await OtpCode.create({
+      phone,
+      user: user._id,
+      purpose,
+      codeHash: hashOtp(phone, code),
+      expiresAt: new Date(Date.now() + OTP_EXPIRES_MINUTES * 60000)
+    });
+
+    await sendSms(phone, `${code} is your BloodLink ${purpose === 'login' ? 'login' : 'verification'} code. It expires in ${OTP_EXPIRES_MINUTES} minutes.`);
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending code',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm an SMS code - logs the user in or marks their phone as verified
+ * @route POST /api/auth/otp/verify
+ * @access Public (login) / Private (verify-phone)
+ */
+export const verifyOtp = async (req, res) => {
+  try {
+    const { code, purpose = 'login' } = req.body;
+
+    if (!OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        message: `Purpose must be one of: ${OTP_PURPOSES.join(', ')}`
+      });
+    }
+
+    if (purpose === 'verify-phone' && !req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Please log in to verify your phone number'
+      });
+    }
+
+    const phone = purpose === 'verify-phone'
+      ? (await User.findById(req.user.id).select('phone'))?.phone
+      : req.body.phone;
+
+    if (!phone || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the phone number and code'
+      });
+    }
+
+    if (!isValidPhone(phone)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid 10-digit phone number'
+      });
+    }
+
+    const otp = await OtpCode.findOne({
+      phone,
+      purpose,
+      consumedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    if (!otp || (purpose === 'verify-phone' && otp.user.toString() !== req.user.id.toString())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    const user = await User.findById(otp.user);
+    if (!user || !user.isActive || (purpose === 'login' && !user.phoneVerified)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    if (purpose === 'login' && isAccountLocked(user)) {
+      return sendLockedResponse(res, user.lockUntil);
+    }
+
+    if (otp.codeHash !== hashOtp(phone, String(code))) {
+      otp.attempts += 1;
+      if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+        otp.consumedAt = new Date();
+      }
+      await otp.save();
+
+      if (purpose === 'login') {
+        const { locked, lockUntil } = await registerFailedLogin(user, req, 'otp');
+        if (locked) {
+          return sendLockedResponse(res, lockUntil);
+        }
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired code'
+      });
+    }
+
+    otp.consumedAt = new Date();
+    await otp.save();
+
+    // Receiving the code proves the user controls the number
+    if (!user.phoneVerified) {
+      user.phoneVerified = true;
+      user.phoneVerifiedAt = new Date();
+      user.updatedAt = new Date();
+      await user.save();
+    }
+
+    if (purpose === 'verify-phone') {
+      return res.status(200).json({
+        success: true,
+        message: 'Phone number verified successfully'
+      });
+    }
+
+    await continueLogin(req, res, user);
+  } catch (error) {
+    console.error('OTP verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during code verification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the configured OpenID Connect providers
+ * @route GET /api/auth/oidc/providers
+ * @access Public
+ */
+export const getOidcProviders = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getOidcProviderNames()
+  });
+};
+
+/**
+ * Start an OpenID Connect login (authorization code + PKCE)
+ * @route GET /api/auth/oidc/:provider/authorize
+ * @access Public
+ */
+export const startOidcLogin = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown login provider'
+      });
+    }
+
+    const { authorizationUrl, state } = await buildAuthorizationUrl(provider);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authorizationUrl,
+        state
+      }
+    });
+  } catch (error) {
+    console.error('OIDC authorize error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while starting login',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Finish an OpenID Connect login with the code from the provider's redirect.
+ * Logs in a linked account, links an existing account with the same verified
+ * email, or asks a new user to choose their role.
+ * @route POST /api/auth/oidc/:provider/callback
+ * @access Public
+ */
+export const completeOidcLogin = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown login provider'
+      });
+    }
+
+    const { code, state } = req.body;
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the code and state from the login redirect'
+      });
+    }
+
+    let identity;
+    try {
+      identity = await completeAuthorization(provider, code, state);
+    } catch (oidcError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login with the identity provider failed',
+        error: oidcError.message
+      });
+    }
+
+    let user = await User.findOne({
+      oidcIdentities: { $elemMatch: { provider: provider.name, subject: identity.subject } }
+    });
+
+    // Link an existing account, but only when the provider vouches for the address
+    if (!user && identity.email) {
+      const existingUser = await User.findOne({ email: identity.email });
+      if (existingUser) {
+        if (!identity.emailVerified) {
+          return res.status(409).json({
+            success: false,
+            message: 'An account with this email already exists. Please log in with your password'
+          });
+        }
+
+        // Whoever registered an unverified account may not own the address -
+        // linking would share the account with them
+        if (!existingUser.isVerified) {
+          return res.status(409).json({
+            success: false,
+            message: 'An unverified account already uses this email. Please verify it or reset its password, then log in with your provider again'
+          });
+        }
+
+        existingUser.oidcIdentities.push({
+          provider: provider.name,
+          subject: identity.subject,
+          email: identity.email
+        });
+        await existingUser.save();
+        user = existingUser;
+      }
+    }
+
+    // First login - the user still has to pick a role
+    if (!user) {
+      if (!identity.email) {
+        return res.status(400).json({
+          success: false,
+          message: 'The identity provider did not share an email address'
+        });
+      }
+
+      const signupToken = generateToken(null, null, OIDC_SIGNUP_TOKEN_EXPIRES_IN, 'oidc-signup', {
+        provider: provider.name,
+        subject: identity.subject,
+        email: identity.email,
+        emailVerified: identity.emailVerified,
+        name: identity.name
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Choose your role to finish creating your account',
+        data: {
+          signupRequired: true,
+          signupToken,
+          email: identity.email,
+          name: identity.name,
+          availableRoles: USER_ROLES.filter(r => r !== 'admin')
+        }
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    await continueLogin(req, res, user);
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during login',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create the account for a first-time OpenID Connect user once they have chosen a role
+ * @route POST /api/auth/oidc/signup
+ * @access Public (requires the signup token from the callback)
+ */
+export const completeOidcSignup = async (req, res) => {
+  try {
+    const { signupToken, phone, role, roles } = req.body;
+
+    const decoded = signupToken ? verifyToken(signupToken) : null;
+    if (!decoded || decoded.type !== 'oidc-signup') {
+      return res.status(401).json({
+        success: false,
+        message: 'Signup session expired. Please log in with your provider again'
+      });
+    }
+
+    if (!phone || (!role && !(Array.isArray(roles) && roles.length))) {
       return res.status(400).json({
         success: false,
-        message: 'Blood group is required for donors and requesters'
+        message: 'Please provide your phone number and role'
       });
     }
 
-    if (role === 'doctor' && !hospitalId) {
-      return res.status(400).json({
+    // Checked on the roles the account would actually get
+    if (resolveSignupRoles({ role, roles }).userRoles.includes('admin')) {
+      return res.status(403).json({
         success: false,
-        message: 'Hospital ID is required for doctors'
+        message: 'The admin role cannot be selected at signup'
       });
     }
 
-    if (role === 'ngo' && !ngoId) {
+    const existingUser = await User.exists({
+      $or: [
+        { email: decoded.email },
+        { oidcIdentities: { $elemMatch: { provider: decoded.provider, subject: decoded.subject } } }
+      ]
+    });
+    if (existingUser) {
       return res.status(400).json({
         success: false,
-        message: 'NGO ID is required for NGO accounts'
+        message: 'An account already exists for this login. Please log in again'
       });
     }
 
-    // Hash password
+    // The account is used through the provider; a password can be set later via reset
     const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const hashedPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), salt);
 
-    // Create user with appropriate fields based on role
-    const newUser = new User({
-      name,
-      email,
-      password: hashedPassword,
-      phone,
-      role,
-      createdAt: new Date(),
-      // Add role-specific fields conditionally
-      ...(role === 'donor' || role === 'requester' ? { 
-        bloodGroup,
-        location: location || null,
-        address: address || null,
-        diseases: diseases || [],
-      } : {}),
-      ...(role === 'doctor' ? { hospitalId } : {}),
-      ...(role === 'ngo' ? { ngoId } : {}),
-      // Donors start as unavailable by default
-      ...(role === 'donor' ? { isAvailable: false } : {})
+    const { user, error, statusCode } = buildNewUser({
+      ...req.body,
+      name: req.body.name || decoded.name || decoded.email.split('@')[0],
+      email: decoded.email,
+      password: hashedPassword
     });
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
 
-    await newUser.save();
-
-    // Generate JWT token
-    const token = generateToken(newUser._id, newUser.role);
-
-    // Return user info without password
-    const userResponse = { ...newUser._doc };
-    delete userResponse.password;
+    user.oidcIdentities = [{
+      provider: decoded.provider,
+      subject: decoded.subject,
+      email: decoded.email
+    }];
+    if (decoded.emailVerified) {
+      user.isVerified = true;
+      user.verifiedAt = new Date();
+    }
+    await user.save();
 
-    res.status(201).json({
-      success: true,
-      message: 'User registered successfully',
-      data: {
-        user: userResponse,
-        token
+    if (!user.isVerified) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (emailError) {
+        console.error('Verification email error:', emailError);
       }
-    });
+    }
+
+    await continueLogin(req, res, user);
   } catch (error) {
-    console.error('Registration error:', error);
+    console.error('OIDC signup error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error during registration',
@@ -116,78 +959,44 @@ export const register = async (req, res) => {
 };
 
 /**
- * Login user
- * @route POST /api/auth/login
- * @access Public
+ * Get current user profile
+ * @route GET /api/auth/me
+ * @access Private
  */
-export const login = async (req, res) => {
+export const getCurrentUser = async (req, res) => {
   try {
-    const { email, password } = req.body;
-
-    // Validate input
-    if (!email || !password) {
-      return res.status(400).json({
-        success: false,
-        message: 'Please provide email and password'
-      });
-    }
-
-    // Find user
-    const user = await User.findOne({ email });
+    const user = await User.findById(req.user.id);
+    
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    // Check password
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) {
-      return res.status(401).json({
+      return res.status(404).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'User not found'
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id, user.role);
-
-    // Update last login time
-    user.lastLogin = new Date();
-    await user.save();
-
-    // Return user info without password
-    const userResponse = { ...user._doc };
-    delete userResponse.password;
-
     res.status(200).json({
       success: true,
-      message: 'Login successful',
-      data: {
-        user: userResponse,
-        token
-      }
+      data: user.getPublicProfile()
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Get current user error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during login',
+      message: 'Server error',
       error: error.message
     });
   }
 };
 
 /**
- * Get current user profile
- * @route GET /api/auth/me
+ * Get recent login activity for the current user
+ * @route GET /api/auth/login-history
  * @access Private
  */
-export const getCurrentUser = async (req, res) => {
+export const getLoginHistory = async (req, res) => {
   try {
-    const user = await User.findById(req.user.id).select('-password');
-    
+    const user = await User.findById(req.user.id).select('loginHistory knownDevices lockUntil');
+
     if (!user) {
       return res.status(404).json({
         success: false,
@@ -195,12 +1004,20 @@ export const getCurrentUser = async (req, res) => {
       });
     }
 
+    // Newest first
+    const history = [...(user.loginHistory || [])].reverse();
+
     res.status(200).json({
       success: true,
-      data: user
+      count: history.length,
+      data: {
+        history,
+        knownDevices: user.knownDevices || [],
+        lockUntil: isAccountLocked(user) ? user.lockUntil : null
+      }
     });
   } catch (error) {
-    console.error('Get current user error:', error);
+    console.error('Get login history error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -238,14 +1055,19 @@ export const updateProfile = async (req, res) => {
 
     // Update fields if provided
     if (name) user.name = name;
-    if (phone) user.phone = phone;
+    if (phone && phone !== user.phone) {
+      // A new number has to be confirmed again
+      user.phone = phone;
+      user.phoneVerified = false;
+      user.phoneVerifiedAt = undefined;
+    }
     if (address) user.address = address;
     if (location) user.location = location;
     if (bloodGroup) user.bloodGroup = bloodGroup;
     if (diseases) user.diseases = diseases;
     
     // Only update availability for donors
-    if (user.role === 'donor' && isAvailable !== undefined) {
+    if (user.hasRole('donor') && isAvailable !== undefined) {
       user.isAvailable = isAvailable;
     }
 
@@ -255,7 +1077,7 @@ export const updateProfile = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
-      data: user
+      data: user.getPublicProfile()
     });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -267,6 +1089,28 @@ export const updateProfile = async (req, res) => {
   }
 };
 
+/**
+ * Tell the user their password changed, in case it was not them
+ * @param {object} req - Express request
+ * @param {object} user - User document
+ */
+const sendPasswordChangedAlert = (req, user) => {
+  const notificationData = {
+    title: 'Your password was changed',
+    message: `The password for your account was changed at ${new Date().toISOString()} (IP ${req.ip}). All other sessions have been signed out. If this wasn't you, reset your password immediately.`,
+    type: 'system',
+    actionUrl: '/forgot-password',
+    details: {
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    }
+  };
+
+  // The change itself should not fail because the alert could not be sent
+  notifyUser(user, notificationData, Notification)
+    .catch(error => console.error('Password change alert error:', error));
+};
+
 /**
  * Change password
  * @route PUT /api/auth/change-password
@@ -285,7 +1129,14 @@ export const changePassword = async (req, res) => {
     }
 
     // Find user
-    const user = await User.findById(req.user.id);
+    const user = await User.findById(req.user.id).select('+passwordHistory');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
     
     // Check current password
     const isMatch = await bcrypt.compare(currentPassword, user.password);
@@ -296,16 +1147,40 @@ export const changePassword = async (req, res) => {
       });
     }
 
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(newPassword, salt);
-    user.updatedAt = new Date();
-    
+    const passwordError = checkPasswordStrength(newPassword, user);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    if (await isPasswordReused(user, newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a password you have not used recently'
+      });
+    }
+
+    await setUserPassword(user, newPassword);
     await user.save();
 
+    // Sign out every existing session, then keep this device signed in
+    await revokeAllUserTokens(user._id, 'password-change');
+    const refreshedUser = await User.findById(user._id);
+    const { token, refreshToken } = await issueAuthTokens(refreshedUser, req, {
+      mfa: !!req.tokenPayload?.mfa
+    });
+
+    sendPasswordChangedAlert(req, user);
+
     res.status(200).json({
       success: true,
-      message: 'Password changed successfully'
+      message: 'Password changed successfully. Other sessions have been signed out',
+      data: {
+        token,
+        refreshToken
+      }
     });
   } catch (error) {
     console.error('Change password error:', error);
@@ -318,17 +1193,70 @@ export const changePassword = async (req, res) => {
 };
 
 /**
- * Logout user (client-side)
+ * Logout user - revokes the current access token and ends its session
  * @route POST /api/auth/logout
  * @access Private
  */
-export const logout = (req, res) => {
-  // JWT-based authentication doesn't require server-side logout
-  // The client should simply remove the token
-  res.status(200).json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+export const logout = async (req, res) => {
+  try {
+    await revokeAccessToken(req.tokenPayload, 'logout');
+    await revokeSession(req.tokenPayload?.sid, 'logout');
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token
+ * @route POST /api/auth/refresh
+ * @access Public
+ */
+export const refreshAccessToken = async (req, res) => {
+  try {
+    const refreshToken = req.body.refreshToken || req.cookies?.refreshToken;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        token: rotated.token,
+        refreshToken: rotated.refreshToken
+      }
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during token refresh',
+      error: error.message
+    });
+  }
 };
 
 /**
@@ -347,28 +1275,15 @@ export const forgotPassword = async (req, res) => {
       });
     }
 
+    // Same response whether or not the address is registered
     const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
+    if (user && user.isActive) {
+      await sendPasswordResetEmail(user);
     }
 
-    // Generate reset token (valid for 1 hour)
-    const resetToken = generateToken(user._id, user.role, '1h', 'reset');
-    
-    // Store reset token expiry in user document
-    user.resetPasswordToken = resetToken;
-    user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
-    await user.save();
-
-    // Logic to send reset email would go here
-    // This would use the notify.js utility
-
     res.status(200).json({
       success: true,
-      message: 'Password reset email sent'
+      message: 'If an account exists for this email, a password reset link has been sent'
     });
   } catch (error) {
     console.error('Forgot password error:', error);
@@ -409,28 +1324,41 @@ export const resetPassword = async (req, res) => {
     // Find user with matching token and valid expiry
     const user = await User.findOne({
       _id: decoded.id,
-      resetPasswordToken: token,
+      resetPasswordToken: hashToken(token),
       resetPasswordExpires: { $gt: Date.now() }
-    });
+    }).select('+passwordHistory');
 
-    if (!user) {
+    if (!user || decoded.type !== 'reset') {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired token'
       });
     }
 
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    user.password = await bcrypt.hash(password, salt);
-    
-    // Clear reset token fields
-    user.resetPasswordToken = undefined;
-    user.resetPasswordExpires = undefined;
-    user.updatedAt = new Date();
-    
+    const passwordError = checkPasswordStrength(password, user);
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        message: passwordError
+      });
+    }
+
+    if (await isPasswordReused(user, password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please choose a password you have not used recently'
+      });
+    }
+
+    // Also clears the reset token so the link only works once
+    await setUserPassword(user, password);
     await user.save();
 
+    // Tokens issued before the reset must not keep working
+    await revokeAllUserTokens(user._id, 'password-reset');
+
+    sendPasswordChangedAlert(req, user);
+
     res.status(200).json({
       success: true,
       message: 'Password reset successful'
@@ -458,7 +1386,8 @@ export const verifyUserToken = (req, res) => {
       message: 'Token is valid',
       user: {
         id: req.user.id,
-        role: req.user.role
+        role: req.user.role,
+        roles: req.user.roles
       }
     });
   } catch (error) {
@@ -469,4 +1398,98 @@ export const verifyUserToken = (req, res) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Verify email address with token
+ * @route GET /api/auth/verify-email/:token
+ * @access Public
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    // Verify token
+    const decoded = verifyToken(token);
+    if (!decoded || decoded.type !== 'verify-email') {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    // Find user with matching token and valid expiry
+    const user = await User.findOne({
+      _id: decoded.id,
+      emailVerificationToken: token,
+      emailVerificationExpires: { $gt: Date.now() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired verification link'
+      });
+    }
+
+    // Mark verified and clear the token so it cannot be reused
+    user.isVerified = true;
+    user.verifiedAt = new Date();
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    user.updatedAt = new Date();
+
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during email verification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resend email verification link
+ * @route POST /api/auth/resend-verification
+ * @access Private
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending verification email',
+      error: error.message
+    });
+  }
+};
@@ -80,7 +80,7 @@ export const createCamp = asyncHandler(async (req, res) => {
   try {
     // Find donors within 20km
     const nearbyDonors = await User.find({
-      role: 'donor',
+      roles: 'donor',
       isActive: true,
       location: {
         $near: {
@@ -3,20 +3,24 @@ import Request from '../models/Request.js';
 import Donation from '../models/Donation.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { notifyUser } from '../utils/notify.js';
+import { recordRequestEvent } from '../utils/requestEvents.js';
+import { buildHospitalNamePattern } from '../utils/requestEndorsement.js';
 import Notification from '../models/Notification.js';
 
 /**
- * Get pending verification requests
+ * Get pending verification requests - open requests with donor pledges still to verify
  * @route GET /api/doctors/pending-verifications
  * @access Private (Doctor only)
  */
 export const getPendingVerifications = asyncHandler(async (req, res) => {
   const pendingRequests = await Request.find({
-    status: 'matched'
+    status: { $in: ['pending', 'matched'] },
+    'pledges.status': 'pledged'
   })
   .populate('requester', 'name phone')
   .populate('assignedDonor', 'name phone bloodGroup')
-  .sort({ matchedAt: 1 });
+  .populate('pledges.donor', 'name phone bloodGroup')
+  .sort({ matchedAt: 1, needByDate: 1 });
   
   res.status(200).json({
     success: true,
@@ -26,13 +30,49 @@ export const getPendingVerifications = asyncHandler(async (req, res) => {
 });
 
 /**
- * Verify donation
+ * Get open requests naming the doctor's hospital that nobody has endorsed yet.
+ * Requests held back from donors until endorsed come first.
+ * @route GET /api/doctors/pending-endorsements
+ * @access Private (Doctor only)
+ */
+export const getPendingEndorsements = asyncHandler(async (req, res) => {
+  const query = {
+    status: { $in: ['pending', 'matched'] },
+    isEndorsed: false,
+    'hospital.name': { $nin: [null, ''] }
+  };
+
+  // Admins see every hospital's requests
+  if (req.user.role !== 'admin') {
+    const doctor = await User.findById(req.user.id).select('credentials');
+    const pattern = buildHospitalNamePattern(doctor?.getConfirmedHospitalName());
+    if (!pattern) {
+      throw new AppError('Your hospital has not been confirmed by an administrator yet', 400);
+    }
+    query['hospital.name'] = pattern;
+  }
+
+  const requests = await Request.find(query)
+    .populate('requester', 'name phone')
+    .sort({ 'endorsement.required': -1, needByDate: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    data: requests
+  });
+});
+
+/**
+ * Verify one donor's donation towards a request. The request is fulfilled
+ * once the verified units cover everything requested.
  * @route POST /api/doctors/verify-donation/:requestId
  * @access Private (Doctor only)
  */
 export const verifyDonation = asyncHandler(async (req, res) => {
   const { requestId } = req.params;
   const { 
+    donorId,
     units, 
     donationDate, 
     location, 
@@ -43,14 +83,16 @@ export const verifyDonation = asyncHandler(async (req, res) => {
   } = req.body;
   
   // Validate input
-  if (!units || !donationDate || !location || !hospitalName || !status) {
+  if (!donationDate || !location || !hospitalName || !status) {
     throw new AppError('Please provide all required fields', 400);
   }
+
+  if (!['verified', 'rejected'].includes(status)) {
+    throw new AppError('Status must be verified or rejected', 400);
+  }
   
   // Find the request
-  const request = await Request.findById(requestId)
-    .populate('requester')
-    .populate('assignedDonor');
+  const request = await Request.findById(requestId).populate('requester');
   
   if (!request) {
     throw new AppError('Request not found', 404);
@@ -58,21 +100,45 @@ export const verifyDonation = asyncHandler(async (req, res) => {
   
   // Check if request is already verified
   if (request.status === 'fulfilled') {
-    throw new AppError('This request has already been verified', 400);
+    throw new AppError('This request has already been verified', 409);
   }
   
-  // Check if request is matched
-  if (request.status !== 'matched') {
-    throw new AppError('Only matched requests can be verified', 400);
+  // Donations can be verified while the request is still collecting pledges
+  if (!['pending', 'matched'].includes(request.status)) {
+    throw new AppError(`Cannot verify donations for a request with status: ${request.status}`, 409);
+  }
+
+  const openPledges = request.pledges.filter(pledge => pledge.status === 'pledged');
+  if (openPledges.length === 0) {
+    throw new AppError('This request has no donations waiting for verification', 400);
+  }
+
+  // The donor only has to be named when several have pledged
+  let pledge;
+  if (donorId) {
+    pledge = request.getActivePledge(donorId);
+  } else if (openPledges.length === 1) {
+    pledge = openPledges[0];
+  } else {
+    throw new AppError('Several donors have pledged to this request - please provide donorId', 400);
+  }
+
+  if (!pledge) {
+    throw new AppError('This donor has no open pledge on this request', 404);
+  }
+
+  const donatedUnits = units === undefined ? pledge.units : parseInt(units);
+  if (!donatedUnits || donatedUnits < 1) {
+    throw new AppError('Units must be at least 1', 400);
   }
   
   // Create donation record
   const donation = new Donation({
-    donor: request.assignedDonor._id,
+    donor: pledge.donor,
     request: request._id,
     requester: request.requester._id,
     bloodGroup: request.bloodGroup,
-    units,
+    units: donatedUnits,
     donationDate: new Date(donationDate),
     location,
     hospitalName,
@@ -81,29 +147,59 @@ export const verifyDonation = asyncHandler(async (req, res) => {
     notes: notes || '',
     status
   });
-  
-  await donation.save();
-  
-  // Update request status
-  request.status = status === 'verified' ? 'fulfilled' : 'expired';
-  request.verifiedBy = req.user.id;
-  request.verifiedAt = new Date();
-  
+
+  // Check the record before touching the request, but only store it once the
+  // request save has gone through - a conflicting save must leave no trace
+  await donation.validate();
+
+  const previousStatus = request.status;
+
+  // Record the outcome on the pledge
+  pledge.status = status;
+  pledge.donation = donation._id;
+  pledge.verifiedBy = req.user.id;
+  pledge.verifiedAt = new Date();
   if (status === 'verified') {
+    pledge.units = donatedUnits;
+  }
+  request.syncUnitTotals();
+
+  const isFulfilled = request.unitsVerified >= request.units;
+  if (isFulfilled) {
+    request.status = 'fulfilled';
     request.fulfilledAt = new Date();
+    request.verifiedBy = req.user.id;
+    request.verifiedAt = new Date();
+  } else if (request.status === 'matched' && request.unitsPledged < request.units) {
+    // A rejected donation reopens the request to other donors
+    request.status = 'pending';
   }
+  request.updatedAt = new Date();
   
   await request.save();
+
+  // Saving a verified donation also updates the donor's donation count
+  await donation.save();
+
+  await recordRequestEvent(request, status === 'verified' ? 'donation-verified' : 'donation-rejected', {
+    req,
+    fromStatus: previousStatus,
+    details: {
+      donor: pledge.donor,
+      donation: donation._id,
+      units: donatedUnits,
+      unitsVerified: request.unitsVerified,
+      reason: status === 'rejected' ? notes : undefined
+    }
+  });
+  if (isFulfilled) {
+    await recordRequestEvent(request, 'fulfilled', { req, fromStatus: previousStatus });
+  }
   
-  // If verified, update donor stats
+  const donor = await User.findById(pledge.donor);
+
   if (status === 'verified') {
-    const donor = await User.findById(request.assignedDonor._id);
-    
     if (donor) {
-      donor.donationCount = (donor.donationCount || 0) + 1;
-      donor.lastDonationDate = new Date(donationDate);
-      await donor.save();
-      
       // Notify donor
       const notificationData = {
         title: 'Donation Verified',
@@ -120,12 +216,15 @@ export const verifyDonation = asyncHandler(async (req, res) => {
     
     // Notify requester
     const notificationData = {
-      title: 'Donation Completed',
-      message: `The blood donation for your request has been verified by a doctor.`,
+      title: isFulfilled ? 'Donation Completed' : 'Donation Received',
+      message: isFulfilled
+        ? `All ${request.units} unit(s) for your request have been donated and verified by a doctor.`
+        : `${donatedUnits} unit(s) for your request have been verified by a doctor. ${request.units - request.unitsVerified} unit(s) still to go.`,
       type: 'donation',
       actionUrl: `/requests/${request._id}`,
       details: {
-        requestId: request._id
+        requestId: request._id,
+        unitsVerified: request.unitsVerified
       }
     };
     
@@ -145,7 +244,7 @@ export const verifyDonation = asyncHandler(async (req, res) => {
     
     const requesterNotification = {
       title: 'Donation Not Verified',
-      message: `The donation for your request could not be verified.`,
+      message: `A donation for your request could not be verified. Your request is open to other donors again.`,
       type: 'donation',
       actionUrl: `/requests/${request._id}`,
       details: {
@@ -154,14 +253,23 @@ export const verifyDonation = asyncHandler(async (req, res) => {
       }
     };
     
-    await notifyUser(request.assignedDonor, donorNotification, Notification);
+    if (donor) {
+      await notifyUser(donor, donorNotification, Notification);
+    }
     await notifyUser(request.requester, requesterNotification, Notification);
   }
   
   res.status(200).json({
     success: true,
     message: `Donation ${status === 'verified' ? 'verified' : 'rejected'} successfully`,
-    data: donation
+    data: donation,
+    request: {
+      id: request._id,
+      status: request.status,
+      units: request.units,
+      unitsPledged: request.unitsPledged,
+      unitsVerified: request.unitsVerified
+    }
   });
 });
 
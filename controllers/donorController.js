@@ -5,6 +5,8 @@ import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { buildNearbyQuery } from '../utils/geoUtils.js';
 import { notifyUser } from '../utils/notify.js';
 import Notification from '../models/Notification.js';
+import { redactRequests } from '../utils/requestVisibility.js';
+import { NOT_AWAITING_ENDORSEMENT } from '../utils/requestEndorsement.js';
 
 /**
  * Toggle donor availability status
@@ -14,7 +16,7 @@ import Notification from '../models/Notification.js';
 export const toggleAvailability = asyncHandler(async (req, res) => {
   const donor = await User.findById(req.user.id);
   
-  if (!donor || donor.role !== 'donor') {
+  if (!donor || !donor.hasRole('donor')) {
     throw new AppError('Donor not found', 404);
   }
   
@@ -39,8 +41,8 @@ export const toggleAvailability = asyncHandler(async (req, res) => {
  */
 export const getActiveRequests = asyncHandler(async (req, res) => {
   const activeRequests = await Request.find({
-    assignedDonor: req.user.id,
-    status: 'matched'
+    pledges: { $elemMatch: { donor: req.user.id, status: 'pledged' } },
+    status: { $in: ['pending', 'matched'] }
   })
   .populate('requester', 'name phone')
   .sort({ matchedAt: -1 });
@@ -48,7 +50,7 @@ export const getActiveRequests = asyncHandler(async (req, res) => {
   res.status(200).json({
     success: true,
     count: activeRequests.length,
-    data: activeRequests
+    data: redactRequests(activeRequests, req.user)
   });
 });
 
@@ -81,7 +83,7 @@ export const getDonationHistory = asyncHandler(async (req, res) => {
 export const getNearbyRequests = asyncHandler(async (req, res) => {
   const donor = await User.findById(req.user.id);
   
-  if (!donor || donor.role !== 'donor') {
+  if (!donor || !donor.hasRole('donor')) {
     throw new AppError('Donor not found', 404);
   }
   
@@ -114,16 +116,20 @@ export const getNearbyRequests = asyncHandler(async (req, res) => {
   const nearbyRequests = await Request.find({
     ...geoQuery,
     status: 'pending',
+    // Overdue requests are hidden even before the expiry job runs
+    needByDate: { $gte: new Date() },
     bloodGroup: { $in: compatibleGroups },
-    isPublic: true
+    isPublic: true,
+    ...NOT_AWAITING_ENDORSEMENT
   })
   .populate('requester', 'name')
-  .sort({ needByDate: 1 });
+  // Hospital-endorsed requests first
+  .sort({ isEndorsed: -1, needByDate: 1 });
   
   res.status(200).json({
     success: true,
     count: nearbyRequests.length,
-    data: nearbyRequests
+    data: redactRequests(nearbyRequests, req.user)
   });
 });
 
@@ -190,7 +196,7 @@ export const getDonorStats = asyncHandler(async (req, res) => {
 export const checkEligibility = asyncHandler(async (req, res) => {
   const donor = await User.findById(req.user.id);
   
-  if (!donor || donor.role !== 'donor') {
+  if (!donor || !donor.hasRole('donor')) {
     throw new AppError('Donor not found', 404);
   }
   
@@ -1,5 +1,9 @@
 import User from '../models/User.js';
+import Camp from '../models/Camp.js';
+import Request from '../models/Request.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { NOT_AWAITING_ENDORSEMENT } from '../utils/requestEndorsement.js';
+import { isPrivileged } from '../utils/requestVisibility.js';
 
 /**
  * Get donor heatmap data
@@ -11,7 +15,7 @@ export const getDonorHeatmap = asyncHandler(async (req, res) => {
   
   // Build query
   let query = {
-    role: 'donor',
+    roles: 'donor',
     isAvailable: true,
     isActive: true,
     location: { $exists: true }
@@ -21,11 +25,11 @@ export const getDonorHeatmap = asyncHandler(async (req, res) => {
     query.bloodGroup = bloodGroup;
   }
   
-  // If user is not admin or doctor, anonymize the data
-  const isPrivileged = ['admin', 'doctor'].includes(req.user.role);
+  // Only admins and approved doctors see who the donors are
+  const showIdentity = isPrivileged(req.user);
   
   const donors = await User.find(query)
-    .select(isPrivileged ? 'location name bloodGroup donationCount' : 'location bloodGroup');
+    .select(showIdentity ? 'location name bloodGroup donationCount' : 'location bloodGroup');
   
   // Format data for heatmap
   const heatmapData = donors.map(donor => {
@@ -35,7 +39,7 @@ export const getDonorHeatmap = asyncHandler(async (req, res) => {
     };
     
     // Only include identifying info for privileged users
-    if (isPrivileged) {
+    if (showIdentity) {
       return {
         ...baseData,
         id: donor._id,
@@ -82,7 +86,6 @@ export const getCampMap = asyncHandler(async (req, res) => {
     query.status = { $in: ['upcoming', 'ongoing'] };
   }
   
-  const Camp = mongoose.model('Camp');
   const camps = await Camp.find(query)
     .select('title location address startDate endDate status organizer')
     .populate('organizer', 'name ngoName');
@@ -117,7 +120,8 @@ export const getRequestMap = asyncHandler(async (req, res) => {
   // Build query
   let query = {
     location: { $exists: true },
-    isPublic: true
+    isPublic: true,
+    ...NOT_AWAITING_ENDORSEMENT
   };
   
   if (bloodGroup) {
@@ -129,10 +133,14 @@ export const getRequestMap = asyncHandler(async (req, res) => {
   } else {
     query.status = 'pending';
   }
+
+  // Overdue requests are hidden even before the expiry job runs
+  if (['pending', 'matched'].includes(query.status)) {
+    query.needByDate = { $gte: new Date() };
+  }
   
-  const Request = mongoose.model('Request');
   const requests = await Request.find(query)
-    .select('bloodGroup location address status urgency needByDate');
+    .select('bloodGroup location address status urgency needByDate isEndorsed');
   
   // Format data for map
   const mapData = requests.map(request => ({
@@ -142,7 +150,8 @@ export const getRequestMap = asyncHandler(async (req, res) => {
     address: request.address,
     status: request.status,
     urgency: request.urgency,
-    needByDate: request.needByDate
+    needByDate: request.needByDate,
+    isEndorsed: request.isEndorsed
   }));
   
   res.status(200).json({
@@ -0,0 +1,205 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import {
+  MOCK_OIDC_ISSUER,
+  MOCK_OIDC_CLIENT_ID,
+  MOCK_OIDC_CLIENT_SECRET
+} from '../config/oidc.js';
+import { createPkceChallenge } from '../utils/oidc.js';
+import { generateRandomToken } from '../utils/tokenUtils.js';
+
+/**
+ * Minimal OpenID Connect provider for local development and tests.
+ * Any email can sign in; there are no passwords. Only mounted when
+ * OIDC_MOCK_ENABLED=true outside production.
+ */
+
+const CODE_EXPIRES_MS = 60 * 1000;
+
+// code -> {redirectUri, codeChallenge, nonce, claims, expiresAt}
+const authorizationCodes = new Map();
+let signingKey = null;
+
+/**
+ * Get the RSA key used to sign ID tokens, generating it on first use
+ * @returns {object} {privateKey, jwk}
+ */
+const getSigningKey = () => {
+  if (!signingKey) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const kid = generateRandomToken(8);
+    signingKey = {
+      privateKey,
+      jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }
+    };
+  }
+  return signingKey;
+};
+
+/**
+ * Escape a value for use in an HTML attribute
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Send an OAuth error response
+ */
+const sendOAuthError = (res, error, description) => res.status(400).json({
+  error,
+  error_description: description
+});
+
+/**
+ * Discovery document
+ * @route GET /api/dev/oidc/.well-known/openid-configuration
+ * @access Public (development only)
+ */
+export const getDiscoveryDocument = (req, res) => {
+  res.status(200).json({
+    issuer: MOCK_OIDC_ISSUER,
+    authorization_endpoint: `${MOCK_OIDC_ISSUER}/authorize`,
+    token_endpoint: `${MOCK_OIDC_ISSUER}/token`,
+    jwks_uri: `${MOCK_OIDC_ISSUER}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    code_challenge_methods_supported: ['S256'],
+    scopes_supported: ['openid', 'email', 'profile']
+  });
+};
+
+/**
+ * Public signing keys
+ * @route GET /api/dev/oidc/jwks
+ * @access Public (development only)
+ */
+export const getJwks = (req, res) => {
+  res.status(200).json({ keys: [getSigningKey().jwk] });
+};
+
+/**
+ * Authorization endpoint - shows a sign-in form, then redirects back with a code.
+ * Pass email (and optionally name, email_verified) to skip the form in tests.
+ * @route GET /api/dev/oidc/authorize
+ * @access Public (development only)
+ */
+export const authorize = (req, res) => {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    response_type: responseType,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    email,
+    name,
+    email_verified: emailVerified = 'true'
+  } = req.query;
+
+  if (clientId !== MOCK_OIDC_CLIENT_ID) {
+    return sendOAuthError(res, 'unauthorized_client', 'Unknown client_id');
+  }
+  if (responseType !== 'code' || !redirectUri || !state) {
+    return sendOAuthError(res, 'invalid_request', 'response_type=code, redirect_uri and state are required');
+  }
+  if (!codeChallenge || codeChallengeMethod !== 'S256') {
+    return sendOAuthError(res, 'invalid_request', 'PKCE with S256 is required');
+  }
+
+  if (!email) {
+    const hidden = Object.entries(req.query)
+      .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+      .join('');
+    return res.status(200).send(`
+      <form method="GET" style="font-family: Arial, sans-serif; max-width: 320px; margin: 40px auto;">
+        <h3>Mock identity provider</h3>
+        ${hidden}
+        <p><input name="email" type="email" placeholder="Email" required style="width:100%"></p>
+        <p><input name="name" placeholder="Name" style="width:100%"></p>
+        <p><label><input name="email_verified" type="checkbox" value="true" checked> Email verified</label></p>
+        <button type="submit">Sign in</button>
+      </form>
+    `);
+  }
+
+  const normalizedEmail = String(email).toLowerCase();
+  const code = generateRandomToken(24);
+  authorizationCodes.set(code, {
+    redirectUri,
+    codeChallenge,
+    nonce,
+    claims: {
+      // Stable subject per email address
+      sub: `mock-${crypto.createHash('sha256').update(normalizedEmail).digest('hex').slice(0, 24)}`,
+      email: normalizedEmail,
+      email_verified: emailVerified === 'true',
+      name: name || normalizedEmail.split('@')[0]
+    },
+    expiresAt: Date.now() + CODE_EXPIRES_MS
+  });
+
+  const redirect = new URL(redirectUri);
+  redirect.searchParams.set('code', code);
+  redirect.searchParams.set('state', state);
+  res.redirect(302, redirect.toString());
+};
+
+/**
+ * Token endpoint - exchanges a code for an ID token
+ * @route POST /api/dev/oidc/token
+ * @access Public (development only)
+ */
+export const issueTokens = (req, res) => {
+  const {
+    grant_type: grantType,
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    client_secret: clientSecret,
+    code_verifier: codeVerifier
+  } = req.body;
+
+  if (grantType !== 'authorization_code') {
+    return sendOAuthError(res, 'unsupported_grant_type', 'Only authorization_code is supported');
+  }
+  if (clientId !== MOCK_OIDC_CLIENT_ID || clientSecret !== MOCK_OIDC_CLIENT_SECRET) {
+    return res.status(401).json({ error: 'invalid_client', error_description: 'Invalid client credentials' });
+  }
+
+  const entry = authorizationCodes.get(code);
+  // Codes are single use
+  authorizationCodes.delete(code);
+
+  if (!entry || entry.expiresAt < Date.now()) {
+    return sendOAuthError(res, 'invalid_grant', 'Authorization code is invalid or expired');
+  }
+  if (entry.redirectUri !== redirectUri) {
+    return sendOAuthError(res, 'invalid_grant', 'redirect_uri does not match');
+  }
+  if (!codeVerifier || createPkceChallenge(codeVerifier) !== entry.codeChallenge) {
+    return sendOAuthError(res, 'invalid_grant', 'PKCE verification failed');
+  }
+
+  const { privateKey, jwk } = getSigningKey();
+  const idToken = jwt.sign(
+    { ...entry.claims, ...(entry.nonce ? { nonce: entry.nonce } : {}) },
+    privateKey,
+    {
+      algorithm: 'RS256',
+      keyid: jwk.kid,
+      audience: MOCK_OIDC_CLIENT_ID,
+      issuer: MOCK_OIDC_ISSUER,
+      expiresIn: '5m'
+    }
+  );
+
+  res.status(200).json({
+    access_token: generateRandomToken(24),
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: idToken
+  });
+};
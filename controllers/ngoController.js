@@ -12,7 +12,7 @@ export const getNgoProfile = asyncHandler(async (req, res) => {
   const ngo = await User.findById(req.params.id)
     .select('-password -resetPasswordToken -resetPasswordExpires -fcmToken');
   
-  if (!ngo || ngo.role !== 'ngo') {
+  if (!ngo || !ngo.hasRole('ngo')) {
     throw new AppError('NGO not found', 404);
   }
   
@@ -62,7 +62,7 @@ export const updateNgoProfile = asyncHandler(async (req, res) => {
   
   const ngo = await User.findById(req.user.id);
   
-  if (!ngo || ngo.role !== 'ngo') {
+  if (!ngo || !ngo.hasRole('ngo')) {
     throw new AppError('NGO not found', 404);
   }
   
@@ -1,8 +1,35 @@
 import Notification from '../models/Notification.js';
-import Request from '../models/Request.js';
+import Request, { PLEDGE_CHECKPOINTS, REQUEST_STATUS_TRANSITIONS } from '../models/Request.js';
 import User from '../models/User.js';
+import Donation from '../models/Donation.js';
+import RequestEvent from '../models/RequestEvent.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
 import { notifyUser } from '../utils/notify.js';
+import { recordRequestEvent, diffRequestFields } from '../utils/requestEvents.js';
+import {
+  resetEscalation,
+  clearEscalation,
+  rescheduleEscalation,
+  runEscalationStep
+} from '../utils/requestEscalation.js';
+import { getPledgeResponseDeadline, followUpReleasedPledge } from '../utils/pledges.js';
+import { findDuplicateRequests, getOpenRequestLimit, countOpenRequests } from '../utils/duplicateRequests.js';
+import Setting from '../models/Setting.js';
+import { isBloodCompatible } from '../utils/geoUtils.js';
+import {
+  isSameHospital,
+  isEndorsementRequired,
+  isAwaitingEndorsement,
+  requestEndorsement
+} from '../utils/requestEndorsement.js';
+import {
+  redactRequest,
+  redactRequests,
+  canViewRequest,
+  canViewRequestHistory,
+  redactRequestEvents,
+  buildVisibleRequestsQuery
+} from '../utils/requestVisibility.js';
 
 /**
  * Get user notifications
@@ -383,15 +410,19 @@ export const updateNotificationSettings = asyncHandler(async (req, res) => {
   });
 });
 
+// Times an acceptance is retried when another change to the request lands first
+const MAX_ACCEPT_ATTEMPTS = 3;
+
 /**
- * Donor accepts a blood request
- * @route PUT /api/requests/:id/accept
- * @access Private (Donor only)
+ * Add a donor's pledge to a request. The save only succeeds if nobody else
+ * changed the request since it was read; otherwise Mongoose throws a VersionError.
+ * @param {string} requestId - Request ID
+ * @param {string} donorId - Donor user ID
+ * @param {number|string} requestedUnits - Units offered, defaults to all remaining units
+ * @param {boolean} isRetry - Whether an earlier attempt lost a race
+ * @returns {object} {request, units, fullyPledged}
  */
-export const acceptRequest = asyncHandler(async (req, res) => {
-  const requestId = req.params.id;
-  const donorId = req.user.id;
-
+const pledgeToRequest = async (requestId, donorId, requestedUnits, isRetry) => {
   // Find the request
   const request = await Request.findById(requestId).populate('requester');
   if (!request) {
@@ -400,37 +431,241 @@ export const acceptRequest = asyncHandler(async (req, res) => {
 
   // Only allow accepting if pending
   if (request.status !== 'pending') {
-    throw new AppError('Only pending requests can be accepted', 400);
+    throw new AppError(
+      request.status === 'matched'
+        ? 'Another donor got there first - this request no longer needs donors'
+        : `Only pending requests can be accepted (this one is ${request.status})`,
+      409
+    );
+  }
+
+  if (isAwaitingEndorsement(request)) {
+    throw new AppError('This request is waiting for the hospital to confirm it', 409);
+  }
+
+  // Overdue requests are expired by a background job; don't let them be accepted meanwhile
+  if (request.needByDate < new Date()) {
+    throw new AppError('This request has passed its need-by date', 400);
   }
 
   // Prevent self-accept
-  if (request.requester._id.toString() === donorId) {
+  if (request.requester._id.toString() === donorId.toString()) {
     throw new AppError('You cannot accept your own request', 403);
   }
 
-  // Assign donor and update status
-  request.assignedDonor = donorId;
-  request.status = 'matched';
-  request.matchedAt = new Date();
+  if (request.getActivePledge(donorId)) {
+    throw new AppError('You have already pledged to this request', 400);
+  }
+
+  // Default to covering everything that is still needed
+  const unitsRemaining = request.unitsRemaining;
+  const units = requestedUnits === undefined ? unitsRemaining : parseInt(requestedUnits);
+  if (!units || units < 1 || units > unitsRemaining) {
+    // After losing a race the units were taken by someone else
+    throw new AppError(`Please pledge between 1 and ${unitsRemaining} unit(s)`, isRetry ? 409 : 400);
+  }
+
+  request.pledges.push({
+    donor: donorId,
+    units,
+    respondBy: await getPledgeResponseDeadline(request.urgency)
+  });
+  request.syncUnitTotals();
+
+  // Track how quickly alerted donors respond
+  const alert = request.donorAlerts.find(a => a.donor.toString() === donorId.toString());
+  if (alert && !alert.respondedAt) {
+    alert.respondedAt = new Date();
+  }
+  if (!request.assignedDonor) {
+    request.assignedDonor = donorId;
+  }
+
+  // Fully pledged requests are closed to further donors
+  const fullyPledged = request.unitsPledged >= request.units;
+  if (fullyPledged) {
+    request.status = 'matched';
+    request.matchedAt = new Date();
+  }
   await request.save();
 
+  return { request, units, fullyPledged };
+};
+
+/**
+ * Donor accepts a blood request by pledging some or all of the remaining units.
+ * The request stays open until enough units are pledged. When two donors
+ * accept at once, the one who loses gets a 409 and a notification.
+ * @route PUT /api/requests/:id/accept
+ * @access Private (Donor only)
+ */
+export const acceptRequest = asyncHandler(async (req, res) => {
+  const requestId = req.params.id;
+  const donorId = req.user.id;
+
+  let result = null;
+  let lostRace = false;
+  for (let attempt = 1; !result; attempt++) {
+    try {
+      result = await pledgeToRequest(requestId, donorId, req.body.units, lostRace);
+    } catch (error) {
+      if (error.name === 'VersionError' && attempt < MAX_ACCEPT_ATTEMPTS) {
+        // Someone else changed the request first - re-read and check again
+        lostRace = true;
+        continue;
+      }
+
+      if (lostRace && (error.statusCode === 409 || error.name === 'VersionError')) {
+        const donor = await User.findById(donorId);
+        if (donor) {
+          await notifyUser(donor, {
+            title: 'Another donor got there first',
+            message: 'The blood request you tried to accept was taken by another donor at the same moment. Thank you for offering to help!',
+            type: 'request',
+            actionUrl: `/requests/${requestId}`,
+            details: { requestId }
+          }, Notification);
+        }
+      }
+      throw error;
+    }
+  }
+
+  const { request, units, fullyPledged } = result;
+
+  await recordRequestEvent(request, fullyPledged ? 'matched' : 'pledged', {
+    req,
+    fromStatus: 'pending',
+    details: { donor: donorId, units, unitsPledged: request.unitsPledged }
+  });
+
   // Notify requester
   const notificationData = {
     title: 'A donor has accepted your request!',
-    message: `Donor has accepted your blood request for ${request.bloodGroup}. Please coordinate for donation.`,
+    message: fullyPledged
+      ? `All ${request.units} unit(s) of ${request.bloodGroup} for your request have now been pledged. Please coordinate with your donors.`
+      : `A donor has pledged ${units} unit(s) of ${request.bloodGroup}. ${request.unitsRemaining} unit(s) still needed.`,
     type: 'match',
     actionUrl: `/requests/${request._id}`,
     details: {
       requestId: request._id,
-      donorId: donorId
+      donorId: donorId,
+      units,
+      unitsPledged: request.unitsPledged
     }
   };
   await notifyUser(request.requester, notificationData, Notification);
 
   res.status(200).json({
     success: true,
-    message: 'Request accepted successfully',
-    data: request
+    message: fullyPledged
+      ? 'Request accepted successfully'
+      : `Pledge recorded. ${request.unitsRemaining} unit(s) still needed`,
+    data: redactRequest(request, req.user)
+  });
+});
+
+/**
+ * Donor reports progress on their pledge (confirmed, on my way, arrived).
+ * Each checkpoint resets the response deadline; arriving clears it.
+ * @route PUT /api/requests/:id/checkpoint
+ * @access Private (Donor only)
+ */
+export const updatePledgeCheckpoint = asyncHandler(async (req, res) => {
+  const { checkpoint, note } = req.body;
+
+  if (!PLEDGE_CHECKPOINTS.includes(checkpoint)) {
+    throw new AppError(`Checkpoint must be one of: ${PLEDGE_CHECKPOINTS.join(', ')}`, 400);
+  }
+
+  const request = await Request.findById(req.params.id).populate('requester');
+  if (!request) {
+    throw new AppError('Request not found', 404);
+  }
+
+  if (!['pending', 'matched'].includes(request.status)) {
+    throw new AppError(`Cannot update a pledge on a request with status: ${request.status}`, 400);
+  }
+
+  const pledge = request.getActivePledge(req.user.id);
+  if (!pledge) {
+    throw new AppError('You have no open pledge on this request', 404);
+  }
+
+  if (pledge.checkpoints.some(c => c.stage === checkpoint)) {
+    throw new AppError(`You have already marked this pledge as ${checkpoint}`, 400);
+  }
+
+  pledge.checkpoints.push({ stage: checkpoint, note });
+  // Once the donor has arrived it's down to the hospital, not the donor
+  pledge.respondBy = checkpoint === 'arrived'
+    ? undefined
+    : await getPledgeResponseDeadline(request.urgency);
+  request.updatedAt = new Date();
+  await request.save();
+
+  await recordRequestEvent(request, 'checkpoint', {
+    req,
+    details: { donor: req.user.id, checkpoint, note }
+  });
+
+  const checkpointMessages = {
+    confirmed: 'has confirmed they will donate',
+    'on-my-way': 'is on their way',
+    arrived: 'has arrived to donate'
+  };
+  await notifyUser(request.requester, {
+    title: 'Donor update',
+    message: `${req.user.name} ${checkpointMessages[checkpoint]} for your ${request.bloodGroup} request.`,
+    type: 'match',
+    actionUrl: `/requests/${request._id}`,
+    details: {
+      requestId: request._id,
+      donorId: req.user.id,
+      checkpoint
+    }
+  }, Notification);
+
+  res.status(200).json({
+    success: true,
+    message: 'Pledge updated',
+    data: pledge
+  });
+});
+
+/**
+ * Donor withdraws their pledge when they can no longer make it
+ * @route PUT /api/requests/:id/withdraw
+ * @access Private (Donor only)
+ */
+export const withdrawPledge = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  const request = await Request.findById(req.params.id).populate('requester');
+  if (!request) {
+    throw new AppError('Request not found', 404);
+  }
+
+  if (!['pending', 'matched'].includes(request.status)) {
+    throw new AppError(`Cannot withdraw from a request with status: ${request.status}`, 400);
+  }
+
+  const pledge = request.getActivePledge(req.user.id);
+  if (!pledge) {
+    throw new AppError('You have no open pledge on this request', 404);
+  }
+
+  const previousStatus = request.status;
+  request.releasePledge(pledge, 'withdrawn');
+  request.updatedAt = new Date();
+  await request.save();
+
+  await followUpReleasedPledge(request, pledge, { req, fromStatus: previousStatus, reason });
+
+  res.status(200).json({
+    success: true,
+    message: 'You have withdrawn from this request',
+    data: redactRequest(request, req.user)
   });
 });
 
@@ -455,36 +690,44 @@ export const cancelRequest = asyncHandler(async (req, res) => {
     throw new AppError('Not authorized to cancel this request', 403);
   }
 
-  // Only allow cancelling if not already fulfilled or cancelled
-  if (['fulfilled', 'cancelled', 'expired'].includes(request.status)) {
-    throw new AppError(`Cannot cancel a request with status: ${request.status}`, 400);
+  // Expired requests are renewed rather than cancelled
+  if (request.status === 'expired' || !Request.canTransition(request.status, 'cancelled')) {
+    throw new AppError(`Cannot cancel a request with status: ${request.status}`, 409);
   }
 
+  const pledgedDonorIds = request.getPledgedDonorIds();
+  const previousStatus = request.status;
+
   request.status = 'cancelled';
+  request.releaseOpenPledges();
   request.updatedAt = new Date();
   await request.save();
 
-  // Notify assigned donor if any
-  if (request.assignedDonor) {
-    const donor = await User.findById(request.assignedDonor);
-    if (donor) {
-      const notificationData = {
-        title: 'Request Cancelled',
-        message: `The blood request you accepted has been cancelled by the requester or admin.`,
-        type: 'cancel',
-        actionUrl: `/requests/${request._id}`,
-        details: {
-          requestId: request._id
-        }
-      };
-      await notifyUser(donor, notificationData, Notification);
-    }
+  await recordRequestEvent(request, 'cancelled', {
+    req,
+    fromStatus: previousStatus,
+    details: { reason: req.body.reason, releasedDonors: pledgedDonorIds }
+  });
+
+  // Notify every donor who had pledged
+  const donors = await User.find({ _id: { $in: pledgedDonorIds } });
+  for (const donor of donors) {
+    const notificationData = {
+      title: 'Request Cancelled',
+      message: `The blood request you accepted has been cancelled by the requester or admin.`,
+      type: 'cancel',
+      actionUrl: `/requests/${request._id}`,
+      details: {
+        requestId: request._id
+      }
+    };
+    await notifyUser(donor, notificationData, Notification);
   }
 
   res.status(200).json({
     success: true,
     message: 'Request cancelled successfully',
-    data: request
+    data: redactRequest(request, req.user)
   });
 });
 
@@ -500,6 +743,7 @@ export const createRequest = asyncHandler(async (req, res) => {
     diseases = [],
     location,
     address,
+    hospital,
     needByDate,
     urgency = 'medium',
     patientName,
@@ -507,7 +751,8 @@ export const createRequest = asyncHandler(async (req, res) => {
     patientGender,
     purpose,
     additionalNotes,
-    isPublic = true
+    isPublic = true,
+    confirmNotDuplicate = false
   } = req.body;
 
   // Validate required fields
@@ -515,6 +760,46 @@ export const createRequest = asyncHandler(async (req, res) => {
     throw new AppError('Please provide all required fields', 400);
   }
 
+  // A doctor at the named hospital has to confirm the request before donors see it
+  const endorsementRequired = await isEndorsementRequired({ urgency });
+  if (endorsementRequired && !hospital?.name?.trim()) {
+    throw new AppError('Critical requests must name the hospital so a doctor there can endorse them', 400);
+  }
+
+  // Cap how many requests one account can have open at once
+  const requester = await User.findById(req.user.id);
+  const openRequestLimit = await getOpenRequestLimit(requester);
+  if (await countOpenRequests(req.user.id) >= openRequestLimit) {
+    throw new AppError(
+      `You already have ${openRequestLimit} open request(s). Close or update an existing request, or contact support if you need more`,
+      403
+    );
+  }
+
+  // Each duplicate alerts the same donors again - send the requester to the existing request
+  const duplicates = await findDuplicateRequests({ bloodGroup, patientName, location, needByDate }, req.user.id);
+  if (duplicates.length > 0) {
+    const duplicateHandling = await Setting.getValue('requests.duplicateHandling');
+    if (duplicateHandling === 'block' || !confirmNotDuplicate) {
+      return res.status(409).json({
+        success: false,
+        message: duplicateHandling === 'block'
+          ? 'A matching open request already exists for this patient'
+          : 'This looks like a request that is already open. Resubmit with confirmNotDuplicate: true if it is a separate need',
+        canConfirm: duplicateHandling !== 'block',
+        duplicates: duplicates.map(duplicate => ({
+          id: duplicate._id,
+          url: `/requests/${duplicate._id}`,
+          bloodGroup: duplicate.bloodGroup,
+          units: duplicate.units,
+          status: duplicate.status,
+          needByDate: duplicate.needByDate,
+          createdAt: duplicate.createdAt
+        }))
+      });
+    }
+  }
+
   // Create request
   const request = new Request({
     requester: req.user.id,
@@ -523,6 +808,7 @@ export const createRequest = asyncHandler(async (req, res) => {
     diseases,
     location,
     address,
+    hospital,
     needByDate,
     urgency,
     patientName,
@@ -531,16 +817,120 @@ export const createRequest = asyncHandler(async (req, res) => {
     purpose,
     additionalNotes,
     isPublic,
+    endorsement: { required: endorsementRequired },
+    possibleDuplicateOf: duplicates.map(duplicate => duplicate._id),
     status: 'pending',
     createdAt: new Date()
   });
+  // Requests waiting for an endorsement start escalating once endorsed
+  if (!endorsementRequired) {
+    resetEscalation(request);
+  }
 
   await request.save();
 
+  await recordRequestEvent(request, 'created', {
+    req,
+    fromStatus: null,
+    details: duplicates.length > 0
+      ? { confirmedNotDuplicate: true, possibleDuplicateOf: request.possibleDuplicateOf }
+      : undefined
+  });
+
+  // First escalation step alerts nearby donors. Alerting can mean dozens of
+  // emails - don't make the requester wait for it
+  runEscalationStep(request)
+    .catch(error => console.error(`Donor matching error for request ${request._id}:`, error));
+
+  if (request.hospital?.name) {
+    requestEndorsement(request)
+      .catch(error => console.error(`Endorsement request error for request ${request._id}:`, error));
+  }
+
   res.status(201).json({
     success: true,
-    message: 'Blood request created successfully',
-    data: request
+    message: endorsementRequired
+      ? 'Blood request created. Donors will be alerted once a doctor at the hospital endorses it'
+      : 'Blood request created successfully',
+    data: redactRequest(request, req.user)
+  });
+});
+
+/**
+ * Doctor at the hospital named on a request confirms it is genuine. Endorsed
+ * requests get a badge and go first in donor matching; requests held back
+ * waiting for an endorsement start alerting donors.
+ * @route PUT /api/requests/:id/endorse
+ * @access Private (Doctor only)
+ */
+export const endorseRequest = asyncHandler(async (req, res) => {
+  const { note } = req.body;
+
+  const request = await Request.findById(req.params.id);
+  if (!request) {
+    throw new AppError('Request not found', 404);
+  }
+
+  if (!['pending', 'matched'].includes(request.status)) {
+    throw new AppError(`Only open requests can be endorsed (this one is ${request.status})`, 409);
+  }
+
+  if (request.isEndorsed) {
+    throw new AppError('This request has already been endorsed', 409);
+  }
+
+  if (!request.hospital?.name) {
+    throw new AppError('This request does not name a hospital to endorse it', 400);
+  }
+
+  if (request.requester.toString() === req.user.id.toString()) {
+    throw new AppError('You cannot endorse your own request', 403);
+  }
+
+  // Goes by the hospital an admin confirmed, not whatever is on the profile
+  const doctor = await User.findById(req.user.id).select('name credentials');
+  const hospitalName = doctor?.getConfirmedHospitalName();
+  if (!isSameHospital(hospitalName, request.hospital.name)) {
+    throw new AppError(`Only doctors at ${request.hospital.name} can endorse this request`, 403);
+  }
+
+  const wasAwaiting = isAwaitingEndorsement(request);
+  request.isEndorsed = true;
+  request.endorsement.endorsedBy = req.user.id;
+  request.endorsement.endorsedAt = new Date();
+  request.endorsement.hospitalName = hospitalName;
+  request.endorsement.note = note;
+  if (wasAwaiting && request.status === 'pending') {
+    resetEscalation(request);
+  }
+  request.updatedAt = new Date();
+  await request.save();
+
+  await recordRequestEvent(request, 'endorsed', {
+    req,
+    details: { hospitalName, note, releasedToDonors: wasAwaiting }
+  });
+
+  const requester = await User.findById(request.requester);
+  if (requester) {
+    await notifyUser(requester, {
+      title: 'Your request has been endorsed',
+      message: `A doctor at ${hospitalName} confirmed your request for ${request.bloodGroup} blood.${wasAwaiting ? ' Nearby donors are being alerted now.' : ''}`,
+      type: 'request',
+      actionUrl: `/requests/${request._id}`,
+      details: { requestId: request._id, hospitalName }
+    }, Notification);
+  }
+
+  if (wasAwaiting) {
+    runEscalationStep(request)
+      .catch(error => console.error(`Donor matching error for request ${request._id}:`, error));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Request endorsed successfully',
+    data: redactRequest(request, req.user)
   });
 });
 
@@ -555,58 +945,106 @@ export const fulfillRequest = asyncHandler(async (req, res) => {
   const { donationDate, hospitalName, hospitalAddress, notes } = req.body;
 
   // Find the request
-  const request = await Request.findById(requestId).populate('assignedDonor requester');
+  const request = await Request.findById(requestId).populate('requester');
   if (!request) {
     throw new AppError('Request not found', 404);
   }
 
   // Only allow fulfilling if matched and not already fulfilled/cancelled
   if (request.status !== 'matched') {
-    throw new AppError('Only matched requests can be fulfilled', 400);
+    throw new AppError(`Only matched requests can be fulfilled (this one is ${request.status})`, 409);
+  }
+
+  const fulfilledHospitalName = hospitalName || request.hospital?.name;
+  if (!fulfilledHospitalName) {
+    throw new AppError('Please provide the hospital where the donation took place', 400);
   }
 
+  // Every open pledge counts as donated, with a donation record per donor
+  const pledgedDonorIds = request.getPledgedDonorIds();
+  const donations = [];
+  request.pledges.forEach(pledge => {
+    if (pledge.status === 'pledged') {
+      const donation = new Donation({
+        donor: pledge.donor,
+        request: request._id,
+        requester: request.requester._id,
+        bloodGroup: request.bloodGroup,
+        units: pledge.units,
+        donationDate: donationDate ? new Date(donationDate) : new Date(),
+        location: { type: 'Point', coordinates: request.location.coordinates },
+        hospitalName: fulfilledHospitalName,
+        hospitalAddress: hospitalAddress || request.hospital?.address || '',
+        verifiedBy: doctorId,
+        notes: notes || '',
+        status: 'verified'
+      });
+      donations.push(donation);
+
+      pledge.status = 'verified';
+      pledge.donation = donation._id;
+      pledge.verifiedAt = new Date();
+      pledge.verifiedBy = doctorId;
+    }
+  });
+  request.syncUnitTotals();
+  await Promise.all(donations.map(donation => donation.validate()));
+
   // Mark as fulfilled
   request.status = 'fulfilled';
   request.fulfilledAt = new Date();
   request.verifiedBy = doctorId;
   request.verifiedAt = new Date();
   request.hospital = {
-    name: hospitalName || '',
-    address: hospitalAddress || '',
+    name: fulfilledHospitalName,
+    address: hospitalAddress || request.hospital?.address || '',
     phone: req.user.phone || ''
   };
-  request.notes = notes || '';
   await request.save();
 
+  // Only stored once the request save has gone through; each one also updates the donor's stats
+  for (const donation of donations) {
+    await donation.save();
+  }
+
+  await recordRequestEvent(request, 'fulfilled', {
+    req,
+    fromStatus: 'matched',
+    details: {
+      donors: pledgedDonorIds,
+      donations: donations.map(donation => donation._id),
+      hospital: request.hospital,
+      notes: notes || ''
+    }
+  });
+
   // Notify requester and donor
   if (request.requester) {
     const notificationData = {
       title: 'Your blood request has been fulfilled!',
       message: 'The donation for your request has been completed and verified by a doctor.',
-      type: 'fulfillment',
+      type: 'donation',
       actionUrl: `/requests/${request._id}`,
       details: { requestId: request._id }
     };
     await notifyUser(request.requester, notificationData, Notification);
   }
-  if (request.assignedDonor) {
-    const donor = await User.findById(request.assignedDonor);
-    if (donor) {
-      const notificationData = {
-        title: 'Donation Verified',
-        message: 'Your blood donation has been verified by a doctor. Thank you!',
-        type: 'fulfillment',
-        actionUrl: `/requests/${request._id}`,
-        details: { requestId: request._id }
-      };
-      await notifyUser(donor, notificationData, Notification);
-    }
+  const donors = await User.find({ _id: { $in: pledgedDonorIds } });
+  for (const donor of donors) {
+    const notificationData = {
+      title: 'Donation Verified',
+      message: 'Your blood donation has been verified by a doctor. Thank you!',
+      type: 'verification',
+      actionUrl: `/requests/${request._id}`,
+      details: { requestId: request._id }
+    };
+    await notifyUser(donor, notificationData, Notification);
   }
 
   res.status(200).json({
     success: true,
     message: 'Request fulfilled and verified successfully',
-    data: request
+    data: redactRequest(request, req.user)
   });
 });
 
@@ -620,56 +1058,362 @@ export const getRequestById = asyncHandler(async (req, res) => {
   const request = await Request.findById(requestId)
     .populate('requester', 'name email phone')
     .populate('assignedDonor', 'name email phone')
+    .populate('pledges.donor', 'name email phone')
     .populate('verifiedBy', 'name email phone');
 
+  // Private requests look the same as missing ones to everyone else
+  if (!request || !canViewRequest(request, req.user)) {
+    throw new AppError('Request not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: redactRequest(request, req.user)
+  });
+});
+
+/**
+ * Get the status history of a blood request
+ * @route GET /api/requests/:id/timeline
+ * @access Private (Requester, donors with an active pledge, approved Doctor, Admin)
+ */
+export const getRequestTimeline = asyncHandler(async (req, res) => {
+  const request = await Request.findById(req.params.id).select('requester pledges status');
   if (!request) {
     throw new AppError('Request not found', 404);
   }
 
+  if (!canViewRequestHistory(request, req.user)) {
+    throw new AppError('Not authorized to view this request history', 403);
+  }
+
+  const events = await RequestEvent.find({ request: request._id })
+    .populate('actor', 'name role')
+    .populate('impersonatedBy', 'name')
+    .sort({ createdAt: 1 });
+
   res.status(200).json({
     success: true,
-    data: request
+    count: events.length,
+    data: redactRequestEvents(events, request, req.user)
   });
 });
 
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'critical'];
+const DEFAULT_SEARCH_RADIUS_KM = 10;
+const MAX_SEARCH_RADIUS_KM = 500;
+const MAX_PAGE_SIZE = 100;
+const EARTH_RADIUS_KM = 6378.1;
+
+const REQUEST_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  deadline: { needByDate: 1, createdAt: -1 },
+  endorsed: { isEndorsed: -1, needByDate: 1, createdAt: -1 }
+};
+
+/**
+ * Split a comma-separated query value, checking every item is allowed
+ * @param {string} value - e.g. "high,critical"
+ * @param {Array} allowed - Allowed values
+ * @param {string} name - Parameter name for the error message
+ * @returns {Array}
+ */
+const parseListParam = (value, allowed, name) => {
+  const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  const invalid = items.filter(item => !allowed.includes(item));
+  if (invalid.length > 0) {
+    throw new AppError(`Invalid ${name}: ${invalid.join(', ')}`, 400);
+  }
+  return items;
+};
+
+/**
+ * Parse a date query parameter
+ * @param {string} value
+ * @param {string} name - Parameter name for the error message
+ * @returns {Date}
+ */
+const parseDateParam = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid date for ${name}`, 400);
+  }
+  return date;
+};
+
+/**
+ * Build the MongoDB query for the request listing from its query parameters
+ * @param {object} params - req.query
+ * @param {object} user - Current user (for compatibleWith=me)
+ * @returns {Promise<object>} {query, near} - near is {coordinates, radiusKm} or null
+ */
+const buildRequestListQuery = async (params, user) => {
+  const {
+    status, bloodGroup, requester, assignedDonor, donor,
+    urgency, needByFrom, needByTo, compatibleWith, q,
+    lat, lng, radius, bbox, endorsed
+  } = params;
+  const query = {};
+
+  if (status) query.status = { $in: parseListParam(status, Object.keys(REQUEST_STATUS_TRANSITIONS), 'status') };
+  if (urgency) query.urgency = { $in: parseListParam(urgency, URGENCY_LEVELS, 'urgency') };
+  if (requester) query.requester = requester;
+  if (assignedDonor) query.assignedDonor = assignedDonor;
+  if (donor) query['pledges.donor'] = donor;
+  if (endorsed !== undefined) {
+    if (!['true', 'false'].includes(String(endorsed))) {
+      throw new AppError('endorsed must be true or false', 400);
+    }
+    query.isEndorsed = String(endorsed) === 'true';
+  }
+
+  const bloodGroups = bloodGroup ? parseListParam(bloodGroup, BLOOD_GROUPS, 'bloodGroup') : null;
+
+  // Requests a donor of the given group (or the current user's group) can give to
+  if (compatibleWith) {
+    let donorGroup = compatibleWith;
+    if (compatibleWith === 'me') {
+      const currentUser = await User.findById(user.id).select('bloodGroup');
+      donorGroup = currentUser?.bloodGroup;
+      if (!donorGroup) {
+        throw new AppError('Add your blood group to your profile to filter by compatibility', 400);
+      }
+    } else if (!BLOOD_GROUPS.includes(compatibleWith)) {
+      throw new AppError(`Invalid compatibleWith: ${compatibleWith}`, 400);
+    }
+
+    const recipientGroups = BLOOD_GROUPS.filter(group => isBloodCompatible(donorGroup, group));
+    query.bloodGroup = {
+      $in: bloodGroups ? recipientGroups.filter(group => bloodGroups.includes(group)) : recipientGroups
+    };
+  } else if (bloodGroups) {
+    query.bloodGroup = { $in: bloodGroups };
+  }
+
+  if (needByFrom || needByTo) {
+    query.needByDate = {};
+    if (needByFrom) query.needByDate.$gte = parseDateParam(needByFrom, 'needByFrom');
+    if (needByTo) query.needByDate.$lte = parseDateParam(needByTo, 'needByTo');
+  }
+
+  // Free-text search on where and why blood is needed
+  if (q && String(q).trim()) {
+    const pattern = new RegExp(String(q).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [
+      { address: pattern },
+      { 'hospital.name': pattern },
+      { 'hospital.address': pattern },
+      { purpose: pattern }
+    ];
+  }
+
+  let near = null;
+  if (lat !== undefined || lng !== undefined) {
+    const coordinates = [parseFloat(lng), parseFloat(lat)];
+    if (coordinates.some(isNaN) || Math.abs(coordinates[0]) > 180 || Math.abs(coordinates[1]) > 90) {
+      throw new AppError('Please provide a valid lat and lng', 400);
+    }
+    const radiusKm = radius === undefined ? DEFAULT_SEARCH_RADIUS_KM : parseFloat(radius);
+    if (!(radiusKm > 0) || radiusKm > MAX_SEARCH_RADIUS_KM) {
+      throw new AppError(`Radius must be between 0 and ${MAX_SEARCH_RADIUS_KM} km`, 400);
+    }
+    near = { coordinates, radiusKm };
+  }
+
+  if (bbox) {
+    if (near) {
+      throw new AppError('Use either lat/lng or bbox, not both', 400);
+    }
+    const [minLng, minLat, maxLng, maxLat] = String(bbox).split(',').map(parseFloat);
+    if ([minLng, minLat, maxLng, maxLat].some(isNaN) || minLng >= maxLng || minLat >= maxLat) {
+      throw new AppError('bbox must be minLng,minLat,maxLng,maxLat', 400);
+    }
+    query.location = {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[
+            [minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]
+          ]]
+        }
+      }
+    };
+  }
+
+  return { query, near };
+};
+
 /**
  * Get all blood requests (with optional filters)
+ * Filters: status, bloodGroup, urgency (comma-separated lists), requester, assignedDonor,
+ * donor (any pledge), needByFrom/needByTo, compatibleWith (blood group or "me"), q (text),
+ * endorsed (true/false), lat/lng/radius (km) or bbox=minLng,minLat,maxLng,maxLat.
+ * Sort: newest (default), oldest, deadline, endorsed (endorsed first), distance (needs lat/lng).
  * @route GET /api/requests
  * @access Private
  */
 export const getRequests = asyncHandler(async (req, res) => {
-  const { status, bloodGroup, requester, assignedDonor, page = 1, limit = 10 } = req.query;
-  const query = {};
+  const { sort = 'newest' } = req.query;
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), MAX_PAGE_SIZE);
+  const skip = (page - 1) * limit;
 
-  if (status) query.status = status;
-  if (bloodGroup) query.bloodGroup = bloodGroup;
-  if (requester) query.requester = requester;
-  if (assignedDonor) query.assignedDonor = assignedDonor;
+  if (sort !== 'distance' && !REQUEST_SORTS[sort]) {
+    throw new AppError(`Invalid sort: ${sort}. Use newest, oldest, deadline, endorsed or distance`, 400);
+  }
 
-  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const { query: filters, near } = await buildRequestListQuery(req.query, req.user);
+  const visibility = buildVisibleRequestsQuery(req.user);
+  const query = visibility.$or ? { $and: [filters, visibility] } : filters;
 
-  const requests = await Request.find(query)
-    .populate('requester', 'name email phone')
-    .populate('assignedDonor', 'name email phone')
-    .populate('verifiedBy', 'name email phone')
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(parseInt(limit));
+  if (sort === 'distance' && !near) {
+    throw new AppError('Sorting by distance needs lat and lng', 400);
+  }
+
+  let requests;
+  let total;
+
+  if (near) {
+    // $geoNear works out each request's distance for filtering, sorting and the response
+    const [result] = await Request.aggregate([
+      {
+        $geoNear: {
+          near: { type: 'Point', coordinates: near.coordinates },
+          distanceField: 'distanceKm',
+          distanceMultiplier: 0.001,
+          maxDistance: near.radiusKm * 1000,
+          query,
+          spherical: true
+        }
+      },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          data: [
+            { $sort: sort === 'distance' ? { distanceKm: 1, _id: 1 } : { ...REQUEST_SORTS[sort], _id: 1 } },
+            { $skip: skip },
+            { $limit: limit }
+          ]
+        }
+      }
+    ]);
 
-  const total = await Request.countDocuments(query);
+    total = result.total[0]?.count || 0;
+    requests = await Request.populate(
+      result.data.map(request => ({ ...request, distanceKm: Math.round(request.distanceKm * 10) / 10 })),
+      [
+        { path: 'requester', select: 'name email phone' },
+        { path: 'assignedDonor', select: 'name email phone' },
+        { path: 'verifiedBy', select: 'name email phone' }
+      ]
+    );
+  } else {
+    requests = await Request.find(query)
+      .populate('requester', 'name email phone')
+      .populate('assignedDonor', 'name email phone')
+      .populate('verifiedBy', 'name email phone')
+      .sort(REQUEST_SORTS[sort])
+      .skip(skip)
+      .limit(limit);
+
+    total = await Request.countDocuments(query);
+  }
 
   res.status(200).json({
     success: true,
     count: requests.length,
     total,
-    totalPages: Math.ceil(total / parseInt(limit)),
-    currentPage: parseInt(page),
-    data: requests
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    data: redactRequests(requests, req.user)
+  });
+});
+
+/**
+ * Renew an expired blood request with a new need-by date
+ * @route PUT /api/requests/:id/renew
+ * @access Private (Requester only)
+ */
+export const renewRequest = asyncHandler(async (req, res) => {
+  const { needByDate, urgency } = req.body;
+
+  if (!needByDate) {
+    throw new AppError('Please provide a new need-by date', 400);
+  }
+
+  const newNeedByDate = new Date(needByDate);
+  if (isNaN(newNeedByDate.getTime()) || newNeedByDate <= new Date()) {
+    throw new AppError('Need-by date must be in the future', 400);
+  }
+
+  const request = await Request.findById(req.params.id);
+  if (!request) {
+    throw new AppError('Request not found', 404);
+  }
+
+  if (request.requester.toString() !== req.user.id.toString()) {
+    throw new AppError('Not authorized to renew this request', 403);
+  }
+
+  if (request.status !== 'expired') {
+    throw new AppError('Only expired requests can be renewed', 409);
+  }
+
+  const previousNeedByDate = request.needByDate;
+  const previousUrgency = request.urgency;
+  const releasedDonors = request.getPledgedDonorIds();
+
+  // Back to the open pool - any open pledges have been released
+  request.status = 'pending';
+  request.needByDate = newNeedByDate;
+  if (urgency) request.urgency = urgency;
+  request.releaseOpenPledges();
+  request.assignedDonor = null;
+  request.matchedAt = undefined;
+  request.renewedAt = new Date();
+  request.renewalCount = (request.renewalCount || 0) + 1;
+  request.updatedAt = new Date();
+  request.endorsement.required = !request.isEndorsed && await isEndorsementRequired(request);
+  // Search again from the first step, or wait for the endorsement
+  if (isAwaitingEndorsement(request)) {
+    clearEscalation(request);
+  } else {
+    resetEscalation(request);
+  }
+  await request.save();
+
+  await recordRequestEvent(request, 'renewed', {
+    req,
+    fromStatus: 'expired',
+    changes: diffRequestFields(
+      { needByDate: previousNeedByDate, urgency: previousUrgency },
+      request,
+      ['needByDate', 'urgency']
+    ),
+    details: { renewalCount: request.renewalCount, releasedDonors }
+  });
+
+  runEscalationStep(request)
+    .catch(error => console.error(`Donor matching error for request ${request._id}:`, error));
+
+  res.status(200).json({
+    success: true,
+    message: 'Request renewed successfully',
+    data: redactRequest(request, req.user)
   });
 });
 
+// Details a doctor vouches for by endorsing a request (the hospital can't change at all)
+const ENDORSED_FIELDS = [
+  'bloodGroup', 'units', 'diseases', 'location', 'address',
+  'patientName', 'patientAge', 'patientGender', 'purpose'
+];
+
 /**
- * Update a blood request (by requester or admin)
+ * Update a blood request (by requester or admin). Changing the details a
+ * doctor endorsed withdraws the endorsement and asks the hospital again.
  * @route PUT /api/requests/:id
  * @access Private (Requester or Admin)
  */
@@ -694,22 +1438,83 @@ export const updateRequest = asyncHandler(async (req, res) => {
     throw new AppError(`Cannot update a request with status: ${request.status}`, 400);
   }
 
+  // The endorsement vouches for the request at that hospital
+  if (req.body.hospital !== undefined && request.isEndorsed &&
+      !isSameHospital(req.body.hospital?.name, request.hospital?.name)) {
+    throw new AppError('The hospital cannot be changed after a doctor there has endorsed the request', 400);
+  }
+
+  // Raising an unendorsed request to critical would skip the endorsement admins require
+  if (req.body.urgency === 'critical' && request.urgency !== 'critical' && !request.isEndorsed &&
+      userRole !== 'admin' && await isEndorsementRequired({ urgency: 'critical' })) {
+    throw new AppError('Critical requests must be endorsed by a doctor at the hospital first', 403);
+  }
+
   // Update allowed fields
   const updatableFields = [
-    'bloodGroup', 'units', 'diseases', 'location', 'address', 'needByDate',
+    'bloodGroup', 'units', 'diseases', 'location', 'address', 'hospital', 'needByDate',
     'urgency', 'patientName', 'patientAge', 'patientGender', 'purpose', 'additionalNotes', 'isPublic'
   ];
+  const before = request.toObject();
+  const previousStatus = request.status;
   updatableFields.forEach(field => {
     if (req.body[field] !== undefined) {
       request[field] = req.body[field];
     }
   });
+
+  // Units can't drop below what donors have already pledged
+  if (req.body.units !== undefined) {
+    if (request.units < request.unitsPledged) {
+      throw new AppError(`Units cannot be less than the ${request.unitsPledged} unit(s) already pledged`, 400);
+    }
+    if (request.status === 'matched' && request.unitsPledged < request.units) {
+      request.status = 'pending';
+    } else if (request.status === 'pending' && request.unitsPledged > 0 &&
+        request.unitsPledged >= request.units) {
+      request.status = 'matched';
+      request.matchedAt = new Date();
+    }
+  }
+  const changes = diffRequestFields(before, request.toObject(), updatableFields);
+
+  // The doctor never saw the new details - hold the request back again if admins require it
+  const endorsementWithdrawn = request.isEndorsed &&
+    changes.some(change => ENDORSED_FIELDS.includes(change.field));
+  if (endorsementWithdrawn) {
+    request.isEndorsed = false;
+    request.endorsement = { required: await isEndorsementRequired(request) };
+    if (isAwaitingEndorsement(request)) {
+      clearEscalation(request);
+    }
+  }
+
+  if (request.isModified('urgency')) {
+    await rescheduleEscalation(request);
+  }
   request.updatedAt = new Date();
   await request.save();
 
+  if (changes.length > 0 || previousStatus !== request.status) {
+    await recordRequestEvent(request, 'updated', {
+      req,
+      fromStatus: previousStatus,
+      changes,
+      details: endorsementWithdrawn ? { endorsementWithdrawn: true } : undefined
+    });
+  }
+
+  // A newly named hospital's doctors, or those of a request changed since
+  // they endorsed it, haven't been asked about these details yet
+  if (!request.isEndorsed && request.hospital?.name &&
+      (endorsementWithdrawn || !isSameHospital(before.hospital?.name, request.hospital.name))) {
+    requestEndorsement(request)
+      .catch(error => console.error(`Endorsement request error for request ${request._id}:`, error));
+  }
+
   res.status(200).json({
     success: true,
     message: 'Request updated successfully',
-    data: request
+    data: redactRequest(request, req.user)
   });
 });
\ No newline at end of file
@@ -3,6 +3,7 @@ import Request from '../models/Request.js';
 import Chat from '../models/Chat.js';
 import mongoose from 'mongoose';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { recordRequestEvent } from '../utils/requestEvents.js';
 
 /**
  * Get requester's active requests
@@ -295,7 +296,7 @@ export const getCompatibleDonors = asyncHandler(async (req, res) => {
   // Find eligible donors within radius
   const radius = 20; // km
   const donors = await User.find({
-    role: 'donor',
+    roles: 'donor',
     isAvailable: true,
     isActive: true,
     bloodGroup: { $in: compatibleGroups },
@@ -383,7 +384,7 @@ export const contactDonor = asyncHandler(async (req, res) => {
   
   // Check if donor exists
   const donor = await User.findById(donorId);
-  if (!donor || donor.role !== 'donor') {
+  if (!donor || !donor.hasRole('donor')) {
     throw new AppError('Donor not found', 404);
   }
   
@@ -494,6 +495,8 @@ export const rateDonor = asyncHandler(async (req, res) => {
   };
   
   await request.save();
+
+  await recordRequestEvent(request, 'rated', { req, details: { rating } });
   
   // Update donor's average rating
   const donorRatings = await Request.find({
@@ -0,0 +1,181 @@
+import User, { CREDENTIALED_ROLES } from '../models/User.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { issueAuthTokens, revokeAccessToken } from '../utils/authTokens.js';
+import { validateRoleList, getMissingRoleField } from '../utils/roles.js';
+
+/**
+ * Switch the role the user is acting as
+ * @route POST /api/auth/switch-role
+ * @access Private
+ */
+export const switchRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!role) {
+    throw new AppError('Please provide the role to switch to', 400);
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!user.hasRole(role)) {
+    throw new AppError(`You do not hold the '${role}' role`, 400);
+  }
+
+  if (user.role === role) {
+    throw new AppError(`'${role}' is already your active role`, 400);
+  }
+
+  // The active role belongs to the account, so it changes on every device
+  user.role = role;
+  user.updatedAt = new Date();
+  await user.save();
+
+  // Replace the access token so its role claim matches
+  await revokeAccessToken(req.tokenPayload, 'role-switched');
+  const { token, refreshToken } = await issueAuthTokens(user, req, {
+    sessionId: req.tokenPayload?.sid,
+    mfa: !!req.tokenPayload?.mfa
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Now acting as '${role}'`,
+    data: {
+      role: user.role,
+      roles: user.getRoles(),
+      token,
+      refreshToken
+    }
+  });
+});
+
+/**
+ * Add a role to the current user's account
+ * @route POST /api/auth/roles
+ * @access Private
+ */
+export const addRole = asyncHandler(async (req, res) => {
+  const { role, bloodGroup, hospitalId, hospitalName, ngoId } = req.body;
+
+  if (!role) {
+    throw new AppError('Please provide the role to add', 400);
+  }
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (role === 'admin') {
+    throw new AppError('The admin role can only be assigned by an administrator', 403);
+  }
+
+  const roles = [...user.getRoles(), role];
+  const roleError = validateRoleList(roles);
+  if (roleError) {
+    throw new AppError(user.hasRole(role) ? `You already hold the '${role}' role` : roleError, 400);
+  }
+
+  const missingField = getMissingRoleField([role], {
+    bloodGroup: bloodGroup || user.bloodGroup,
+    hospitalId: hospitalId || user.hospitalId,
+    ngoId: ngoId || user.ngoId
+  });
+  if (missingField) {
+    throw new AppError(missingField, 400);
+  }
+
+  // An existing affiliation was part of an earlier review, so it is never replaced here
+  if (role === 'doctor' && hospitalId && user.hospitalId && hospitalId !== user.hospitalId) {
+    throw new AppError(`Your account is already linked to hospital ${user.hospitalId}. Ask an administrator to change it`, 400);
+  }
+  if (role === 'ngo' && ngoId && user.ngoId && ngoId !== user.ngoId) {
+    throw new AppError(`Your account is already linked to NGO ${user.ngoId}. Ask an administrator to change it`, 400);
+  }
+
+  if (bloodGroup && !user.bloodGroup) user.bloodGroup = bloodGroup;
+  if (hospitalId && !user.hospitalId) user.hospitalId = hospitalId;
+  if (hospitalName && !user.hospitalName) user.hospitalName = hospitalName;
+  if (ngoId && !user.ngoId) user.ngoId = ngoId;
+
+  user.roles = roles;
+
+  // New doctor and NGO roles need admin review like at registration;
+  // the review of any other role the user holds is left as it is
+  if (CREDENTIALED_ROLES.includes(role)) {
+    user.submitCredential(role);
+  }
+
+  // Donors start as unavailable by default
+  if (role === 'donor') {
+    user.isAvailable = false;
+  }
+
+  user.updatedAt = new Date();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: CREDENTIALED_ROLES.includes(role)
+      ? `'${role}' role added. It can be used once an administrator approves your credentials`
+      : `'${role}' role added. Switch to it to start using it`,
+    data: {
+      role: user.role,
+      roles: user.getRoles(),
+      credentialStatus: user.getCredentialStatus(role)
+    }
+  });
+});
+
+/**
+ * Remove a role from the current user's account
+ * @route DELETE /api/auth/roles/:role
+ * @access Private
+ */
+export const removeRole = asyncHandler(async (req, res) => {
+  const { role } = req.params;
+
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!user.hasRole(role)) {
+    throw new AppError(`You do not hold the '${role}' role`, 400);
+  }
+
+  if (role === 'admin') {
+    throw new AppError('The admin role can only be removed by another administrator', 403);
+  }
+
+  const roles = user.getRoles().filter(r => r !== role);
+  if (roles.length === 0) {
+    throw new AppError('You must keep at least one role', 400);
+  }
+
+  user.roles = roles;
+  user.credentials = (user.credentials || []).filter(credential => credential.role !== role);
+  if (user.role === role) {
+    user.role = roles[0];
+  }
+  if (role === 'donor') {
+    user.isAvailable = false;
+  }
+  user.updatedAt = new Date();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: `'${role}' role removed`,
+    data: {
+      role: user.role,
+      roles: user.getRoles()
+    }
+  });
+});
@@ -0,0 +1,80 @@
+import Session from '../models/Session.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { revokeAccessToken, revokeSession, revokeAllUserTokens } from '../utils/authTokens.js';
+
+/**
+ * Get the current user's active sessions
+ * @route GET /api/auth/sessions
+ * @access Private
+ */
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+  .select('deviceName userAgent ip lastIp lastSeenAt createdAt expiresAt')
+  .sort({ lastSeenAt: -1 });
+  
+  const currentSessionId = req.tokenPayload?.sid;
+  
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map(session => ({
+      id: session._id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      lastIp: session.lastIp,
+      lastSeenAt: session.lastSeenAt,
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+      isCurrent: session._id.toString() === currentSessionId
+    }))
+  });
+});
+
+/**
+ * End one of the current user's sessions
+ * @route DELETE /api/auth/sessions/:id
+ * @access Private
+ */
+export const revokeUserSession = asyncHandler(async (req, res) => {
+  const session = await Session.findById(req.params.id);
+  
+  if (!session || session.user.toString() !== req.user.id.toString()) {
+    throw new AppError('Session not found', 404);
+  }
+  
+  if (session.revokedAt) {
+    throw new AppError('Session has already ended', 400);
+  }
+  
+  await revokeSession(session._id.toString(), 'user-revoked');
+  
+  // Ending the current session also kills the token used for this call
+  const isCurrent = session._id.toString() === req.tokenPayload?.sid;
+  if (isCurrent) {
+    await revokeAccessToken(req.tokenPayload, 'user-revoked');
+  }
+  
+  res.status(200).json({
+    success: true,
+    message: isCurrent ? 'Current session ended, please log in again' : 'Session ended successfully'
+  });
+});
+
+/**
+ * Log out everywhere - ends every session including the current one
+ * @route DELETE /api/auth/sessions
+ * @access Private
+ */
+export const revokeAllSessions = asyncHandler(async (req, res) => {
+  await revokeAllUserTokens(req.user.id, 'logout-everywhere');
+  
+  res.status(200).json({
+    success: true,
+    message: 'Logged out of all devices'
+  });
+});
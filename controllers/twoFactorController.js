@@ -0,0 +1,207 @@
+import bcrypt from 'bcrypt';
+import User from '../models/User.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { generateTotpSecret, verifyTotp, buildOtpAuthUri } from '../utils/totp.js';
+import { generateRecoveryCodes, isTwoFactorEnforcedForUser } from '../utils/twoFactor.js';
+import { issueAuthTokens, revokeAccessToken, revokeSession } from '../utils/authTokens.js';
+
+/**
+ * Get two-factor authentication status
+ * @route GET /api/auth/2fa
+ * @access Private
+ */
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('+twoFactor.recoveryCodes');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      enforced: await isTwoFactorEnforcedForUser(user),
+      recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+    }
+  });
+});
+
+/**
+ * Start 2FA enrollment - generates a secret and provisioning URI
+ * @route POST /api/auth/2fa/setup
+ * @access Private (also accepts the 2FA setup token from login)
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  // Secret only becomes active once a code generated from it is confirmed
+  const secret = generateTotpSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm a code',
+    data: {
+      secret,
+      otpauthUrl: buildOtpAuthUri(secret, user.email)
+    }
+  });
+});
+
+/**
+ * Confirm enrollment with a code and enable 2FA
+ * @route POST /api/auth/2fa/enable
+ * @access Private (also accepts the 2FA setup token from login)
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new AppError('Please provide the code from your authenticator app', 400);
+  }
+
+  const user = await User.findById(req.user.id).select('+twoFactor.pendingSecret');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new AppError('Please start two-factor setup first', 400);
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    throw new AppError('Invalid two-factor code', 400);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  user.updatedAt = new Date();
+  await user.save();
+
+  // The current session was not 2FA-verified - replace it with one that is
+  await revokeAccessToken(req.tokenPayload, '2fa-enabled');
+  await revokeSession(req.tokenPayload?.sid, '2fa-enabled');
+  const { token, refreshToken } = await issueAuthTokens(user, req, { mfa: true });
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+    data: {
+      recoveryCodes: codes,
+      token,
+      refreshToken
+    }
+  });
+});
+
+/**
+ * Disable 2FA
+ * @route POST /api/auth/2fa/disable
+ * @access Private
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code } = req.body;
+
+  if (!password || !code) {
+    throw new AppError('Please provide your password and a two-factor code', 400);
+  }
+
+  const user = await User.findById(req.user.id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  if (await isTwoFactorEnforcedForUser(user)) {
+    throw new AppError('Two-factor authentication is required for one of your roles', 403);
+  }
+
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    throw new AppError('Password is incorrect', 401);
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  user.twoFactor = { enabled: false };
+  user.updatedAt = new Date();
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+/**
+ * Replace recovery codes with a new set
+ * @route POST /api/auth/2fa/recovery-codes
+ * @access Private
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    throw new AppError('Please provide a two-factor code', 400);
+  }
+
+  const user = await User.findById(req.user.id)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (!user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep || 0)) {
+    throw new AppError('Invalid two-factor code', 401);
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'New recovery codes generated. Previous codes no longer work',
+    data: {
+      recoveryCodes: codes
+    }
+  });
+});
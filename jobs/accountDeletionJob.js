@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import Donation from '../models/Donation.js';
+import Message from '../models/Message.js';
+import Notification from '../models/Notification.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { revokeAllUserTokens } from '../utils/authTokens.js';
+import { recordRequestEvent } from '../utils/requestEvents.js';
+import { followUpReleasedPledge } from '../utils/pledges.js';
+
+// Request fields that identify the patient
+const PATIENT_FIELDS = ['patientName', 'patientAge', 'patientGender', 'purpose', 'diseases', 'additionalNotes'];
+
+/**
+ * Anonymise a user whose deletion grace period has ended. The user document
+ * is kept so Donation and Request references stay valid, but everything that
+ * identifies the person or their medical history is removed.
+ * @param {object} user - User document
+ */
+export const anonymiseUser = async (user) => {
+  const userId = user._id;
+  const startedAt = new Date();
+
+  // Close anything still open so nobody keeps acting on it
+  const openRequests = await Request.find({ requester: userId, status: { $in: ['pending', 'matched'] } });
+  for (const request of openRequests) {
+    const previousStatus = request.status;
+    request.status = 'cancelled';
+    request.releaseOpenPledges();
+    request.updatedAt = new Date();
+    await request.save();
+    await recordRequestEvent(request, 'cancelled', {
+      fromStatus: previousStatus,
+      details: { reason: 'Requester account deleted' }
+    });
+  }
+
+  // Pledges the user made as a donor go back to the requester
+  const pledgedRequests = await Request.find({
+    status: { $in: ['pending', 'matched'] },
+    pledges: { $elemMatch: { donor: userId, status: 'pledged' } }
+  });
+  for (const request of pledgedRequests) {
+    const pledge = request.getActivePledge(userId);
+    if (!pledge) continue;
+
+    const previousStatus = request.status;
+    request.releasePledge(pledge, 'withdrawn');
+    request.updatedAt = new Date();
+    await request.save();
+    await followUpReleasedPledge(request, pledge, {
+      fromStatus: previousStatus,
+      reason: 'Donor account deleted'
+    });
+  }
+
+  // Strip patient details from the user's requests
+  await Request.updateMany(
+    { requester: userId },
+    {
+      $set: {
+        patientName: 'Redacted',
+        purpose: 'Redacted',
+        diseases: []
+      },
+      $unset: {
+        patientAge: '',
+        patientGender: '',
+        contactDetails: '',
+        additionalNotes: ''
+      }
+    }
+  );
+
+  // Timeline entries are otherwise append-only, so this goes through the driver directly
+  const requestIds = await Request.find({ requester: userId }).distinct('_id');
+  await RequestEvent.collection.updateMany(
+    { request: { $in: requestIds } },
+    { $pull: { changes: { field: { $in: PATIENT_FIELDS } } } }
+  );
+  // Free-text details (reasons, checkpoint notes) on the user's requests and
+  // on anything they did elsewhere; the closing events recorded above stay
+  await RequestEvent.collection.updateMany(
+    {
+      $or: [{ request: { $in: requestIds } }, { actor: userId }],
+      createdAt: { $lt: startedAt }
+    },
+    { $unset: { details: '' } }
+  );
+
+  // Donation records stay for statistics; free-text notes may identify the user
+  await Donation.updateMany(
+    { $or: [{ donor: userId }, { requester: userId }] },
+    { $unset: { notes: '' } }
+  );
+
+  await Message.updateMany({ sender: userId }, { content: '[deleted]' });
+  await Notification.deleteMany({ user: userId });
+
+  await revokeAllUserTokens(userId, 'account-deleted');
+  await Session.deleteMany({ user: userId });
+  await RefreshToken.deleteMany({ user: userId });
+
+  // Unusable random password
+  const salt = await bcrypt.genSalt(10);
+  const password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), salt);
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        name: 'Deleted user',
+        email: `deleted-${userId}@deleted.bloodlink.app`,
+        phone: '0000000000',
+        password,
+        diseases: [],
+        isActive: false,
+        isAvailable: false,
+        isVerified: false,
+        loginHistory: [],
+        knownDevices: [],
+        // Logging in through the provider would otherwise reach the account again
+        oidcIdentities: [],
+        twoFactor: { enabled: false },
+        'deletion.deletedAt': new Date(),
+        updatedAt: new Date()
+      },
+      $unset: {
+        address: '',
+        location: '',
+        profileImage: '',
+        fcmToken: '',
+        resetPasswordToken: '',
+        resetPasswordExpires: '',
+        emailVerificationToken: '',
+        emailVerificationExpires: '',
+        hospitalId: '',
+        hospitalName: '',
+        ngoId: '',
+        ngoName: '',
+        passwordHistory: '',
+        'deletion.reason': ''
+      }
+    }
+  );
+};
+
+/**
+ * Anonymise every account whose deletion grace period has ended
+ */
+export const purgeDeletedAccounts = async () => {
+  const users = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    'deletion.deletedAt': null
+  });
+
+  for (const user of users) {
+    try {
+      await anonymiseUser(user);
+      console.log(`Account ${user._id} anonymised after deletion grace period`);
+    } catch (error) {
+      console.error(`Error anonymising account ${user._id}:`, error);
+    }
+  }
+};
@@ -0,0 +1,23 @@
+import { scheduleJob } from '../utils/scheduler.js';
+import { purgeDeletedAccounts } from './accountDeletionJob.js';
+import { expireOverdueRequests } from './requestExpiryJob.js';
+import { escalateUnmatchedRequests } from './requestEscalationJob.js';
+import { releaseUnresponsivePledges } from './pledgeTimeoutJob.js';
+
+/**
+ * Register all recurring background jobs.
+ * Set DISABLE_JOBS=true on extra instances so jobs only run once.
+ */
+const startJobs = () => {
+  if (process.env.DISABLE_JOBS === 'true') {
+    console.log('Background jobs disabled');
+    return;
+  }
+
+  scheduleJob('account-deletion', 60 * 60 * 1000, purgeDeletedAccounts);
+  scheduleJob('request-expiry', 15 * 60 * 1000, expireOverdueRequests);
+  scheduleJob('request-escalation', 5 * 60 * 1000, escalateUnmatchedRequests);
+  scheduleJob('pledge-timeout', 5 * 60 * 1000, releaseUnresponsivePledges);
+};
+
+export default startJobs;
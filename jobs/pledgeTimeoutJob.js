@@ -0,0 +1,38 @@
+import Request from '../models/Request.js';
+import { followUpReleasedPledge } from '../utils/pledges.js';
+
+/**
+ * Release pledges whose donor missed their response deadline, reopening
+ * the request and offering it to the next donor
+ */
+export const releaseUnresponsivePledges = async () => {
+  const now = new Date();
+  const requests = await Request.find({
+    status: { $in: ['pending', 'matched'] },
+    pledges: { $elemMatch: { status: 'pledged', respondBy: { $lte: now } } }
+  });
+
+  for (const request of requests) {
+    try {
+      const previousStatus = request.status;
+      const overdue = request.pledges.filter(pledge =>
+        pledge.status === 'pledged' && pledge.respondBy && pledge.respondBy <= now
+      );
+
+      overdue.forEach(pledge => request.releasePledge(pledge, 'timed-out'));
+      request.updatedAt = now;
+      await request.save();
+
+      // One replacement offer per run; escalation keeps widening the search
+      for (const [i, pledge] of overdue.entries()) {
+        await followUpReleasedPledge(request, pledge, {
+          fromStatus: previousStatus,
+          offerNextDonor: i === overdue.length - 1
+        });
+      }
+      console.log(`Released ${overdue.length} unresponsive pledge(s) on request ${request._id}`);
+    } catch (error) {
+      console.error(`Error releasing pledges on request ${request._id}:`, error);
+    }
+  }
+};
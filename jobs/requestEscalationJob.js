@@ -0,0 +1,26 @@
+import Request from '../models/Request.js';
+import { runEscalationStep } from '../utils/requestEscalation.js';
+
+/**
+ * Run the next escalation step for every unmatched request that is due one.
+ * Hospital-endorsed requests go first.
+ */
+export const escalateUnmatchedRequests = async () => {
+  const now = new Date();
+  const requests = await Request.find({
+    status: 'pending',
+    needByDate: { $gte: now },
+    'escalation.nextAt': { $lte: now }
+  }).sort({ isEndorsed: -1, 'escalation.nextAt': 1 });
+
+  for (const request of requests) {
+    try {
+      const step = await runEscalationStep(request);
+      if (step) {
+        console.log(`Request ${request._id} escalated to level ${step.level}`);
+      }
+    } catch (error) {
+      console.error(`Error escalating request ${request._id}:`, error);
+    }
+  }
+};
@@ -0,0 +1,101 @@
+import Request from '../models/Request.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { notifyUser } from '../utils/notify.js';
+import { recordRequestEvent } from '../utils/requestEvents.js';
+
+// Statuses a request can still expire from
+const OPEN_STATUSES = ['pending', 'matched'];
+
+/**
+ * Expire a single overdue request and let the people involved know.
+ * The status filter makes this a no-op if the request changed since it was read.
+ * @param {object} request - Request document
+ * @param {Date} now - Time of the current run
+ * @returns {boolean} Whether the request was expired
+ */
+export const expireRequest = async (request, now = new Date()) => {
+  const previousStatus = request.status;
+  const expiryReason = request.unitsPledged > 0
+    ? 'Need-by date passed before the donation was completed'
+    : 'Need-by date passed without a donor accepting';
+
+  const result = await Request.updateOne(
+    { _id: request._id, status: previousStatus, needByDate: { $lt: now } },
+    {
+      status: 'expired',
+      expiredAt: now,
+      expiryReason,
+      updatedAt: now,
+      // Bump the version so a save based on the old state fails instead of overwriting this
+      $inc: { __v: 1 }
+    }
+  );
+
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  request.status = 'expired';
+  await recordRequestEvent(request, 'expired', {
+    fromStatus: previousStatus,
+    details: { expiryReason, needByDate: request.needByDate }
+  });
+
+  const requester = await User.findById(request.requester);
+  if (requester) {
+    await notifyUser(requester, {
+      title: 'Your blood request has expired',
+      message: `Your request for ${request.units} unit(s) of ${request.bloodGroup} passed its need-by date and has expired. Renew it with a new date if you still need blood.`,
+      type: 'request',
+      actionUrl: `/requests/${request._id}/renew`,
+      details: {
+        requestId: request._id,
+        expiredAt: now,
+        expiryReason
+      }
+    }, Notification);
+  }
+
+  const donors = await User.find({ _id: { $in: request.getPledgedDonorIds() } });
+  for (const donor of donors) {
+    await notifyUser(donor, {
+      title: 'Request expired',
+      message: `The ${request.bloodGroup} request you accepted has passed its need-by date and has expired.`,
+      type: 'request',
+      actionUrl: `/requests/${request._id}`,
+      details: {
+        requestId: request._id,
+        expiredAt: now
+      }
+    }, Notification);
+  }
+
+  return true;
+};
+
+/**
+ * Expire every open request whose need-by date has passed
+ */
+export const expireOverdueRequests = async () => {
+  const now = new Date();
+  const requests = await Request.find({
+    status: { $in: OPEN_STATUSES },
+    needByDate: { $lt: now }
+  });
+
+  let expired = 0;
+  for (const request of requests) {
+    try {
+      if (await expireRequest(request, now)) {
+        expired += 1;
+      }
+    } catch (error) {
+      console.error(`Error expiring request ${request._id}:`, error);
+    }
+  }
+
+  if (expired > 0) {
+    console.log(`Expired ${expired} overdue blood request(s)`);
+  }
+};
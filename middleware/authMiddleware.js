@@ -1,14 +1,106 @@
-import { getTokenFromRequest, verifyToken } from '../utils/tokenUtils.js';
-import User from '../models/User.js';
+import { getTokenFromRequest, verifyToken, hashToken } from '../utils/tokenUtils.js';
+import User, { CREDENTIALED_ROLES } from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import RevokedToken from '../models/RevokedToken.js';
+import Session from '../models/Session.js';
+import { isTwoFactorRequired } from '../utils/twoFactor.js';
+import { getRequiredScope } from '../utils/apiKeys.js';
+import { auditImpersonatedRequest } from '../utils/auditLog.js';
+
+// Minimum time between lastSeenAt updates for a session
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Methods a read-only impersonation token may use
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// Ending the impersonation is always allowed
+const IMPERSONATION_EXIT_PATH = '/api/auth/logout';
 
 /**
- * Protect routes - Verify JWT token and attach user to request
+ * Authenticate a partner system by its X-API-Key header.
+ * The key acts as its owner, limited to the endpoints its scopes allow.
  */
-export const protect = async (req, res, next) => {
+const authenticateApiKey = async (req, res, next) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(req.headers['x-api-key']) });
+
+  if (!apiKey || !apiKey.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authorized, API key invalid, revoked or expired'
+    });
+  }
+
+  const requiredScope = getRequiredScope(req);
+  if (!requiredScope) {
+    return res.status(403).json({
+      success: false,
+      message: 'This endpoint cannot be accessed with an API key'
+    });
+  }
+
+  if (!apiKey.scopes.includes(requiredScope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key is missing the '${requiredScope}' scope`
+    });
+  }
+
+  const owner = await User.findById(apiKey.owner).select('-password');
+
+  // Keys stop working with their owner's account or credentials
+  if (!owner || !owner.isActive ||
+      (CREDENTIALED_ROLES.includes(owner.role) && owner.getCredentialStatus() !== 'approved')) {
+    return res.status(403).json({
+      success: false,
+      message: 'The account that owns this API key is not active'
+    });
+  }
+
+  // Usage tracking should not slow down or fail the request
+  ApiKey.updateOne(
+    { _id: apiKey._id },
+    { $inc: { usageCount: 1 }, lastUsedAt: new Date(), lastUsedIp: req.ip }
+  ).catch(error => console.error('API key usage tracking error:', error));
+
+  req.user = {
+    id: owner._id,
+    role: owner.role,
+    roles: owner.getRoles(),
+    name: owner.name,
+    email: owner.email,
+    isVerified: owner.isVerified,
+    credentialStatus: owner.getCredentialStatus()
+  };
+  req.apiKey = {
+    id: apiKey._id,
+    scopes: apiKey.scopes,
+    organization: apiKey.organization
+  };
+
+  next();
+};
+
+/**
+ * Build the authentication middleware
+ * @param {object} options
+ * @param {boolean} options.allowTwoFactorSetup - Accept 2FA enrollment tokens and
+ *   skip the 2FA requirement (only for the enrollment endpoints)
+ * @param {boolean} options.optional - Continue without req.user when no token is sent
+ * @returns {function} Middleware function
+ */
+const authenticate = ({ allowTwoFactorSetup = false, optional = false } = {}) => async (req, res, next) => {
   try {
+    // Partner systems send an API key instead of a bearer token
+    if (req.headers['x-api-key'] && !allowTwoFactorSetup) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     // Get token from request
     const token = getTokenFromRequest(req);
 
+    if (!token && optional) {
+      return next();
+    }
+
     if (!token) {
       return res.status(401).json({
         success: false,
@@ -26,14 +118,42 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    // Admins acting as another user for support
+    const isImpersonation = decoded.type === 'impersonation' && !allowTwoFactorSetup;
+
     // Check if token type is auth
-    if (decoded.type !== 'auth') {
+    if (decoded.type !== 'auth' && !isImpersonation &&
+        !(allowTwoFactorSetup && decoded.type === '2fa-setup')) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized, invalid token type'
       });
     }
 
+    // Check revocation list (logout)
+    if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, token has been revoked'
+      });
+    }
+
+    // Tokens tied to a session stop working as soon as the session is ended
+    if (decoded.sid) {
+      const session = await Session.findById(decoded.sid).select('revokedAt expiresAt lastSeenAt');
+      if (!session || !session.isActive) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized, session has ended'
+        });
+      }
+
+      // Track activity without writing on every request
+      if (Date.now() - session.lastSeenAt > SESSION_TOUCH_INTERVAL_MS) {
+        await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date(), lastIp: req.ip });
+      }
+    }
+
     // Find user by ID
     const user = await User.findById(decoded.id).select('-password');
 
@@ -52,13 +172,76 @@ export const protect = async (req, res, next) => {
       });
     }
 
+    // Tokens issued before a password reset or revoke-all are no longer valid
+    if ((decoded.tv || 0) !== (user.tokenVersion || 0)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, session has been revoked'
+      });
+    }
+
+    // The impersonating admin must still be an active admin
+    let impersonator = null;
+    if (isImpersonation) {
+      impersonator = await User.findById(decoded.impersonatedBy).select('name email role isActive');
+      if (!impersonator || !impersonator.isActive || impersonator.role !== 'admin') {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized, impersonation is no longer valid'
+        });
+      }
+    }
+
+    // Accounts using 2FA (or in a role where it is enforced) need a token that passed it.
+    // Impersonation tokens are issued to an admin who already passed their own checks.
+    if (!allowTwoFactorSetup && !isImpersonation && !decoded.mfa && await isTwoFactorRequired(user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Not authorized, two-factor authentication required',
+        twoFactorRequired: true
+      });
+    }
+
     // Add user to request object
     req.user = {
       id: user._id,
       role: user.role,
+      roles: user.getRoles(),
       name: user.name,
-      email: user.email
+      email: user.email,
+      isVerified: user.isVerified,
+      // Review status of the active role
+      credentialStatus: user.getCredentialStatus(),
+      ...(impersonator ? {
+        impersonatedBy: {
+          id: impersonator._id,
+          name: impersonator.name,
+          email: impersonator.email
+        }
+      } : {})
     };
+    req.tokenPayload = decoded;
+
+    if (isImpersonation) {
+      req.impersonation = {
+        id: decoded.jti,
+        adminId: impersonator._id,
+        readOnly: decoded.readOnly !== false,
+        reason: decoded.reason
+      };
+
+      // Every impersonated request ends up in the audit trail, including blocked ones
+      auditImpersonatedRequest(req, res);
+
+      if (req.impersonation.readOnly && !READ_ONLY_METHODS.includes(req.method) &&
+          req.originalUrl.split('?')[0] !== IMPERSONATION_EXIT_PATH) {
+        return res.status(403).json({
+          success: false,
+          message: 'This action is blocked while impersonating a user',
+          impersonation: true
+        });
+      }
+    }
 
     next();
   } catch (error) {
@@ -69,4 +252,55 @@ export const protect = async (req, res, next) => {
       error: error.message
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Protect routes - Verify JWT token or API key and attach user to request
+ */
+export const protect = authenticate();
+
+/**
+ * Protect 2FA enrollment routes - also accepts the setup token issued at login
+ * when an admin has made 2FA mandatory for the user's role
+ */
+export const protectTwoFactorSetup = authenticate({ allowTwoFactorSetup: true });
+
+/**
+ * Authenticate when a token is sent, otherwise continue as an anonymous request.
+ * An invalid token is still rejected.
+ */
+export const optionalProtect = authenticate({ optional: true });
+
+/**
+ * Refuse requests made with an impersonation token - use after protect
+ * on endpoints support staff must never reach, even read-only
+ */
+export const denyImpersonation = (req, res, next) => {
+  if (req.impersonation) {
+    return res.status(403).json({
+      success: false,
+      message: 'This action is not available while impersonating a user',
+      impersonation: true
+    });
+  }
+  next();
+};
+
+/**
+ * Require a verified email address - use after protect
+ */
+export const requireVerified = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Not authenticated'
+    });
+  }
+  if (!req.user.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address to perform this action'
+    });
+  }
+  next();
+};
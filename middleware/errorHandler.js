@@ -25,6 +25,15 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Optimistic concurrency - the document was saved by someone else since it was read
+  if (err.name === 'VersionError') {
+    return res.status(409).json({
+      success: false,
+      message: 'This record was changed by someone else. Please reload and try again',
+      conflict: true
+    });
+  }
+
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
     return res.status(401).json({
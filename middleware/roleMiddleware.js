@@ -1,5 +1,7 @@
+import { CREDENTIALED_ROLES } from '../models/User.js';
+
 /**
- * Restrict routes based on user roles
+ * Restrict routes based on the user's active role
  * @param {...string} roles - Allowed roles (e.g. 'admin', 'donor', 'ngo')
  * @returns {function} Middleware function
  */
@@ -11,10 +13,28 @@ export const restrictTo = (...roles) => {
         message: 'Not authenticated'
       });
     }
+    // API keys were already limited to their scopes' endpoints in protect
+    if (req.apiKey) {
+      return next();
+    }
     if (!roles.includes(req.user.role)) {
+      // The user may hold an allowed role without it being active
+      const switchableRoles = (req.user.roles || []).filter(role => roles.includes(role));
+      return res.status(403).json({
+        success: false,
+        message: switchableRoles.length > 0
+          ? `Switch to the '${switchableRoles[0]}' role to access this route`
+          : `Role '${req.user.role}' is not authorized to access this route`,
+        ...(switchableRoles.length > 0 ? { switchRoleTo: switchableRoles } : {})
+      });
+    }
+    // Doctor and NGO roles only take effect once an admin approves their credentials
+    if (CREDENTIALED_ROLES.includes(req.user.role) && req.user.credentialStatus !== 'approved') {
       return res.status(403).json({
         success: false,
-        message: `Role '${req.user.role}' is not authorized to access this route`
+        message: req.user.credentialStatus === 'rejected'
+          ? 'Your credentials were rejected by an administrator'
+          : 'Your credentials are pending admin review'
       });
     }
     next();
@@ -44,6 +64,7 @@ export const isResourceOwner = (getResourceUserId) => {
     try {
       const resourceUserId = await getResourceUserId(req);
       const currentUser = req.user.id.toString();
+      // Ownership does not depend on the active role; admin access does
       if (req.user.role === 'admin' || (resourceUserId && resourceUserId.toString() === currentUser)) {
         return next();
       }
@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES } from '../utils/apiKeys.js';
+const { Schema } = mongoose;
+
+// Keys used by hospital and partner systems instead of user JWTs
+const apiKeySchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true
+  },
+  // Account the key acts as
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Hospital or NGO the key belongs to
+  organization: {
+    type: {
+      type: String,
+      enum: ['hospital', 'ngo', 'platform'],
+      required: true
+    },
+    id: {
+      type: String,
+      required: true
+    },
+    name: String
+  },
+  // First characters of the key, for identifying it in listings
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set on the old key when it is rotated
+  rotatedAt: Date,
+  replacedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+apiKeySchema.index({ 'organization.type': 1, 'organization.id': 1 });
+apiKeySchema.index({ owner: 1 });
+
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Never expose the hash
+apiKeySchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    organization: this.organization,
+    scopes: this.scopes,
+    owner: this.owner,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    rotatedAt: this.rotatedAt,
+    replacedBy: this.replacedBy,
+    usageCount: this.usageCount,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    isActive: this.isActive,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
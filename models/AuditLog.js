@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Append-only record of privileged actions (e.g. admin impersonation)
+const auditLogSchema = new Schema({
+  action: {
+    type: String,
+    required: true
+  },
+  // Who performed the action
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User the action was performed on or as
+  subject: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  impersonationId: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  ip: String,
+  userAgent: String,
+  details: Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ subject: 1, createdAt: -1 });
+auditLogSchema.index({ impersonationId: 1, createdAt: 1 });
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Pending OpenID Connect login, kept server-side so the PKCE verifier never leaves the API
+const oidcStateSchema = new Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+
+export default OidcState;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One-time codes sent by SMS for phone login and phone verification
+const otpCodeSchema = new Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'verify-phone'],
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  consumedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+otpCodeSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+
+export default OtpCode;
@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const refreshTokenSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the raw token - the raw value is only ever held by the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // All tokens produced by rotating the same login share a family
+  family: {
+    type: String,
+    required: true
+  },
+  // Carried over on rotation so refreshed tokens keep their 2FA status
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: String,
+  replacedByHash: {
+    type: String,
+    default: null
+  },
+  createdByIp: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+// Let MongoDB purge expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
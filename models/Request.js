@@ -14,6 +14,110 @@ const pointSchema = new Schema({
   }
 });
 
+// Allowed status changes; fulfilled and cancelled are final
+export const REQUEST_STATUS_TRANSITIONS = {
+  pending: ['matched', 'fulfilled', 'cancelled', 'expired'],
+  matched: ['pending', 'fulfilled', 'cancelled', 'expired'],
+  expired: ['pending'],
+  fulfilled: [],
+  cancelled: []
+};
+
+export const PLEDGE_CHECKPOINTS = ['confirmed', 'on-my-way', 'arrived'];
+
+// A donor's commitment to give some of the requested units
+const pledgeSchema = new Schema({
+  donor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  units: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['pledged', 'verified', 'rejected', 'released'],
+    default: 'pledged'
+  },
+  pledgedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Progress updates from the donor; each one resets the response deadline
+  checkpoints: [{
+    _id: false,
+    stage: {
+      type: String,
+      enum: PLEDGE_CHECKPOINTS
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // The pledge is released if the donor hasn't checked in by then
+  respondBy: Date,
+  releasedAt: Date,
+  releaseReason: {
+    type: String,
+    enum: ['withdrawn', 'timed-out', 'closed']
+  },
+  verifiedAt: Date,
+  verifiedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  donation: {
+    type: Schema.Types.ObjectId,
+    ref: 'Donation'
+  }
+});
+
+// A donor who was told about the request, for measuring response
+const donorAlertSchema = new Schema({
+  donor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  distanceKm: Number,
+  // 'offer' when the donor was picked as the next donor after a pledge fell through
+  kind: {
+    type: String,
+    enum: ['alert', 'offer'],
+    default: 'alert'
+  },
+  alertedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: Date
+}, { _id: false });
+
+// One run of the escalation policy against this request
+const escalationStepSchema = new Schema({
+  level: Number,
+  radiusKm: Number,
+  bloodGroups: [String],
+  notifyOrganizations: Boolean,
+  donorsAlerted: {
+    type: Number,
+    default: 0
+  },
+  organizationsAlerted: {
+    type: Number,
+    default: 0
+  },
+  ranAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const requestSchema = new Schema({
   requester: {
     type: Schema.Types.ObjectId,
@@ -77,13 +181,53 @@ const requestSchema = new Schema({
     enum: ['pending', 'matched', 'fulfilled', 'expired', 'cancelled'],
     default: 'pending'
   },
+  // First donor to pledge - kept for clients that only show a single donor
   assignedDonor: {
     type: Schema.Types.ObjectId,
     ref: 'User',
     default: null
   },
+  pledges: {
+    type: [pledgeSchema],
+    default: []
+  },
+  donorAlerts: {
+    type: [donorAlertSchema],
+    default: []
+  },
+  lastAlertedAt: Date,
+  // Progress through the urgency escalation policy
+  escalation: {
+    level: {
+      type: Number,
+      default: -1 // No step run yet
+    },
+    startedAt: Date,
+    nextAt: Date,
+    completedAt: Date,
+    steps: {
+      type: [escalationStepSchema],
+      default: []
+    }
+  },
+  // Units covered by open or verified pledges, and units actually verified
+  unitsPledged: {
+    type: Number,
+    default: 0
+  },
+  unitsVerified: {
+    type: Number,
+    default: 0
+  },
   matchedAt: Date,
   fulfilledAt: Date,
+  expiredAt: Date,
+  expiryReason: String,
+  renewedAt: Date,
+  renewalCount: {
+    type: Number,
+    default: 0
+  },
   verifiedBy: {
     type: Schema.Types.ObjectId,
     ref: 'User', // Doctor who verified
@@ -99,6 +243,30 @@ const requestSchema = new Schema({
     type: Boolean,
     default: true
   },
+  // A doctor at the named hospital confirmed the request is genuine
+  isEndorsed: {
+    type: Boolean,
+    default: false
+  },
+  endorsement: {
+    // Held back from donors until endorsed (admins can require this for critical requests)
+    required: {
+      type: Boolean,
+      default: false
+    },
+    endorsedBy: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    endorsedAt: Date,
+    hospitalName: String,
+    note: String
+  },
+  // Open requests this one looked like when the requester confirmed it anyway
+  possibleDuplicateOf: [{
+    type: Schema.Types.ObjectId,
+    ref: 'Request'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -113,13 +281,19 @@ const requestSchema = new Schema({
     ratedAt: Date
   }
 }, {
-  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+  // Every save checks the version it read, so concurrent changes can't silently overwrite each other
+  optimisticConcurrency: true
 });
 
 requestSchema.index({ bloodGroup: 1, status: 1 });
 requestSchema.index({ needByDate: 1 });
+requestSchema.index({ status: 1, needByDate: 1 });
+requestSchema.index({ status: 1, 'escalation.nextAt': 1 });
 requestSchema.index({ requester: 1 });
 requestSchema.index({ assignedDonor: 1 });
+requestSchema.index({ 'pledges.donor': 1, 'pledges.status': 1 });
+requestSchema.index({ 'pledges.status': 1, 'pledges.respondBy': 1 });
 
 requestSchema.virtual('timeRemaining').get(function() {
   if (this.status !== 'pending') return 0;
@@ -137,6 +311,152 @@ requestSchema.virtual('isUrgent').get(function() {
   return diff > 0 && diff < 24 * 60 * 60 * 1000;
 });
 
+/**
+ * Check whether a request may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+requestSchema.statics.canTransition = function(from, to) {
+  return from === to || (REQUEST_STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Remember the status as loaded so saves can be checked against the state machine
+requestSchema.post('init', function() {
+  this.$locals.loadedStatus = this.status;
+});
+
+requestSchema.pre('save', function(next) {
+  const from = this.$locals.loadedStatus;
+  if (!this.isNew && from && this.isModified('status') &&
+      !this.constructor.canTransition(from, this.status)) {
+    const error = new Error(`Cannot change a ${from} request to ${this.status}`);
+    error.name = 'InvalidTransitionError';
+    error.statusCode = 409;
+    return next(error);
+  }
+  next();
+});
+
+requestSchema.post('save', function() {
+  this.$locals.loadedStatus = this.status;
+});
+
+/**
+ * Get the pledge a donor currently holds on this request, if any
+ * @param {string} donorId - Donor user ID
+ * @returns {object|undefined} Pledge subdocument
+ */
+requestSchema.methods.getActivePledge = function(donorId) {
+  return this.pledges.find(pledge =>
+    pledge.status === 'pledged' && pledge.donor.toString() === donorId.toString()
+  );
+};
+
+/**
+ * Get the donors whose pledges are still open
+ * @returns {Array} Donor user IDs
+ */
+requestSchema.methods.getPledgedDonorIds = function() {
+  return this.pledges
+    .filter(pledge => pledge.status === 'pledged')
+    .map(pledge => pledge.donor._id || pledge.donor);
+};
+
+/**
+ * Release every open pledge, e.g. when the request is closed or renewed
+ */
+requestSchema.methods.releaseOpenPledges = function() {
+  this.pledges.forEach(pledge => {
+    if (pledge.status === 'pledged') {
+      pledge.status = 'released';
+      pledge.releasedAt = new Date();
+      pledge.releaseReason = 'closed';
+      pledge.respondBy = undefined;
+    }
+  });
+  this.syncUnitTotals();
+};
+
+/**
+ * Release one donor's pledge and reopen the request if it no longer has enough units
+ * @param {object} pledge - Pledge subdocument
+ * @param {string} reason - withdrawn | timed-out
+ */
+requestSchema.methods.releasePledge = function(pledge, reason) {
+  pledge.status = 'released';
+  pledge.releasedAt = new Date();
+  pledge.releaseReason = reason;
+  pledge.respondBy = undefined;
+  this.syncUnitTotals();
+
+  if (this.status === 'matched' && this.unitsPledged < this.units) {
+    this.status = 'pending';
+    this.matchedAt = undefined;
+  }
+
+  // Keep the single-donor field pointing at someone still involved
+  if (this.assignedDonor && this.assignedDonor.toString() === pledge.donor.toString()) {
+    const nextPledge = this.pledges.find(p => ['pledged', 'verified'].includes(p.status));
+    this.assignedDonor = nextPledge ? nextPledge.donor : null;
+  }
+};
+
+/**
+ * Recalculate unitsPledged and unitsVerified from the pledges
+ */
+requestSchema.methods.syncUnitTotals = function() {
+  this.unitsPledged = this.pledges
+    .filter(pledge => ['pledged', 'verified'].includes(pledge.status))
+    .reduce((total, pledge) => total + pledge.units, 0);
+  this.unitsVerified = this.pledges
+    .filter(pledge => pledge.status === 'verified')
+    .reduce((total, pledge) => total + pledge.units, 0);
+};
+
+// Turn the single assigned donor of requests matched before multi-donor support into a pledge.
+// Only matched and fulfilled requests had a donor who accepted; each pledge gets its own ID.
+requestSchema.statics.backfillPledges = async function() {
+  const withoutPledges = {
+    status: { $in: ['matched', 'fulfilled'] },
+    assignedDonor: { $ne: null },
+    $or: [{ pledges: { $exists: false } }, { pledges: { $size: 0 } }]
+  };
+  const requests = await this.find(withoutPledges)
+    .select('status assignedDonor units matchedAt createdAt')
+    .lean();
+  if (requests.length === 0) {
+    return 0;
+  }
+
+  const result = await this.bulkWrite(requests.map(request => {
+    const isFulfilled = request.status === 'fulfilled';
+    return {
+      updateOne: {
+        filter: { ...withoutPledges, _id: request._id },
+        update: {
+          $set: {
+            pledges: [{
+              _id: new mongoose.Types.ObjectId(),
+              donor: request.assignedDonor,
+              units: request.units,
+              status: isFulfilled ? 'verified' : 'pledged',
+              pledgedAt: request.matchedAt || request.createdAt
+            }],
+            unitsPledged: request.units,
+            unitsVerified: isFulfilled ? request.units : 0
+          }
+        }
+      }
+    };
+  }));
+  return result.modifiedCount;
+};
+
+requestSchema.virtual('unitsRemaining').get(function() {
+  return Math.max(0, this.units - (this.unitsPledged || 0));
+});
+
 const Request = mongoose.model('Request', requestSchema);
 
 export default Request;
\ No newline at end of file
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+export const REQUEST_EVENT_TYPES = [
+  'created',
+  'donors-alerted',
+  'escalated',
+  'updated',
+  'pledged',
+  'matched',
+  'checkpoint',
+  'withdrawn',
+  'pledge-timed-out',
+  'offered',
+  'cancelled',
+  'fulfilled',
+  'donation-verified',
+  'donation-rejected',
+  'expired',
+  'renewed',
+  'rated',
+  'endorsed'
+];
+
+const changeSchema = new Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: Schema.Types.Mixed,
+  to: Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only history of everything that happened to a blood request
+const requestEventSchema = new Schema({
+  request: {
+    type: Schema.Types.ObjectId,
+    ref: 'Request',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REQUEST_EVENT_TYPES,
+    required: true
+  },
+  // Who made the change - empty for background jobs
+  actor: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: String,
+  // Admin acting as the actor, when the change was made while impersonating
+  impersonatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  fromStatus: String,
+  toStatus: String,
+  changes: {
+    type: [changeSchema],
+    default: []
+  },
+  details: Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+requestEventSchema.index({ request: 1, createdAt: 1 });
+requestEventSchema.index({ actor: 1, createdAt: -1 });
+
+// Events are never edited or removed through the model
+const rejectChange = function(next) {
+  next(new Error('Request events are append-only'));
+};
+requestEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne',
+    'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace'],
+  rejectChange
+);
+requestEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Request events are append-only'));
+  }
+  next();
+});
+
+const RequestEvent = mongoose.model('RequestEvent', requestEventSchema);
+
+export default RequestEvent;
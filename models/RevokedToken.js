@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// Revocation list for access tokens that must stop working before they expire
+const revokedTokenSchema = new Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  // Matches the token's own expiry, after which the entry is no longer needed
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RevokedToken = mongoose.model('RevokedToken', revokedTokenSchema);
+
+export default RevokedToken;
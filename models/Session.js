@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+// One session per login; refresh tokens rotate within it
+const sessionSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userAgent: String,
+  // Human readable device description, e.g. "Chrome on Android"
+  deviceName: String,
+  device: String, // fingerprint, see utils/loginSecurity.js
+  ip: String,
+  lastIp: String,
+  mfa: {
+    type: Boolean,
+    default: false
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Let MongoDB purge expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
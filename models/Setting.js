@@ -0,0 +1,150 @@
+import mongoose from 'mongoose';
+const { Schema } = mongoose;
+
+const ROLES = ['donor', 'requester', 'doctor', 'ngo', 'admin'];
+const URGENCIES = ['low', 'medium', 'high', 'critical'];
+const ESCALATION_BLOOD_GROUPS = ['exact', 'same-type', 'compatible'];
+
+// A step fires afterMinutes after the request opened. It either searches wider for
+// donors (radiusKm, bloodGroups) or hands the request to NGOs and admins.
+const isValidEscalationStep = (step) => {
+  if (!step || typeof step !== 'object') return false;
+  if (!Number.isFinite(step.afterMinutes) || step.afterMinutes < 0) return false;
+  if (step.notifyOrganizations === true) return true;
+  return Number.isFinite(step.radiusKm) && step.radiusKm > 0 && step.radiusKm <= 500 &&
+    ESCALATION_BLOOD_GROUPS.includes(step.bloodGroups);
+};
+
+const isValidUrgencyMinutes = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  return Object.entries(value).every(([urgency, minutes]) =>
+    URGENCIES.includes(urgency) && Number.isInteger(minutes) && minutes > 0
+  );
+};
+
+const isValidEscalationPolicy = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  return Object.entries(value).every(([urgency, steps]) =>
+    URGENCIES.includes(urgency) &&
+    Array.isArray(steps) &&
+    steps.length > 0 &&
+    steps.every(isValidEscalationStep) &&
+    // Steps must run in order
+    steps.every((step, i) => i === 0 || step.afterMinutes > steps[i - 1].afterMinutes)
+  );
+};
+
+// Every admin-configurable setting with its default; unknown keys are rejected
+export const SETTING_DEFINITIONS = {
+  'auth.twoFactorRequiredRoles': {
+    description: 'Roles whose members must use two-factor authentication',
+    default: [],
+    validate: value => Array.isArray(value) && value.every(role => ROLES.includes(role))
+  },
+  'requests.escalationPolicy': {
+    description: 'How the donor search widens for unmatched requests, per urgency. Each step: {afterMinutes, radiusKm, bloodGroups: exact|same-type|compatible} or {afterMinutes, notifyOrganizations: true}',
+    default: {
+      critical: [
+        { afterMinutes: 0, radiusKm: 5, bloodGroups: 'exact' },
+        { afterMinutes: 15, radiusKm: 15, bloodGroups: 'same-type' },
+        { afterMinutes: 30, radiusKm: 40, bloodGroups: 'compatible' },
+        { afterMinutes: 60, notifyOrganizations: true }
+      ],
+      high: [
+        { afterMinutes: 0, radiusKm: 5, bloodGroups: 'exact' },
+        { afterMinutes: 60, radiusKm: 15, bloodGroups: 'same-type' },
+        { afterMinutes: 180, radiusKm: 40, bloodGroups: 'compatible' },
+        { afterMinutes: 360, notifyOrganizations: true }
+      ],
+      medium: [
+        { afterMinutes: 0, radiusKm: 10, bloodGroups: 'exact' },
+        { afterMinutes: 240, radiusKm: 25, bloodGroups: 'same-type' },
+        { afterMinutes: 720, radiusKm: 40, bloodGroups: 'compatible' }
+      ],
+      low: [
+        { afterMinutes: 0, radiusKm: 10, bloodGroups: 'exact' },
+        { afterMinutes: 720, radiusKm: 25, bloodGroups: 'same-type' },
+        { afterMinutes: 1440, radiusKm: 40, bloodGroups: 'compatible' }
+      ]
+    },
+    validate: isValidEscalationPolicy
+  },
+  'requests.maxOpenPerRequester': {
+    description: 'Most pending or matched requests a requester may have at once (admins can override per user)',
+    default: 3,
+    validate: value => Number.isInteger(value) && value >= 1 && value <= 100
+  },
+  'requests.duplicateHandling': {
+    description: 'What happens when a new request looks like a duplicate: warn (requester may confirm and continue) or block',
+    default: 'warn',
+    validate: value => ['warn', 'block'].includes(value)
+  },
+  'requests.donorResponseMinutes': {
+    description: 'Minutes a donor has, per urgency, to check in after accepting or after their last checkpoint before the pledge is released',
+    default: {
+      critical: 30,
+      high: 60,
+      medium: 180,
+      low: 360
+    },
+    validate: isValidUrgencyMinutes
+  },
+  'requests.requireEndorsementForCritical': {
+    description: 'Hold critical requests back from donors until a doctor at the named hospital endorses them',
+    default: false,
+    validate: value => typeof value === 'boolean'
+  }
+};
+
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map(); // key -> { value, expiresAt }
+
+const settingSchema = new Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: Object.keys(SETTING_DEFINITIONS)
+  },
+  value: {
+    type: Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Get a setting value, falling back to its default
+settingSchema.statics.getValue = async function(key) {
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+  
+  const setting = await this.findOne({ key });
+  const value = setting ? setting.value : SETTING_DEFINITIONS[key]?.default;
+  cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  
+  return value;
+};
+
+// Create or update a setting value
+settingSchema.statics.setValue = async function(key, value, userId = null) {
+  const setting = await this.findOneAndUpdate(
+    { key },
+    { key, value, updatedBy: userId, updatedAt: new Date() },
+    { new: true, upsert: true, runValidators: true }
+  );
+  cache.delete(key);
+  
+  return setting;
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+export default Setting;
@@ -14,6 +14,40 @@ const pointSchema = new Schema({
   }
 });
 
+export const USER_ROLES = ['donor', 'requester', 'doctor', 'ngo', 'admin'];
+
+// Roles that require an admin-approved credential before use
+export const CREDENTIALED_ROLES = ['doctor', 'ngo'];
+
+// Admin review of one doctor or NGO role
+const credentialSchema = new Schema({
+  role: {
+    type: String,
+    enum: CREDENTIALED_ROLES,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reason: String,
+  // Doctors: the hospital the admin confirmed on approval - endorsements go by this
+  hospitalName: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
 const userSchema = new Schema({
   name: {
     type: String,
@@ -38,10 +72,40 @@ const userSchema = new Schema({
     trim: true,
     match: [/^[0-9]{10}$/, 'Please enter a valid 10-digit phone number']
   },
+  // Set once the user confirms an SMS code sent to their phone
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  // Every role the user holds; admin cannot be combined with other roles
+  roles: {
+    type: [{
+      type: String,
+      enum: USER_ROLES
+    }],
+    validate: [
+      {
+        validator: roles => roles.length > 0 && new Set(roles).size === roles.length,
+        message: 'Roles must be a non-empty list without duplicates'
+      },
+      {
+        validator: roles => !roles.includes('admin') || roles.length === 1,
+        message: 'The admin role cannot be combined with other roles'
+      }
+    ]
+  },
+  // Active role - the one the user is currently acting as
   role: {
     type: String,
-    enum: ['donor', 'requester', 'doctor', 'ngo', 'admin'],
-    required: true
+    enum: USER_ROLES,
+    required: true,
+    validate: {
+      validator: function(role) {
+        return this.roles.includes(role);
+      },
+      message: 'Active role must be one of the user\'s roles'
+    }
   },
   // Common profile fields
   address: {
@@ -64,7 +128,7 @@ const userSchema = new Schema({
     type: String,
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'],
     required: function() {
-      return this.role === 'donor' || this.role === 'requester';
+      return this.hasRole('donor') || this.hasRole('requester');
     }
   },
   diseases: {
@@ -90,7 +154,7 @@ const userSchema = new Schema({
   hospitalId: {
     type: String,
     required: function() {
-      return this.role === 'doctor';
+      return this.hasRole('doctor');
     },
     trim: true
   },
@@ -107,7 +171,7 @@ const userSchema = new Schema({
   ngoId: {
     type: String,
     required: function() {
-      return this.role === 'ngo';
+      return this.hasRole('ngo');
     },
     trim: true
   },
@@ -123,6 +187,12 @@ const userSchema = new Schema({
     type: Number,
     default: 0
   },
+
+  // Credential review, one entry per doctor or NGO role held
+  credentials: {
+    type: [credentialSchema],
+    default: []
+  },
   
   // Account status and tracking fields
   isActive: {
@@ -133,6 +203,50 @@ const userSchema = new Schema({
     type: Boolean,
     default: false
   },
+  // Set when an admin deactivates the account
+  deactivation: {
+    reason: String,
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  },
+  // Admin override of the open request cap (requests.maxOpenPerRequester) for this user
+  openRequestLimit: {
+    limit: {
+      type: Number,
+      min: 0
+    },
+    reason: String,
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: Date
+  },
+  // Set when an admin forces a password reset; login is refused until it is done
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // External identity provider accounts linked to this user (OpenID Connect)
+  oidcIdentities: [{
+    provider: String,
+    subject: String,
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Self-service deletion: the account is anonymised once scheduledFor passes
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    reason: String,
+    deletedAt: Date
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -145,10 +259,114 @@ const userSchema = new Schema({
     type: Date,
     default: null
   },
+  // Per-account brute force protection
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // Number of lockouts so far - each one lasts longer than the last
+  lockoutCount: {
+    type: Number,
+    default: 0
+  },
+  // Set when the account is locked so the next successful login triggers an alert
+  lockoutNoticePending: {
+    type: Boolean,
+    default: false
+  },
+  // Most recent login attempts (capped)
+  loginHistory: {
+    type: [{
+      ip: String,
+      userAgent: String,
+      device: String,
+      success: Boolean,
+      reason: String,
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  // Devices that have successfully logged in before
+  knownDevices: {
+    type: [{
+      fingerprint: String,
+      userAgent: String,
+      lastIp: String,
+      firstSeenAt: Date,
+      lastSeenAt: Date
+    }],
+    select: false
+  },
+
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation during enrollment
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, to stop a code being replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Incremented to invalidate every access token issued before
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
   
-  // Password reset fields
-  resetPasswordToken: String,
-  resetPasswordExpires: Date,
+  // Email verification fields (never returned by default)
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  verifiedAt: {
+    type: Date,
+    default: null
+  },
+
+  // Password reset fields (hash of the emailed token, never returned by default)
+  resetPasswordToken: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpires: {
+    type: Date,
+    select: false
+  },
+  // Hashes of previous passwords, newest first, to block reuse
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  passwordChangedAt: Date,
   
   // Additional fields
   fcmToken: String, // For push notifications
@@ -175,9 +393,69 @@ const userSchema = new Schema({
 });
 
 // Index for faster queries
-userSchema.index({ role: 1 });
+userSchema.index({ roles: 1 });
 userSchema.index({ bloodGroup: 1 });
 userSchema.index({ isAvailable: 1 });
+userSchema.index({ 'credentials.role': 1, 'credentials.status': 1 });
+userSchema.index({ isActive: 1, isVerified: 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ phone: 1 });
+userSchema.index({ 'oidcIdentities.provider': 1, 'oidcIdentities.subject': 1 });
+
+// Accounts created before multi-role support only have the active role
+userSchema.pre('validate', function(next) {
+  if (!this.roles || this.roles.length === 0) {
+    this.roles = this.role ? [this.role] : [];
+  }
+  next();
+});
+
+// Method to get every role the user holds
+userSchema.methods.getRoles = function() {
+  return this.roles && this.roles.length > 0 ? [...this.roles] : [this.role];
+};
+
+// Method to check whether the user holds a role (active or not)
+userSchema.methods.hasRole = function(role) {
+  return this.getRoles().includes(role);
+};
+
+// Fill roles for accounts created before multi-role support
+userSchema.statics.backfillRoles = async function() {
+  const result = await this.updateMany(
+    { $or: [{ roles: { $exists: false } }, { roles: { $size: 0 } }] },
+    [{ $set: { roles: ['$role'] } }]
+  );
+  return result.modifiedCount;
+};
+
+// Method to get the credential review of a doctor or NGO role (default: active role)
+userSchema.methods.getCredential = function(role = this.role) {
+  return (this.credentials || []).find(credential => credential.role === role);
+};
+
+// Method to get the review status of a role; roles without review are 'not_required'
+userSchema.methods.getCredentialStatus = function(role = this.role) {
+  if (!CREDENTIALED_ROLES.includes(role)) {
+    return 'not_required';
+  }
+  return this.getCredential(role)?.status || 'pending';
+};
+
+// Method to queue a doctor or NGO role for review, replacing any earlier decision on it
+userSchema.methods.submitCredential = function(role) {
+  this.credentials = [
+    ...(this.credentials || []).filter(credential => credential.role !== role),
+    { role, status: 'pending', submittedAt: new Date() }
+  ];
+  return this.getCredential(role);
+};
+
+// Method to get the hospital an approved doctor may endorse requests for
+userSchema.methods.getConfirmedHospitalName = function() {
+  const credential = this.getCredential('doctor');
+  return credential?.status === 'approved' ? credential.hospitalName || null : null;
+};
 
 // Method to get public profile (no sensitive info)
 userSchema.methods.getPublicProfile = function() {
@@ -185,7 +463,18 @@ userSchema.methods.getPublicProfile = function() {
   delete userObject.password;
   delete userObject.resetPasswordToken;
   delete userObject.resetPasswordExpires;
+  delete userObject.passwordHistory;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
   delete userObject.fcmToken;
+  delete userObject.loginHistory;
+  delete userObject.knownDevices;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.recoveryCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   
   return userObject;
 };
@@ -194,14 +483,14 @@ userSchema.methods.getPublicProfile = function() {
 userSchema.index({ 
   bloodGroup: 1, 
   isAvailable: 1, 
-  role: 1,
+  roles: 1,
   isActive: 1
 });
 
 // Method to check if donor is eligible to donate
 userSchema.methods.isEligibleToDonate = function() {
   // If user is not a donor or not available, return false
-  if (this.role !== 'donor' || !this.isAvailable || !this.isActive) {
+  if (!this.hasRole('donor') || !this.isAvailable || !this.isActive) {
     return false;
   }
   
@@ -219,10 +508,10 @@ userSchema.methods.isEligibleToDonate = function() {
 
 // Virtual for full NGO or hospital name
 userSchema.virtual('organizationName').get(function() {
-  if (this.role === 'ngo' && this.ngoName) {
+  if (this.hasRole('ngo') && this.ngoName) {
     return this.ngoName;
   }
-  if (this.role === 'doctor' && this.hospitalName) {
+  if (this.hasRole('doctor') && this.hospitalName) {
     return this.hospitalName;
   }
   return null;
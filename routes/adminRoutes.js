@@ -0,0 +1,57 @@
+import express from 'express';
+import {
+  getCredentialApplications,
+  approveCredentials,
+  rejectCredentials,
+  getSettings,
+  updateSetting,
+  getUsers,
+  getUserById,
+  deactivateUser,
+  reactivateUser,
+  changeUserRole,
+  forcePasswordReset,
+  setOpenRequestLimit,
+  getUserActivity,
+  startImpersonation,
+  endImpersonation,
+  getAuditLogs
+} from '../controllers/adminController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { isAdmin } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @route /api/admin
+ */
+
+// All admin routes require an authenticated admin
+router.use(protect);
+router.use(isAdmin);
+
+// User management
+router.get('/users', getUsers);
+router.get('/users/:id', getUserById);
+router.get('/users/:id/activity', getUserActivity);
+router.put('/users/:id/deactivate', deactivateUser);
+router.put('/users/:id/reactivate', reactivateUser);
+router.put('/users/:id/role', changeUserRole);
+router.post('/users/:id/force-password-reset', forcePasswordReset);
+router.put('/users/:id/request-limit', setOpenRequestLimit);
+
+// Support impersonation and audit trail
+router.post('/users/:id/impersonate', startImpersonation);
+router.delete('/impersonations/:impersonationId', endImpersonation);
+router.get('/audit-logs', getAuditLogs);
+
+// Doctor and NGO credential review
+router.get('/credentials', getCredentialApplications);
+router.put('/credentials/:userId/approve', approveCredentials);
+router.put('/credentials/:userId/reject', rejectCredentials);
+
+// Platform settings
+router.get('/settings', getSettings);
+router.put('/settings/:key', updateSetting);
+
+export default router;
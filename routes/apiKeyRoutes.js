@@ -0,0 +1,27 @@
+import express from 'express';
+import {
+  getApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { restrictTo } from '../middleware/roleMiddleware.js';
+
+const router = express.Router();
+
+/**
+ * @route /api/api-keys
+ */
+
+// Keys are managed by signed-in hospital doctors, NGOs and admins
+// (API keys themselves cannot reach these routes)
+router.use(protect);
+router.use(restrictTo('doctor', 'ngo', 'admin'));
+
+router.get('/', getApiKeys);
+router.post('/', createApiKey);
+router.post('/:id/rotate', rotateApiKey);
+router.delete('/:id', revokeApiKey);
+
+export default router;
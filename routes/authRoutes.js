@@ -1,16 +1,51 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, protectTwoFactorSetup, optionalProtect, denyImpersonation } from '../middleware/authMiddleware.js';
+import { sensitiveOpLimiter } from '../middleware/rateLimit.js';
 
 // Import your controller functions here
 import {
   register,
   login,
   getCurrentUser,
+  updateProfile,
+  changePassword,
+  getLoginHistory,
   forgotPassword,
   resetPassword,
   logout,
-
+  refreshAccessToken,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactorLogin,
+  requestOtp,
+  verifyOtp,
+  getOidcProviders,
+  startOidcLogin,
+  completeOidcLogin,
+  completeOidcSignup
 } from '../controllers/authController.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} from '../controllers/twoFactorController.js';
+import {
+  getSessions,
+  revokeUserSession,
+  revokeAllSessions
+} from '../controllers/sessionController.js';
+import {
+  exportAccountData,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} from '../controllers/accountController.js';
+import {
+  switchRole,
+  addRole,
+  removeRole
+} from '../controllers/roleController.js';
 
 const router = express.Router();
 
@@ -28,6 +63,90 @@ router.post('/register', register);
  */
 router.post('/login', login);
 
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Complete login with a TOTP or recovery code
+ * @access  Public (intermediate token from login)
+ */
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+/**
+ * @route   POST /api/auth/otp/request
+ * @desc    Send an SMS code for phone login, or to verify the logged-in user's phone
+ * @access  Public (login) / Private (verify-phone)
+ */
+router.post('/otp/request', sensitiveOpLimiter, optionalProtect, requestOtp);
+
+/**
+ * @route   POST /api/auth/otp/verify
+ * @desc    Log in or verify the phone number with an SMS code
+ * @access  Public (login) / Private (verify-phone)
+ */
+router.post('/otp/verify', sensitiveOpLimiter, optionalProtect, verifyOtp);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get two-factor authentication status
+ * @access  Private
+ */
+router.get('/2fa', protect, getTwoFactorStatus);
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start 2FA enrollment and get the provisioning URI
+ * @access  Private (or 2FA setup token)
+ */
+router.post('/2fa/setup', protectTwoFactorSetup, setupTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/enable
+ * @desc    Confirm enrollment and receive recovery codes
+ * @access  Private (or 2FA setup token)
+ */
+router.post('/2fa/enable', protectTwoFactorSetup, enableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Disable 2FA
+ * @access  Private
+ */
+router.post('/2fa/disable', protect, sensitiveOpLimiter, disableTwoFactor);
+
+/**
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @desc    Regenerate recovery codes
+ * @access  Private
+ */
+router.post('/2fa/recovery-codes', protect, sensitiveOpLimiter, regenerateRecoveryCodes);
+
+/**
+ * @route   GET /api/auth/oidc/providers
+ * @desc    List the configured social / OpenID Connect login providers
+ * @access  Public
+ */
+router.get('/oidc/providers', getOidcProviders);
+
+/**
+ * @route   GET /api/auth/oidc/:provider/authorize
+ * @desc    Get the provider login URL (authorization code + PKCE)
+ * @access  Public
+ */
+router.get('/oidc/:provider/authorize', startOidcLogin);
+
+/**
+ * @route   POST /api/auth/oidc/:provider/callback
+ * @desc    Finish login with the code from the provider redirect
+ * @access  Public
+ */
+router.post('/oidc/:provider/callback', completeOidcLogin);
+
+/**
+ * @route   POST /api/auth/oidc/signup
+ * @desc    Choose a role and create the account on first provider login
+ * @access  Public
+ */
+router.post('/oidc/signup', completeOidcSignup);
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current logged in user
@@ -35,38 +154,131 @@ router.post('/login', login);
  */
 router.get('/me', protect, getCurrentUser);
 
+/**
+ * @route   PUT /api/auth/update
+ * @desc    Update current user's profile
+ * @access  Private
+ */
+router.put('/update', protect, updateProfile);
+
+/**
+ * @route   PUT /api/auth/change-password
+ * @desc    Change password (signs out all other sessions)
+ * @access  Private
+ */
+router.put('/change-password', protect, denyImpersonation, sensitiveOpLimiter, changePassword);
+
+/**
+ * @route   POST /api/auth/switch-role
+ * @desc    Change the role the user is acting as
+ * @access  Private
+ */
+router.post('/switch-role', protect, switchRole);
+
+/**
+ * @route   POST /api/auth/roles
+ * @desc    Add another role to the current account
+ * @access  Private
+ */
+router.post('/roles', protect, addRole);
+
+/**
+ * @route   DELETE /api/auth/roles/:role
+ * @desc    Remove a role from the current account
+ * @access  Private
+ */
+router.delete('/roles/:role', protect, removeRole);
+
+/**
+ * @route   GET /api/auth/login-history
+ * @desc    Get recent login attempts and known devices
+ * @access  Private
+ */
+router.get('/login-history', protect, getLoginHistory);
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Initiate forgot password process
  * @access  Public
  */
-router.post('/forgot-password', forgotPassword);
+router.post('/forgot-password', sensitiveOpLimiter, forgotPassword);
 
 /**
- * @route   POST /api/auth/reset-password
- * @desc    Reset user password
+ * @route   POST /api/auth/reset-password/:token
+ * @desc    Reset user password with the emailed token
  * @access  Public
  */
-router.post('/reset-password', resetPassword);
+router.post('/reset-password/:token', resetPassword);
 
 /**
  * @route   POST /api/auth/logout
- * @desc    Logout user (optional, if you use tokens in cookies)
+ * @desc    Logout user and revoke the current session's tokens
  * @access  Private
  */
 router.post('/logout', protect, logout);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Rotate refresh token and issue a new access token
+ * @access  Public
+ */
+router.post('/refresh', refreshAccessToken);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions and devices
+ * @access  Private
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions
+ * @desc    Log out everywhere
+ * @access  Private
+ */
+router.delete('/sessions', protect, revokeAllSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:id
+ * @desc    End a single session
+ * @access  Private
+ */
+router.delete('/sessions/:id', protect, revokeUserSession);
+
 /**
  * @route   GET /api/auth/verify-email/:token
  * @desc    Verify user email
  * @access  Public
  */
+router.get('/verify-email/:token', verifyEmail);
 
 /**
  * @route   POST /api/auth/resend-verification
  * @desc    Resend email verification
  * @access  Private
  */
+router.post('/resend-verification', protect, sensitiveOpLimiter, resendVerification);
+
+/**
+ * @route   GET /api/auth/account/export
+ * @desc    Download all personal data held for the current user
+ * @access  Private
+ */
+router.get('/account/export', protect, denyImpersonation, sensitiveOpLimiter, exportAccountData);
+
+/**
+ * @route   POST /api/auth/account/delete
+ * @desc    Schedule account deletion after a grace period
+ * @access  Private
+ */
+router.post('/account/delete', protect, sensitiveOpLimiter, requestAccountDeletion);
+
+/**
+ * @route   POST /api/auth/account/delete/cancel
+ * @desc    Cancel a scheduled account deletion
+ * @access  Private
+ */
+router.post('/account/delete/cancel', protect, cancelAccountDeletion);
 
 
 export default router;
\ No newline at end of file
@@ -8,7 +8,7 @@ import {
   registerForCamp,
   unregisterFromCamp
 } from '../controllers/campController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireVerified } from '../middleware/authMiddleware.js';
 import { restrictTo } from '../middleware/roleMiddleware.js';
 import { isResourceOwner } from '../middleware/roleMiddleware.js';
 
@@ -31,7 +31,7 @@ router.post('/:id/register', registerForCamp);
 router.delete('/:id/register', unregisterFromCamp);
 
 // NGO only routes
-router.post('/', restrictTo('ngo'), createCamp);
+router.post('/', restrictTo('ngo'), requireVerified, createCamp);
 router.put('/:id', isResourceOwner(async req => {
   const camp = await Camp.findById(req.params.id);
   return camp ? camp.organizer : null;
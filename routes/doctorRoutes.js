@@ -1,6 +1,7 @@
 import express from 'express';
 import {
   getPendingVerifications,
+  getPendingEndorsements,
   verifyDonation,
   getVerificationHistory,
   getDoctorStats
@@ -21,6 +22,7 @@ router.use(protect);
 router.use(restrictTo('doctor', 'admin'));
 
 router.get('/pending-verifications', getPendingVerifications);
+router.get('/pending-endorsements', getPendingEndorsements);
 router.post('/verify-donation/:requestId', verifyDonation);
 router.get('/verification-history', getVerificationHistory);
 router.get('/stats', getDoctorStats);
@@ -0,0 +1,21 @@
+import express from 'express';
+import {
+  getDiscoveryDocument,
+  getJwks,
+  authorize,
+  issueTokens
+} from '../controllers/mockOidcController.js';
+
+const router = express.Router();
+
+/**
+ * @route /api/dev/oidc
+ * Local mock identity provider - mounted only when OIDC_MOCK_ENABLED=true
+ */
+
+router.get('/.well-known/openid-configuration', getDiscoveryDocument);
+router.get('/jwks', getJwks);
+router.get('/authorize', authorize);
+router.post('/token', issueTokens);
+
+export default router;
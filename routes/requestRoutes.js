@@ -6,9 +6,14 @@ import {
   updateRequest,
   cancelRequest,
   acceptRequest,
-  fulfillRequest
+  fulfillRequest,
+  endorseRequest,
+  renewRequest,
+  getRequestTimeline,
+  updatePledgeCheckpoint,
+  withdrawPledge
 } from '../controllers/requestController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireVerified } from '../middleware/authMiddleware.js';
 import { restrictTo } from '../middleware/roleMiddleware.js';
 import Request from '../models/Request.js';
 
@@ -20,9 +25,10 @@ router.use(protect);
 // Routes for all authenticated users
 router.get('/', getRequests);
 router.get('/:id', getRequestById);
+router.get('/:id/timeline', getRequestTimeline);
 
 // Requester routes
-router.post('/', restrictTo('requester'), createRequest);
+router.post('/', restrictTo('requester'), requireVerified, createRequest);
 
 // Update request route with ownership check
 router.put('/:id',
@@ -88,10 +94,16 @@ router.put('/:id/cancel',
   cancelRequest
 );
 
+// Renew an expired request (ownership checked in the controller)
+router.put('/:id/renew', restrictTo('requester'), renewRequest);
+
 // Donor routes
-router.put('/:id/accept', restrictTo('donor'), acceptRequest);
+router.put('/:id/accept', restrictTo('donor'), requireVerified, acceptRequest);
+router.put('/:id/checkpoint', restrictTo('donor'), updatePledgeCheckpoint);
+router.put('/:id/withdraw', restrictTo('donor'), withdrawPledge);
 
 // Doctor routes
 router.put('/:id/fulfill', restrictTo('doctor'), fulfillRequest);
+router.put('/:id/endorse', restrictTo('doctor'), endorseRequest);
 
 export default router;
\ No newline at end of file
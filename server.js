@@ -20,11 +20,19 @@ import campRoutes from './routes/campRoutes.js';
 import mapRoutes from './routes/mapRoutes.js';
 import chatRoutes from './routes/chatRoutes.js';
 import notificationRoutes from './routes/notificationRoutes.js';
+import adminRoutes from './routes/adminRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
+import mockOidcRoutes from './routes/mockOidcRoutes.js';
 
 // Middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import connectToDatabase from './config/db.js';
 import setupSocket from './config/socket.js';
+import startJobs from './jobs/index.js';
+import { MOCK_OIDC_ENABLED } from './config/oidc.js';
+import User from './models/User.js';
+import { socketStore } from './utils/socketStore.js';
+import Request from './models/Request.js';
 
 // Load environment variables
 dotenv.config();
@@ -44,6 +52,9 @@ const io = new Server(server, {
 
 // Configure Socket.io
 setupSocket(io);
+// Controllers look these up with req.app.get()
+app.set('io', io);
+app.set('socketStore', socketStore);
 
 // Middleware
 app.use(cors({
@@ -77,6 +88,13 @@ app.use('/api/camps', campRoutes);
 app.use('/api/map', mapRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Local identity provider for testing social login offline
+if (MOCK_OIDC_ENABLED) {
+  app.use('/api/dev/oidc', mockOidcRoutes);
+}
 
 // API health check route
 app.get('/api/health', (req, res) => {
@@ -96,6 +114,15 @@ const PORT = process.env.PORT || 5500;
 const startServer = async () => {
   try {
     await connectToDatabase();
+    // Accounts created before multi-role support need their roles list filled in
+    User.backfillRoles()
+      .then(count => count > 0 && console.log(`Filled in roles for ${count} existing users`))
+      .catch(error => console.error('Role backfill error:', error));
+    // Requests matched before multi-donor support need their donor recorded as a pledge
+    Request.backfillPledges()
+      .then(count => count > 0 && console.log(`Recorded pledges for ${count} existing requests`))
+      .catch(error => console.error('Pledge backfill error:', error));
+    startJobs();
     server.listen(PORT, () => {
       console.log(`🩸 BloodLink server running on port ${PORT}`);
       console.log(`📅 Server started at: ${new Date().toISOString()}`);
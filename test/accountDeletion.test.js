@@ -0,0 +1,210 @@
+import { fakeQuery, stubSaves, makeReq, call } from './helpers.js';
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import Donation from '../models/Donation.js';
+import Message from '../models/Message.js';
+import Notification from '../models/Notification.js';
+import Camp from '../models/Camp.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { generateTotpSecret, generateTotp, getTotpStep } from '../utils/totp.js';
+import {
+  exportAccountData,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} from '../controllers/accountController.js';
+import { anonymiseUser } from '../jobs/accountDeletionJob.js';
+import { buildUser, buildRequest, buildPledge } from './fixtures.js';
+
+const PASSWORD = 'Blood!Link-2024';
+
+describe('account deletion and export', () => {
+  let passwordHash;
+  let saved;
+  let user;
+
+  before(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(() => {
+    saved = stubSaves();
+    user = buildUser('donor', { password: passwordHash });
+    mock.method(User, 'findById', () => fakeQuery(user));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const asUser = (fields = {}) => makeReq({ user: { id: user._id, role: 'donor', roles: ['donor'] }, ...fields });
+
+  describe('export', () => {
+    it('returns the profile and related records without secrets', async () => {
+      user.passwordHistory = ['old-hash'];
+      const request = buildRequest({ requester: user._id });
+      mock.method(Request, 'find', () => fakeQuery([request.toObject()]));
+      mock.method(Donation, 'find', () => fakeQuery([]));
+      mock.method(Message, 'find', () => fakeQuery([]));
+      mock.method(Notification, 'find', () => fakeQuery([]));
+      mock.method(Camp, 'find', () => fakeQuery([]));
+
+      const { status, body, res } = await call(exportAccountData, asUser());
+
+      assert.equal(status, 200);
+      assert.match(res.headers['content-disposition'], /attachment/);
+      assert.equal(body.data.profile.email, user.email);
+      assert.equal(body.data.profile.password, undefined);
+      assert.equal(body.data.profile.passwordHistory, undefined);
+      assert.equal(body.data.requests.length, 1);
+    });
+  });
+
+  describe('scheduling', () => {
+    it('needs the right password', async () => {
+      const { status } = await call(requestAccountDeletion, asUser({ body: { password: 'wrong' } }));
+
+      assert.equal(status, 401);
+      assert.equal(user.deletion?.scheduledFor, undefined);
+    });
+
+    it('schedules the deletion and takes the donor out of searches', async () => {
+      const { status, body } = await call(requestAccountDeletion, asUser({
+        body: { password: PASSWORD, reason: 'Moving abroad' }
+      }));
+
+      assert.equal(status, 200);
+      assert.ok(user.deletion.scheduledFor > new Date());
+      assert.equal(new Date(body.data.scheduledFor).getTime(), user.deletion.scheduledFor.getTime());
+      assert.equal(user.isAvailable, false);
+    });
+
+    it('accepts a two-factor code instead of the password', async () => {
+      const secret = generateTotpSecret();
+      user.twoFactor = { enabled: true, secret, lastUsedStep: getTotpStep() - 5 };
+
+      assert.equal((await call(requestAccountDeletion, asUser({ body: { code: '000000' } }))).status, 401);
+      const { status } = await call(requestAccountDeletion, asUser({ body: { code: generateTotp(secret) } }));
+
+      assert.equal(status, 200);
+      assert.equal(user.twoFactor.lastUsedStep, getTotpStep());
+    });
+
+    it('accepts a fresh provider login from accounts without a known password', async () => {
+      user.oidcIdentities = [{ provider: 'test', subject: 'idp-user-1' }];
+      const session = new Session({ user: user._id, expiresAt: new Date(Date.now() + 3600000) });
+      mock.method(Session, 'findById', async () => session);
+      const deleteAccount = () => call(requestAccountDeletion, asUser({ tokenPayload: { sid: session._id.toString() } }));
+
+      session.createdAt = new Date(Date.now() - 3600000);
+      const stale = await deleteAccount();
+      assert.equal(stale.status, 400);
+      assert.match(stale.body.message, /log in with your provider again/);
+
+      session.createdAt = new Date();
+      assert.equal((await deleteAccount()).status, 200);
+    });
+
+    it('does not take a recent login in place of the password for password accounts', async () => {
+      mock.method(Session, 'findById', async () => new Session({ user: user._id, expiresAt: new Date(Date.now() + 3600000) }));
+
+      const { status } = await call(requestAccountDeletion, asUser({ tokenPayload: { sid: 'session-1' } }));
+
+      assert.equal(status, 400);
+    });
+
+    it('refuses admin accounts', async () => {
+      user = buildUser('admin', { password: passwordHash });
+
+      const { status } = await call(requestAccountDeletion, asUser({ body: { password: PASSWORD } }));
+
+      assert.equal(status, 403);
+    });
+
+    it('can be cancelled during the grace period', async () => {
+      user.deletion = { requestedAt: new Date(), scheduledFor: new Date(Date.now() + 3600000) };
+
+      const { status } = await call(cancelAccountDeletion, asUser());
+
+      assert.equal(status, 200);
+      assert.equal(user.deletion?.scheduledFor, undefined);
+    });
+  });
+
+  describe('anonymisation', () => {
+    let request;
+    let userUpdate;
+
+    beforeEach(() => {
+      const requester = buildUser('requester');
+      request = buildRequest({
+        requester: requester._id,
+        status: 'matched',
+        units: 1,
+        unitsPledged: 1,
+        assignedDonor: user._id,
+        pledges: [buildPledge(user)]
+      });
+
+      mock.method(Request, 'find', (filter) => {
+        if (filter.pledges) return fakeQuery([request]);
+        if (filter.status) return fakeQuery([]);
+        return { distinct: async () => [] };
+      });
+      mock.method(User, 'findById', () => fakeQuery(requester));
+      mock.method(User, 'find', () => fakeQuery([]));
+      userUpdate = mock.method(User, 'updateOne', async () => ({}));
+      mock.method(Request, 'updateMany', async () => ({}));
+      mock.method(RequestEvent.collection, 'updateMany', async () => ({}));
+      mock.method(Donation, 'updateMany', async () => ({}));
+      mock.method(Message, 'updateMany', async () => ({}));
+      mock.method(Notification, 'deleteMany', async () => ({}));
+      mock.method(Session, 'updateMany', async () => ({}));
+      mock.method(Session, 'deleteMany', async () => ({}));
+      mock.method(RefreshToken, 'updateMany', async () => ({}));
+      mock.method(RefreshToken, 'deleteMany', async () => ({}));
+    });
+
+    it("releases the donor's open pledges and reopens the request", async () => {
+      await anonymiseUser(user);
+
+      assert.equal(request.pledges[0].status, 'released');
+      assert.equal(request.status, 'pending');
+      assert.equal(request.unitsPledged, 0);
+      assert.equal(request.assignedDonor, null);
+      assert.ok(saved.includes(request));
+      const event = saved.find(doc => doc instanceof RequestEvent);
+      assert.equal(event.type, 'withdrawn');
+      assert.equal(event.details.reason, 'Donor account deleted');
+      assert.ok(saved.some(doc => doc.constructor.modelName === 'Notification'));
+    });
+
+    it("clears the free-text details of the user's timeline entries", async () => {
+      const startedAt = new Date();
+
+      await anonymiseUser(user);
+
+      const [filter, update] = RequestEvent.collection.updateMany.mock.calls
+        .map(call => call.arguments)
+        .find(([, change]) => change.$unset);
+      assert.deepEqual(filter.$or[1], { actor: user._id });
+      // The closing events written while anonymising keep their reasons
+      assert.ok(filter.createdAt.$lt >= startedAt);
+      assert.deepEqual(update.$unset, { details: '' });
+    });
+
+    it('removes identifying fields from the user', async () => {
+      await anonymiseUser(user);
+
+      const update = userUpdate.mock.calls.at(-1).arguments[1];
+      assert.equal(update.$set.name, 'Deleted user');
+      assert.equal(update.$set.isActive, false);
+      assert.deepEqual(update.$set.oidcIdentities, []);
+      for (const field of ['hospitalId', 'ngoId', 'passwordHistory', 'address', 'location', 'deletion.reason']) {
+        assert.ok(field in update.$unset, field);
+      }
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { sentEmails, resetOutbox, fakeQuery, stubSaves, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import {
+  getUsers,
+  getUserById,
+  deactivateUser,
+  reactivateUser,
+  changeUserRole,
+  forcePasswordReset
+} from '../controllers/adminController.js';
+import { buildUser } from './fixtures.js';
+
+const admin = { id: '64b0000000000000000000aa', role: 'admin', roles: ['admin'] };
+
+describe('admin user management', () => {
+  let saved;
+  let target;
+  let tokenVersionBumps;
+
+  beforeEach(() => {
+    resetOutbox();
+    saved = stubSaves();
+    target = buildUser('donor');
+    mock.method(User, 'findById', () => fakeQuery(target));
+    tokenVersionBumps = mock.method(User, 'updateOne', async () => ({}));
+    mock.method(Session, 'updateMany', async () => ({}));
+    mock.method(RefreshToken, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const asAdmin = (fields = {}) => makeReq({
+    user: admin,
+    params: { id: target._id.toString() },
+    ...fields
+  });
+
+  it('searches by role and by a literal name, email or phone fragment', async () => {
+    const find = mock.method(User, 'find', () => fakeQuery([target]));
+    mock.method(User, 'countDocuments', async () => 1);
+
+    const { status, body } = await call(getUsers, asAdmin({
+      query: { role: 'donor', isActive: 'false', search: 'a.b+' }
+    }));
+
+    assert.equal(status, 200);
+    assert.equal(body.total, 1);
+    const query = find.mock.calls[0].arguments[0];
+    assert.equal(query.roles, 'donor');
+    assert.equal(query.isActive, false);
+    assert.ok(query.$or[0].name.test('xA.B+y'));
+    assert.ok(!query.$or[0].name.test('aXbb'));
+  });
+
+  it('returns 404 for an unknown user', async () => {
+    User.findById.mock.mockImplementation(() => fakeQuery(null));
+
+    const { status } = await call(getUserById, asAdmin());
+
+    assert.equal(status, 404);
+  });
+
+  it('deactivates an account and signs it out everywhere', async () => {
+    const { status } = await call(deactivateUser, asAdmin({ body: { reason: 'Spam requests' } }));
+
+    assert.equal(status, 200);
+    assert.equal(target.isActive, false);
+    assert.equal(target.isAvailable, false);
+    assert.equal(target.deactivation.reason, 'Spam requests');
+    assert.equal(target.deactivation.by.toString(), admin.id);
+    assert.deepEqual(tokenVersionBumps.mock.calls[0].arguments[1], { $inc: { tokenVersion: 1 } });
+  });
+
+  it('will not let admins act on their own account', async () => {
+    const { status } = await call(deactivateUser, asAdmin({ params: { id: admin.id } }));
+
+    assert.equal(status, 400);
+    assert.equal(saved.length, 0);
+  });
+
+  it('reactivates an account and tells the user', async () => {
+    target.isActive = false;
+    target.deactivation = { reason: 'Spam requests', by: admin.id, at: new Date() };
+
+    const { status } = await call(reactivateUser, asAdmin());
+
+    assert.equal(status, 200);
+    assert.equal(target.isActive, true);
+    assert.equal(target.deactivation.reason, undefined);
+    assert.ok(saved.some(doc => doc.constructor.modelName === 'Notification'));
+  });
+
+  it('refuses to reactivate an active account', async () => {
+    const { status } = await call(reactivateUser, asAdmin());
+
+    assert.equal(status, 400);
+  });
+
+  it('changes roles and counts an admin-assigned doctor role as approved', async () => {
+    const { status, body } = await call(changeUserRole, asAdmin({
+      body: { roles: ['donor', 'doctor'], hospitalId: 'HOSP-9' }
+    }));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.roles, ['donor', 'doctor']);
+    assert.equal(body.data.role, 'donor');
+    assert.equal(target.hospitalId, 'HOSP-9');
+    assert.equal(target.getCredentialStatus('doctor'), 'approved');
+  });
+
+  it('rejects an unknown role', async () => {
+    const { status } = await call(changeUserRole, asAdmin({ body: { role: 'superuser' } }));
+
+    assert.equal(status, 400);
+  });
+
+  it('forces a password reset, revokes sessions and emails a link', async () => {
+    const { status, body } = await call(forcePasswordReset, asAdmin());
+
+    assert.equal(status, 200);
+    assert.equal(target.passwordResetRequired, true);
+    assert.equal(body.data.emailSent, true);
+    assert.equal(sentEmails[0].to, target.email);
+    assert.equal(tokenVersionBumps.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,146 @@
+import { fakeQuery, loadDoc, stubSaves, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import ApiKey from '../models/ApiKey.js';
+import { createApiKey, rotateApiKey, revokeApiKey } from '../controllers/apiKeyController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { hashToken } from '../utils/tokenUtils.js';
+import { buildUser } from './fixtures.js';
+
+const DAY_MS = 24 * 3600000;
+
+describe('API keys', () => {
+  let saved;
+  let doctor;
+
+  beforeEach(() => {
+    saved = stubSaves();
+    doctor = buildUser('doctor', { hospitalName: 'City Hospital' });
+    mock.method(User, 'findById', () => fakeQuery(doctor));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const asDoctor = (fields = {}) => makeReq({ user: { id: doctor._id, role: 'doctor', roles: ['doctor'] }, ...fields });
+
+  const buildKey = (fields = {}) => loadDoc(ApiKey, {
+    name: 'Blood bank sync',
+    owner: doctor._id,
+    organization: { type: 'hospital', id: 'HOSP-1', name: 'City Hospital' },
+    prefix: 'abcdefgh',
+    keyHash: hashToken('blk_secret'),
+    scopes: ['requests:read'],
+    expiresAt: new Date(Date.now() + 30 * DAY_MS),
+    createdAt: new Date(Date.now() - 60 * DAY_MS),
+    ...fields
+  });
+
+  describe('management', () => {
+    it("creates a key for the user's hospital and shows it once", async () => {
+      const { status, body } = await call(createApiKey, asDoctor({
+        body: { name: 'Blood bank sync', scopes: ['requests:read', 'requests:read'] }
+      }));
+
+      assert.equal(status, 201);
+      assert.match(body.data.key, /^blk_/);
+      assert.equal(body.data.keyHash, undefined);
+      const stored = saved.find(doc => doc instanceof ApiKey);
+      assert.equal(stored.keyHash, hashToken(body.data.key));
+      assert.equal(stored.organization.id, 'HOSP-1');
+      assert.deepEqual([...stored.scopes], ['requests:read']);
+    });
+
+    it('rejects unknown scopes', async () => {
+      const { status } = await call(createApiKey, asDoctor({
+        body: { name: 'Everything', scopes: ['admin:all'] }
+      }));
+
+      assert.equal(status, 400);
+      assert.equal(saved.length, 0);
+    });
+
+    it('rotates a key and cuts the old one down to the grace period', async () => {
+      const oldKey = buildKey();
+      mock.method(ApiKey, 'findOne', () => fakeQuery(oldKey));
+
+      const { status, body } = await call(rotateApiKey, asDoctor({ params: { id: oldKey._id.toString() } }));
+
+      assert.equal(status, 201);
+      assert.notEqual(body.data.key, 'blk_secret');
+      assert.equal(oldKey.replacedBy.toString(), body.data.id.toString());
+      assert.ok(oldKey.expiresAt <= new Date(Date.now() + DAY_MS));
+    });
+
+    it("only finds keys of the user's own organisation", async () => {
+      const findOne = mock.method(ApiKey, 'findOne', () => fakeQuery(null));
+
+      const { status } = await call(revokeApiKey, asDoctor({ params: { id: 'k1' } }));
+
+      assert.equal(status, 404);
+      assert.equal(findOne.mock.calls[0].arguments[0]['organization.id'], 'HOSP-1');
+    });
+  });
+
+  describe('authentication', () => {
+    let apiKey;
+
+    beforeEach(() => {
+      apiKey = buildKey();
+      mock.method(ApiKey, 'findOne', (filter) =>
+        fakeQuery(filter.keyHash === apiKey.keyHash ? apiKey : null)
+      );
+      mock.method(ApiKey, 'updateOne', async () => ({}));
+    });
+
+    const withKey = (key, method, path) => call(protect, makeReq({
+      method,
+      baseUrl: '/api/requests',
+      path,
+      headers: { 'x-api-key': key }
+    }));
+
+    it('acts as the owner on endpoints its scopes allow', async () => {
+      const req = makeReq({ method: 'GET', baseUrl: '/api/requests', path: '/', headers: { 'x-api-key': 'blk_secret' } });
+
+      const { nextCalled } = await call(protect, req);
+
+      assert.equal(nextCalled, true);
+      assert.equal(req.user.id, doctor._id);
+      assert.equal(req.apiKey.organization.id, 'HOSP-1');
+      assert.equal(ApiKey.updateOne.mock.calls[0].arguments[1].$inc.usageCount, 1);
+    });
+
+    it('refuses endpoints outside its scopes', async () => {
+      const { status, body } = await withKey('blk_secret', 'POST', '/');
+
+      assert.equal(status, 403);
+      assert.match(body.message, /requests:write/);
+    });
+
+    it('refuses endpoints that never accept API keys', async () => {
+      const { status } = await withKey('blk_secret', 'DELETE', '/abc');
+
+      assert.equal(status, 403);
+    });
+
+    it('rejects unknown, revoked and expired keys', async () => {
+      assert.equal((await withKey('blk_other', 'GET', '/')).status, 401);
+
+      apiKey.revokedAt = new Date();
+      assert.equal((await withKey('blk_secret', 'GET', '/')).status, 401);
+
+      apiKey.revokedAt = undefined;
+      apiKey.expiresAt = new Date(Date.now() - 1000);
+      assert.equal((await withKey('blk_secret', 'GET', '/')).status, 401);
+    });
+
+    it('stops working when the owner loses their credentials', async () => {
+      doctor.getCredential('doctor').status = 'rejected';
+
+      const { status } = await withKey('blk_secret', 'GET', '/');
+
+      assert.equal(status, 403);
+    });
+  });
+});
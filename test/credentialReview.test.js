@@ -0,0 +1,303 @@
+import { fakeQuery, stubSaves, makeReq, authUser, call, resetOutbox } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { register } from '../controllers/authController.js';
+import {
+  getCredentialApplications,
+  approveCredentials,
+  rejectCredentials
+} from '../controllers/adminController.js';
+import { addRole, removeRole } from '../controllers/roleController.js';
+import { restrictTo } from '../middleware/roleMiddleware.js';
+import { buildUser } from './fixtures.js';
+
+const admin = { id: '64b0000000000000000000aa', role: 'admin', roles: ['admin'] };
+
+const buildDoctor = (fields = {}) => buildUser('doctor', {
+  credentials: [{ role: 'doctor', status: 'pending', submittedAt: new Date() }],
+  ...fields
+});
+
+describe('credential review', () => {
+  let saved;
+
+  beforeEach(() => {
+    resetOutbox();
+    saved = stubSaves();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('signup', () => {
+    const signup = {
+      name: 'Dr Mita Sen',
+      email: 'mita@example.com',
+      password: 'Blood!Link-2024',
+      phone: '9876543210'
+    };
+
+    beforeEach(() => {
+      mock.method(User, 'findOne', () => fakeQuery(null));
+    });
+
+    it('queues new doctors for review', async () => {
+      const { status, body } = await call(register, makeReq({
+        body: { ...signup, role: 'doctor', hospitalId: 'HOSP-1', hospitalName: 'City Hospital' }
+      }));
+
+      assert.equal(status, 201);
+      assert.equal(body.data.user.hospitalName, 'City Hospital');
+      assert.equal(body.data.user.credentials[0].role, 'doctor');
+      assert.equal(body.data.user.credentials[0].status, 'pending');
+      assert.ok(body.data.user.credentials[0].submittedAt);
+    });
+
+    it('refuses to create admin accounts', async () => {
+      const { status } = await call(register, makeReq({ body: { ...signup, role: 'admin' } }));
+
+      assert.equal(status, 403);
+      assert.equal(saved.length, 0);
+    });
+
+    it('refuses admin passed in the role list', async () => {
+      const { status } = await call(register, makeReq({ body: { ...signup, roles: ['admin'] } }));
+
+      assert.equal(status, 403);
+      assert.equal(saved.length, 0);
+    });
+
+    it('requires a hospital ID from doctors', async () => {
+      const { status } = await call(register, makeReq({ body: { ...signup, role: 'doctor' } }));
+
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('role restriction', () => {
+    const doctorOnly = restrictTo('doctor');
+
+    it('keeps doctors out until their credentials are approved', async () => {
+      for (const credentialStatus of ['pending', 'rejected', 'not_required']) {
+        const { status, nextCalled } = await call(doctorOnly, makeReq({
+          user: { id: 'd1', role: 'doctor', roles: ['doctor'], credentialStatus }
+        }));
+        assert.equal(status, 403, credentialStatus);
+        assert.equal(nextCalled, false);
+      }
+    });
+
+    it('lets approved doctors through', async () => {
+      const { nextCalled } = await call(doctorOnly, makeReq({
+        user: { id: 'd1', role: 'doctor', roles: ['doctor'], credentialStatus: 'approved' }
+      }));
+
+      assert.equal(nextCalled, true);
+    });
+  });
+
+  describe('admin decisions', () => {
+    it('lists pending applications by default', async () => {
+      const find = mock.method(User, 'find', () => fakeQuery([buildDoctor()]));
+      mock.method(User, 'countDocuments', async () => 1);
+
+      const { status, body } = await call(getCredentialApplications, makeReq({ user: admin }));
+
+      assert.equal(status, 200);
+      assert.equal(body.total, 1);
+      const [withStatus, unreviewed] = find.mock.calls[0].arguments[0].$or;
+      assert.equal(withStatus.credentials.$elemMatch.status, 'pending');
+      // Doctor and NGO accounts from before credential review are queued too
+      assert.ok(unreviewed.credentials.$not.$elemMatch);
+    });
+
+    it('lists only decisions with that status for other statuses', async () => {
+      const find = mock.method(User, 'find', () => fakeQuery([]));
+      mock.method(User, 'countDocuments', async () => 0);
+
+      await call(getCredentialApplications, makeReq({ user: admin, query: { status: 'rejected', role: 'ngo' } }));
+
+      const filter = find.mock.calls[0].arguments[0];
+      assert.equal(filter.$or, undefined);
+      assert.deepEqual(filter.credentials.$elemMatch, { role: 'ngo', status: 'rejected' });
+    });
+
+    it('reviews accounts created before credential review', async () => {
+      const doctor = buildUser('doctor', { credentials: [] });
+      mock.method(User, 'findById', () => fakeQuery(doctor));
+
+      const { status } = await call(approveCredentials, makeReq({
+        user: admin,
+        params: { userId: doctor._id.toString() }
+      }));
+
+      assert.equal(status, 200);
+      assert.equal(doctor.getCredentialStatus('doctor'), 'approved');
+    });
+
+    it('approves credentials and tells the applicant', async () => {
+      const doctor = buildDoctor();
+      mock.method(User, 'findById', () => fakeQuery(doctor));
+
+      const { status } = await call(approveCredentials, makeReq({
+        user: admin,
+        params: { userId: doctor._id.toString() }
+      }));
+
+      assert.equal(status, 200);
+      assert.equal(doctor.getCredentialStatus('doctor'), 'approved');
+      assert.equal(doctor.getCredential('doctor').reviewedBy.toString(), admin.id);
+      assert.equal(doctor.getConfirmedHospitalName(), 'City Hospital');
+      assert.ok(saved.some(doc => doc.constructor.modelName === 'Notification'));
+    });
+
+    it("lets the admin correct a doctor's hospital, and needs one to approve", async () => {
+      const doctor = buildDoctor({ hospitalName: 'City Hosp' });
+      mock.method(User, 'findById', () => fakeQuery(doctor));
+
+      const { status } = await call(approveCredentials, makeReq({
+        user: admin,
+        params: { userId: doctor._id.toString() },
+        body: { hospitalName: ' City Hospital ' }
+      }));
+
+      assert.equal(status, 200);
+      assert.equal(doctor.hospitalName, 'City Hospital');
+      assert.equal(doctor.getConfirmedHospitalName(), 'City Hospital');
+
+      const unnamed = buildDoctor({ hospitalName: undefined });
+      User.findById.mock.mockImplementation(() => fakeQuery(unnamed));
+      const missing = await call(approveCredentials, makeReq({ user: admin, params: { userId: 'x' } }));
+      assert.equal(missing.status, 400);
+      assert.equal(unnamed.getCredentialStatus('doctor'), 'pending');
+    });
+
+    it('refuses to approve twice', async () => {
+      mock.method(User, 'findById', () => fakeQuery(buildDoctor({ credentials: [{ role: 'doctor', status: 'approved' }] })));
+
+      const { status } = await call(approveCredentials, makeReq({ user: admin, params: { userId: 'x' } }));
+
+      assert.equal(status, 400);
+    });
+
+    it('needs a reason to reject', async () => {
+      const doctor = buildDoctor();
+      mock.method(User, 'findById', () => fakeQuery(doctor));
+
+      const { status } = await call(rejectCredentials, makeReq({ user: admin, params: { userId: 'x' } }));
+
+      assert.equal(status, 400);
+      assert.equal(doctor.getCredentialStatus('doctor'), 'pending');
+    });
+
+    it('only reviews doctor and NGO accounts', async () => {
+      mock.method(User, 'findById', () => fakeQuery(buildUser('donor')));
+
+      const { status } = await call(approveCredentials, makeReq({ user: admin, params: { userId: 'x' } }));
+
+      assert.equal(status, 404);
+    });
+  });
+
+  describe('several credentialed roles', () => {
+    const buildDoctorNgo = () => buildUser('doctor', {
+      roles: ['doctor', 'ngo'],
+      ngoId: 'NGO-1',
+      credentials: [
+        { role: 'doctor', status: 'approved' },
+        { role: 'ngo', status: 'pending' }
+      ]
+    });
+
+    it('reviews each role separately', async () => {
+      const user = buildDoctorNgo();
+      mock.method(User, 'findById', () => fakeQuery(user));
+
+      const { status, body } = await call(rejectCredentials, makeReq({
+        user: admin,
+        params: { userId: 'x' },
+        body: { role: 'ngo', reason: 'NGO registration not found' }
+      }));
+
+      assert.equal(status, 200);
+      assert.equal(body.data.role, 'ngo');
+      assert.equal(user.getCredentialStatus('ngo'), 'rejected');
+      assert.equal(user.getCredentialStatus('doctor'), 'approved');
+    });
+
+    it('asks which role to review when the user holds both', async () => {
+      mock.method(User, 'findById', () => fakeQuery(buildDoctorNgo()));
+
+      const { status } = await call(approveCredentials, makeReq({ user: admin, params: { userId: 'x' } }));
+
+      assert.equal(status, 400);
+    });
+
+    it('only lets the active role through when it is approved', async () => {
+      const user = buildDoctorNgo();
+
+      const asDoctor = await call(restrictTo('doctor'), makeReq({ user: authUser(user) }));
+      assert.equal(asDoctor.nextCalled, true);
+
+      user.role = 'ngo';
+      const asNgo = await call(restrictTo('ngo'), makeReq({ user: authUser(user) }));
+      assert.equal(asNgo.status, 403);
+    });
+  });
+
+  describe('adding a role', () => {
+    let user;
+
+    beforeEach(() => {
+      user = buildUser('doctor');
+      mock.method(User, 'findById', () => fakeQuery(user));
+    });
+
+    const addNgo = (body) => call(addRole, makeReq({ user: { id: user._id }, body: { role: 'ngo', ...body } }));
+
+    it('queues the new role without touching the approved one', async () => {
+      const { status, body } = await addNgo({ ngoId: 'NGO-7' });
+
+      assert.equal(status, 200);
+      assert.equal(body.data.credentialStatus, 'pending');
+      assert.equal(user.getCredentialStatus('ngo'), 'pending');
+      assert.equal(user.getCredentialStatus('doctor'), 'approved');
+      assert.equal(user.ngoId, 'NGO-7');
+    });
+
+    it("records the hospital of a new doctor role for the admin to confirm", async () => {
+      user = buildUser('donor');
+
+      const { status } = await call(addRole, makeReq({
+        user: { id: user._id },
+        body: { role: 'doctor', hospitalId: 'HOSP-3', hospitalName: 'Lake View Hospital' }
+      }));
+
+      assert.equal(status, 200);
+      assert.equal(user.hospitalName, 'Lake View Hospital');
+      assert.equal(user.getCredentialStatus('doctor'), 'pending');
+      assert.equal(user.getConfirmedHospitalName(), null);
+    });
+
+    it('does not replace an affiliation that was already reviewed', async () => {
+      user.ngoId = 'NGO-1';
+
+      const { status } = await addNgo({ ngoId: 'NGO-7' });
+
+      assert.equal(status, 400);
+      assert.equal(user.ngoId, 'NGO-1');
+      assert.equal(saved.length, 0);
+    });
+
+    it('drops the review of a role that is removed', async () => {
+      user.roles = ['doctor', 'ngo'];
+      user.ngoId = 'NGO-1';
+      user.credentials.push({ role: 'ngo', status: 'pending' });
+
+      const { status } = await call(removeRole, makeReq({ user: { id: user._id }, params: { role: 'ngo' } }));
+
+      assert.equal(status, 200);
+      assert.deepEqual(user.credentials.map(credential => credential.role), ['doctor']);
+    });
+  });
+});
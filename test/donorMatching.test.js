@@ -0,0 +1,108 @@
+import { fakeQuery, stubSaves } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import Notification from '../models/Notification.js';
+import { findMatchingDonors, alertMatchingDonors } from '../utils/donorMatching.js';
+import { socketStore } from '../utils/socketStore.js';
+import { buildUser, buildRequest } from './fixtures.js';
+
+// Roughly 1.1 km per hundredth of a degree of latitude
+const donorAt = (km, fields = {}) => buildUser('donor', {
+  bloodGroup: 'A+',
+  location: { type: 'Point', coordinates: [88.3639, 22.5726 + km / 111] },
+  ...fields
+});
+
+describe('donor matching', () => {
+  let saved;
+  let request;
+  let nearby;
+  let emitted;
+
+  beforeEach(() => {
+    saved = stubSaves();
+    request = buildRequest();
+    nearby = [];
+    emitted = [];
+    mock.method(User, 'find', () => fakeQuery(nearby));
+    mock.method(Request, 'updateOne', async () => ({ modifiedCount: 1 }));
+    socketStore.setServer({
+      to: (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) })
+    });
+  });
+
+  afterEach(() => {
+    socketStore.setServer(null);
+    mock.restoreAll();
+  });
+
+  describe('finding donors', () => {
+    it('searches available, compatible donors around the request', async () => {
+      await findMatchingDonors(request);
+
+      const filter = User.find.mock.calls[0].arguments[0];
+      assert.equal(filter.roles, 'donor');
+      assert.equal(filter.isAvailable, true);
+      assert.deepEqual(filter.bloodGroup.$in.sort(), ['A+', 'A-', 'O+', 'O-']);
+    });
+
+    it("keeps donors within their own radius, nearest first", async () => {
+      const close = donorAt(2);
+      const withinOwnRadius = donorAt(18, { preferences: { radius: 25 } });
+      const beyondDefaultRadius = donorAt(12);
+      nearby = [close, beyondDefaultRadius, withinOwnRadius];
+
+      const matches = await findMatchingDonors(request);
+
+      assert.deepEqual(matches.map(match => match.donor), [close, withinOwnRadius]);
+      assert.equal(matches[0].distanceKm, 2);
+    });
+
+    it('leaves out the requester, recent donors and accounts being deleted', async () => {
+      const requesterAsDonor = donorAt(1);
+      request.requester = requesterAsDonor._id;
+      nearby = [
+        requesterAsDonor,
+        donorAt(1, { lastDonationDate: new Date() }),
+        donorAt(1, { deletion: { scheduledFor: new Date(Date.now() + 3600000) } })
+      ];
+
+      assert.equal((await findMatchingDonors(request)).length, 0);
+    });
+  });
+
+  describe('alerting donors', () => {
+    it('notifies each donor, emits new-request and records who was alerted', async () => {
+      const donor = donorAt(3);
+      nearby = [donor];
+
+      const matches = await alertMatchingDonors(request);
+
+      assert.equal(matches.length, 1);
+      const notification = saved.find(doc => doc instanceof Notification);
+      assert.equal(notification.user.toString(), donor._id.toString());
+      const alert = emitted.find(({ event }) => event === 'new-request');
+      assert.equal(alert.room, `user:${donor._id}`);
+      assert.equal(alert.data.patientName, undefined);
+      const [, update] = Request.updateOne.mock.calls[0].arguments;
+      assert.equal(update.$push.donorAlerts.$each[0].donor, donor._id);
+      assert.equal(saved.find(doc => doc instanceof RequestEvent).type, 'donors-alerted');
+    });
+
+    it('does not alert the same donor twice for the same search', async () => {
+      const donor = donorAt(3);
+      nearby = [donor];
+      request.escalation.startedAt = new Date(Date.now() - 60000);
+      request.donorAlerts.push({ donor: donor._id, distanceKm: 3, alertedAt: new Date() });
+
+      const matches = await alertMatchingDonors(request);
+
+      assert.equal(matches.length, 0);
+      assert.equal(emitted.length, 0);
+      assert.equal(Request.updateOne.mock.callCount(), 0);
+    });
+  });
+});
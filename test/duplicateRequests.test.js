@@ -0,0 +1,141 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call, flush } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import AuditLog from '../models/AuditLog.js';
+import { createRequest } from '../controllers/requestController.js';
+import { setOpenRequestLimit } from '../controllers/adminController.js';
+import { findDuplicateRequests } from '../utils/duplicateRequests.js';
+import { buildUser, buildRequest } from './fixtures.js';
+
+const DAY_MS = 24 * 3600000;
+
+describe('duplicate and abusive requests', () => {
+  let saved;
+  let requester;
+  let existing;
+  let openCount;
+
+  beforeEach(() => {
+    saved = stubSaves();
+    stubSettings();
+    requester = buildUser('requester');
+    existing = [];
+    openCount = 0;
+    mock.method(User, 'findById', () => fakeQuery(requester));
+    mock.method(User, 'find', () => fakeQuery([]));
+    mock.method(Request, 'find', () => fakeQuery(existing));
+    mock.method(Request, 'countDocuments', async () => openCount);
+    // Keeps the background donor alert from running
+    mock.method(Request, 'updateOne', async () => ({ modifiedCount: 0 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const fields = {
+    bloodGroup: 'A+',
+    units: 2,
+    location: { type: 'Point', coordinates: [88.3639, 22.5726] },
+    address: '12 Park Street, Kolkata',
+    needByDate: new Date(Date.now() + 2 * DAY_MS),
+    patientName: 'Rina Ghosh',
+    purpose: 'Surgery'
+  };
+  const create = async (body = {}) => {
+    const result = await call(createRequest, makeReq({
+      user: { id: requester._id.toString(), role: 'requester', roles: ['requester'] },
+      body: { ...fields, ...body }
+    }));
+    await flush();
+    return result;
+  };
+  const savedRequests = () => saved.filter(doc => doc instanceof Request);
+
+  it('creates a request and records it on the timeline', async () => {
+    const { status } = await create();
+
+    assert.equal(status, 201);
+    assert.equal(savedRequests().length, 1);
+    assert.equal(saved.find(doc => doc instanceof RequestEvent).type, 'created');
+  });
+
+  it('looks for open requests from the same requester or patient nearby around the same date', async () => {
+    await findDuplicateRequests({ ...fields, patientName: ' Rina (Ghosh) ' }, requester._id);
+
+    const filter = Request.find.mock.calls[0].arguments[0];
+    assert.deepEqual(filter.status.$in, ['pending', 'matched']);
+    assert.equal(filter.$or[0].requester, requester._id);
+    assert.ok(filter.$or[1].patientName.test('rina (ghosh)'));
+    assert.ok(!filter.$or[1].patientName.test('rina ghosh'));
+    assert.ok(filter.needByDate.$gte < fields.needByDate && filter.needByDate.$lte > fields.needByDate);
+    assert.ok(filter.location.$geoWithin.$centerSphere);
+  });
+
+  it('warns about a likely duplicate and links to it', async () => {
+    const duplicate = buildRequest({ requester: requester._id });
+    existing = [duplicate];
+
+    const { status, body } = await create();
+
+    assert.equal(status, 409);
+    assert.equal(body.canConfirm, true);
+    assert.equal(body.duplicates[0].url, `/requests/${duplicate._id}`);
+    assert.equal(savedRequests().length, 0);
+  });
+
+  it('lets the requester confirm it is a separate need', async () => {
+    const duplicate = buildRequest({ requester: requester._id });
+    existing = [duplicate];
+
+    const { status } = await create({ confirmNotDuplicate: true });
+
+    assert.equal(status, 201);
+    assert.deepEqual(savedRequests()[0].possibleDuplicateOf.map(String), [duplicate._id.toString()]);
+  });
+
+  it('blocks duplicates outright when admins say so', async () => {
+    stubSettings({ 'requests.duplicateHandling': 'block' });
+    existing = [buildRequest({ requester: requester._id })];
+
+    const { status, body } = await create({ confirmNotDuplicate: true });
+
+    assert.equal(status, 409);
+    assert.equal(body.canConfirm, false);
+  });
+
+  it('caps open requests per requester unless an admin raised their limit', async () => {
+    openCount = 3;
+    assert.equal((await create()).status, 403);
+
+    requester.openRequestLimit = { limit: 10 };
+    assert.equal((await create()).status, 201);
+  });
+
+  describe('admin override', () => {
+    const setLimit = (body) => call(setOpenRequestLimit, makeReq({
+      method: 'PUT',
+      user: { id: buildUser('admin')._id, role: 'admin', roles: ['admin'] },
+      params: { id: requester._id.toString() },
+      body
+    }));
+
+    it('sets and audits a per-user limit', async () => {
+      const { status } = await setLimit({ limit: 20, reason: 'Hospital account' });
+
+      assert.equal(status, 200);
+      assert.equal(requester.openRequestLimit.limit, 20);
+      assert.equal(saved.find(doc => doc instanceof AuditLog).action, 'user.request-limit');
+    });
+
+    it('goes back to the platform default on null and rejects bad limits', async () => {
+      requester.openRequestLimit = { limit: 20 };
+
+      assert.equal((await setLimit({ limit: null })).status, 200);
+      assert.equal(requester.openRequestLimit?.limit, undefined);
+
+      assert.equal((await setLimit({ limit: -1 })).status, 400);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { sentEmails, resetOutbox, fakeQuery, loadDoc, stubSaves, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import { register, verifyEmail, resendVerification } from '../controllers/authController.js';
+import { requireVerified } from '../middleware/authMiddleware.js';
+import { generateToken } from '../utils/tokenUtils.js';
+
+const newDonor = {
+  name: 'Asha Roy',
+  email: 'asha@example.com',
+  password: 'Blood!Link-2024',
+  phone: '9876543210',
+  role: 'donor',
+  bloodGroup: 'O+'
+};
+
+describe('email verification', () => {
+  let saved;
+
+  beforeEach(() => {
+    resetOutbox();
+    saved = stubSaves();
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('emails a verification link when a user registers', async () => {
+    mock.method(User, 'findOne', () => fakeQuery(null));
+
+    const { status, body } = await call(register, makeReq({ body: newDonor }));
+
+    assert.equal(status, 201);
+    assert.equal(body.data.user.isVerified, false);
+    assert.equal(body.data.user.emailVerificationToken, undefined);
+
+    const user = saved.find(doc => doc instanceof User);
+    assert.ok(user.emailVerificationToken);
+    assert.equal(sentEmails.length, 1);
+    assert.equal(sentEmails[0].to, newDonor.email);
+    assert.match(sentEmails[0].text, new RegExp(`/verify-email/${user.emailVerificationToken}`));
+  });
+
+  it('refuses to register an email address twice', async () => {
+    mock.method(User, 'findOne', () => fakeQuery(loadDoc(User, { email: newDonor.email })));
+
+    const { status } = await call(register, makeReq({ body: newDonor }));
+
+    assert.equal(status, 400);
+    assert.equal(sentEmails.length, 0);
+  });
+
+  it('verifies the account and clears the single-use token', async () => {
+    const user = loadDoc(User, { ...newDonor, roles: ['donor'] });
+    const token = generateToken(user._id, 'donor', '1h', 'verify-email');
+    user.emailVerificationToken = token;
+    const findOne = mock.method(User, 'findOne', () => fakeQuery(user));
+
+    const { status } = await call(verifyEmail, makeReq({ params: { token } }));
+
+    assert.equal(status, 200);
+    assert.equal(findOne.mock.calls[0].arguments[0].emailVerificationToken, token);
+    assert.equal(user.isVerified, true);
+    assert.ok(user.verifiedAt);
+    assert.equal(user.emailVerificationToken, undefined);
+  });
+
+  it('rejects tokens of another type', async () => {
+    const token = generateToken('64b000000000000000000001', 'donor', '1h', 'reset');
+    const findOne = mock.method(User, 'findOne', () => fakeQuery(null));
+
+    const { status } = await call(verifyEmail, makeReq({ params: { token } }));
+
+    assert.equal(status, 400);
+    assert.equal(findOne.mock.callCount(), 0);
+  });
+
+  it('rejects a link that was already used or replaced', async () => {
+    const token = generateToken('64b000000000000000000001', 'donor', '1h', 'verify-email');
+    mock.method(User, 'findOne', () => fakeQuery(null));
+
+    const { status } = await call(verifyEmail, makeReq({ params: { token } }));
+
+    assert.equal(status, 400);
+  });
+
+  it('does not resend a link to a verified account', async () => {
+    const user = loadDoc(User, { ...newDonor, roles: ['donor'], isVerified: true });
+    mock.method(User, 'findById', () => fakeQuery(user));
+
+    const { status } = await call(resendVerification, makeReq({ user: { id: user._id } }));
+
+    assert.equal(status, 400);
+    assert.equal(sentEmails.length, 0);
+  });
+
+  it('resends a fresh link to an unverified account', async () => {
+    const user = loadDoc(User, { ...newDonor, roles: ['donor'] });
+    mock.method(User, 'findById', () => fakeQuery(user));
+
+    const { status } = await call(resendVerification, makeReq({ user: { id: user._id } }));
+
+    assert.equal(status, 200);
+    assert.equal(sentEmails.length, 1);
+    assert.ok(user.emailVerificationToken);
+  });
+
+  it('blocks unverified users from verified-only routes', async () => {
+    const blocked = await call(requireVerified, makeReq({ user: { id: 'u1', isVerified: false } }));
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.nextCalled, false);
+
+    const allowed = await call(requireVerified, makeReq({ user: { id: 'u1', isVerified: true } }));
+    assert.equal(allowed.nextCalled, true);
+  });
+});
@@ -0,0 +1,85 @@
+// Documents used across the test suite, as if loaded from the database
+import mongoose from 'mongoose';
+import { loadDoc } from './helpers.js';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+
+let counter = 0;
+
+// Fields each role needs to pass validation
+const ROLE_FIELDS = {
+  donor: { bloodGroup: 'O+', isAvailable: true },
+  requester: { bloodGroup: 'A+' },
+  doctor: {
+    hospitalId: 'HOSP-1',
+    hospitalName: 'City Hospital',
+    credentials: [{ role: 'doctor', status: 'approved', hospitalName: 'City Hospital' }]
+  },
+  ngo: { ngoId: 'NGO-1', credentials: [{ role: 'ngo', status: 'approved' }] },
+  admin: {}
+};
+
+/**
+ * Build a user holding one role
+ * @param {string} role
+ * @param {object} fields - Overrides
+ * @returns {Document}
+ */
+export const buildUser = (role, fields = {}) => {
+  counter += 1;
+  return loadDoc(User, {
+    name: `Test ${role} ${counter}`,
+    email: `${role}${counter}@example.com`,
+    password: '$2b$10$abcdefghijklmnopqrstuuJ8mV0b9bS2u3dKqkM5X0sZ6J9W1e2a',
+    phone: '9876543210',
+    role,
+    roles: [role],
+    isVerified: true,
+    ...ROLE_FIELDS[role],
+    ...fields
+  });
+};
+
+/**
+ * Build an open blood request
+ * @param {object} fields - Overrides; requester defaults to a new ID
+ * @returns {Document}
+ */
+export const buildRequest = (fields = {}) => loadDoc(Request, {
+  requester: new mongoose.Types.ObjectId(),
+  bloodGroup: 'A+',
+  units: 2,
+  location: { type: 'Point', coordinates: [88.3639, 22.5726] },
+  address: '12 Park Street, Kolkata',
+  needByDate: new Date(Date.now() + 2 * 24 * 3600000),
+  urgency: 'medium',
+  patientName: 'Rina Ghosh',
+  patientAge: 54,
+  purpose: 'Surgery',
+  status: 'pending',
+  pledges: [],
+  unitsPledged: 0,
+  unitsVerified: 0,
+  ...fields
+});
+
+/**
+ * Build a pledge for buildRequest
+ * @param {object} donor - User document
+ * @param {object} fields - Overrides
+ * @returns {object}
+ */
+export const buildPledge = (donor, fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  donor: donor._id,
+  units: 1,
+  status: 'pledged',
+  pledgedAt: new Date(),
+  ...fields
+});
+
+/**
+ * New ObjectId
+ * @returns {ObjectId}
+ */
+export const newId = () => new mongoose.Types.ObjectId();
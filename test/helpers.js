@@ -0,0 +1,231 @@
+// Shared helpers for the test suite. Import this first in every test file so the
+// environment is in place before any application module loads.
+import './setup.js';
+import { mock } from 'node:test';
+import mongoose from 'mongoose';
+import Mail from 'nodemailer/lib/mailer/index.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import { registerSmsProvider } from '../utils/smsService.js';
+import Setting, { SETTING_DEFINITIONS } from '../models/Setting.js';
+
+// Outgoing email and SMS are captured instead of sent
+export const sentEmails = [];
+export const sentSms = [];
+
+Mail.prototype.sendMail = async function(message) {
+  sentEmails.push(message);
+  return { messageId: `test-${sentEmails.length}` };
+};
+
+registerSmsProvider('test', {
+  send: async (to, message) => {
+    sentSms.push({ to, message });
+  }
+});
+
+/**
+ * Clear captured email and SMS messages
+ */
+export const resetOutbox = () => {
+  sentEmails.length = 0;
+  sentSms.length = 0;
+};
+
+/**
+ * Stand-in for a Mongoose query: chainable like one and resolves to the given result
+ * @param {*} result - Value the query resolves to
+ * @returns {object}
+ */
+export const fakeQuery = (result) => {
+  const query = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result)
+  };
+  ['populate', 'select', 'sort', 'skip', 'limit', 'lean', 'session', 'where', 'cursor']
+    .forEach(method => { query[method] = () => query; });
+  return query;
+};
+
+/**
+ * Build a document as if it had been loaded from the database (init hooks run,
+ * later saves are updates)
+ * @param {Model} Model
+ * @param {object} fields
+ * @returns {Document}
+ */
+export const loadDoc = (Model, fields = {}) =>
+  Model.hydrate({ _id: new mongoose.Types.ObjectId(), __v: 0, ...fields });
+
+/**
+ * Make document saves succeed without a database. Validation, middleware and
+ * versioning still run. Returns the list of saved documents.
+ * @param {object} options
+ * @param {function} options.conflict - Return true for a document to fail its save with a VersionError
+ * @returns {Array}
+ */
+export const stubSaves = ({ conflict } = {}) => {
+  const saved = [];
+  mock.method(mongoose.Model.prototype, '$__handleSave', function(options, callback) {
+    if (!this.isNew && conflict?.(this)) {
+      setImmediate(() => callback(new mongoose.Error.VersionError(this, this.__v, this.modifiedPaths())));
+      return;
+    }
+
+    const wasNew = this.isNew;
+    saved.push(this);
+    this.$__reset();
+    this.isNew = false;
+    setImmediate(() => callback(null, wasNew ? { acknowledged: true } : { acknowledged: true, matchedCount: 1 }));
+  });
+  return saved;
+};
+
+/**
+ * Use the built-in setting defaults, with optional overrides
+ * @param {object} overrides - {key: value}
+ */
+export const stubSettings = (overrides = {}) => {
+  mock.method(Setting, 'getValue', async (key) =>
+    key in overrides ? overrides[key] : SETTING_DEFINITIONS[key]?.default
+  );
+};
+
+/**
+ * Build an Express-like request
+ * @param {object} fields - user, body, params, query, headers, ...
+ * @returns {object}
+ */
+export const makeReq = ({ headers = {}, ...fields } = {}) => ({
+  body: {},
+  params: {},
+  query: {},
+  cookies: {},
+  ip: '127.0.0.1',
+  method: 'GET',
+  originalUrl: '/',
+  headers: { 'user-agent': 'node-test', ...headers },
+  app: { get: () => null },
+  ...fields
+});
+
+/**
+ * Build req.user the way protect does
+ * @param {Document} user - User document
+ * @returns {object}
+ */
+export const authUser = (user) => ({
+  id: user._id,
+  role: user.role,
+  roles: user.getRoles(),
+  name: user.name,
+  email: user.email,
+  isVerified: user.isVerified,
+  credentialStatus: user.getCredentialStatus()
+});
+
+const createResponse = (onFinish) => {
+  const listeners = {};
+  const finish = () => {
+    (listeners.finish || []).forEach(listener => listener());
+    onFinish();
+  };
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    cookies: {},
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      finish();
+      return res;
+    },
+    send(body) {
+      res.body = body;
+      finish();
+      return res;
+    },
+    end() {
+      finish();
+      return res;
+    },
+    redirect(url) {
+      res.statusCode = 302;
+      res.headers.location = url;
+      finish();
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      return res.set(name, value);
+    },
+    on(event, listener) {
+      (listeners[event] = listeners[event] || []).push(listener);
+      return res;
+    },
+    cookie(name, value) {
+      res.cookies[name] = value;
+      return res;
+    },
+    clearCookie(name) {
+      delete res.cookies[name];
+      return res;
+    }
+  };
+  return res;
+};
+
+/**
+ * Run a controller or middleware and wait for it to respond or call next().
+ * Errors passed to next() go through the app's error handler.
+ * @param {function} handler
+ * @param {object} req - From makeReq
+ * @returns {Promise<object>} {status, body, nextCalled, error, res}
+ */
+export const call = (handler, req) => new Promise((resolve, reject) => {
+  let settled = false;
+  let nextCalled = false;
+  let error = null;
+
+  const finish = () => {
+    if (settled) return;
+    settled = true;
+    resolve({ status: res.statusCode, body: res.body, nextCalled, error, res });
+  };
+  const res = createResponse(finish);
+
+  const next = (err) => {
+    if (err) {
+      error = err;
+      errorHandler(err, req, res, () => {});
+      return;
+    }
+    nextCalled = true;
+    finish();
+  };
+
+  try {
+    const result = handler(req, res, next);
+    if (result && typeof result.then === 'function') {
+      result.then(() => setImmediate(finish), reject);
+    }
+  } catch (err) {
+    reject(err);
+  }
+});
+
+/**
+ * Let fire-and-forget work (notifications, donor alerts) finish
+ */
+export const flush = async () => {
+  for (let i = 0; i < 10; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
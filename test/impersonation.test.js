@@ -0,0 +1,140 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call, flush } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import AuditLog from '../models/AuditLog.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { startImpersonation, endImpersonation } from '../controllers/adminController.js';
+import { protect, denyImpersonation } from '../middleware/authMiddleware.js';
+import { verifyToken } from '../utils/tokenUtils.js';
+import { buildUser } from './fixtures.js';
+
+describe('admin impersonation', () => {
+  let saved;
+  let admin;
+  let target;
+
+  beforeEach(() => {
+    saved = stubSaves();
+    stubSettings();
+    admin = buildUser('admin');
+    target = buildUser('donor');
+    mock.method(User, 'findById', (id) =>
+      fakeQuery(id.toString() === admin._id.toString() ? admin : target)
+    );
+    mock.method(RevokedToken, 'exists', async () => null);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const asAdmin = (fields = {}) => makeReq({
+    method: 'POST',
+    user: { id: admin._id, role: 'admin', roles: ['admin'] },
+    params: { id: target._id.toString() },
+    ...fields
+  });
+  const audits = (action) => saved.filter(doc => doc instanceof AuditLog && doc.action === action);
+
+  const impersonate = async (body = {}) => {
+    const { body: response } = await call(startImpersonation, asAdmin({ body: { reason: 'Ticket 4411', ...body } }));
+    return response.data.token;
+  };
+  const useToken = (token, method = 'GET', originalUrl = '/api/requests') => {
+    const req = makeReq({ method, originalUrl, headers: { authorization: `Bearer ${token}` } });
+    return call(protect, req).then(result => ({ ...result, req }));
+  };
+
+  it('needs a reason', async () => {
+    const { status } = await call(startImpersonation, asAdmin());
+
+    assert.equal(status, 400);
+  });
+
+  it('refuses to impersonate another admin', async () => {
+    target = buildUser('admin');
+
+    const { status } = await call(startImpersonation, asAdmin({ body: { reason: 'Ticket 4411' } }));
+
+    assert.equal(status, 403);
+  });
+
+  it('issues a read-only token for the user and audits the start', async () => {
+    const token = await impersonate();
+
+    const payload = verifyToken(token);
+    assert.equal(payload.type, 'impersonation');
+    assert.equal(payload.id, target._id.toString());
+    assert.equal(payload.impersonatedBy, admin._id.toString());
+    assert.equal(payload.readOnly, true);
+    assert.equal(audits('impersonation.start')[0].details.reason, 'Ticket 4411');
+  });
+
+  it('acts as the user on reads', async () => {
+    const token = await impersonate();
+
+    const { nextCalled, req } = await useToken(token);
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.user.id, target._id);
+    assert.equal(req.user.impersonatedBy.id, admin._id);
+    assert.equal(req.impersonation.readOnly, true);
+  });
+
+  it('blocks and audits writes on a read-only token, but still lets the admin log out', async () => {
+    const token = await impersonate();
+
+    const blocked = await useToken(token, 'POST', '/api/requests');
+    await flush();
+
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.impersonation, true);
+    const [audit] = audits('impersonation.request');
+    assert.equal(audit.statusCode, 403);
+    assert.equal(audit.actor.toString(), admin._id.toString());
+
+    const logout = await useToken(token, 'POST', '/api/auth/logout');
+    assert.equal(logout.nextCalled, true);
+  });
+
+  it('allows writes only when the admin asked for them', async () => {
+    const token = await impersonate({ allowWrites: true });
+
+    const { nextCalled } = await useToken(token, 'POST', '/api/requests');
+
+    assert.equal(nextCalled, true);
+  });
+
+  it('stops the token working once the impersonator is no longer an admin', async () => {
+    const token = await impersonate();
+    admin.role = 'donor';
+
+    const { status } = await useToken(token);
+
+    assert.equal(status, 401);
+  });
+
+  it('keeps impersonation tokens off sensitive endpoints', async () => {
+    const token = await impersonate({ allowWrites: true });
+    const { req } = await useToken(token, 'POST', '/api/auth/change-password');
+
+    const { status } = await call(denyImpersonation, req);
+
+    assert.equal(status, 403);
+  });
+
+  it('revokes the token when the impersonation is ended early', async () => {
+    const token = await impersonate();
+    const [start] = audits('impersonation.start');
+    mock.method(AuditLog, 'findOne', () => fakeQuery(start));
+    const revoke = mock.method(RevokedToken, 'updateOne', async () => ({}));
+
+    const { status } = await call(endImpersonation, asAdmin({
+      method: 'DELETE',
+      params: { impersonationId: start.impersonationId }
+    }));
+
+    assert.equal(status, 200);
+    assert.equal(revoke.mock.calls[0].arguments[0].jti, verifyToken(token).jti);
+    assert.equal(audits('impersonation.end').length, 1);
+  });
+});
@@ -0,0 +1,123 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call, flush } from './helpers.js';
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import User from '../models/User.js';
+import { login } from '../controllers/authController.js';
+import { registerFailedLogin } from '../utils/loginSecurity.js';
+import { buildUser } from './fixtures.js';
+
+const PASSWORD = 'Blood!Link-2024';
+const MINUTE_MS = 60000;
+
+describe('login lockout', () => {
+  let passwordHash;
+  let user;
+  let saved;
+
+  before(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(() => {
+    saved = stubSaves();
+    stubSettings();
+    user = buildUser('donor', { password: passwordHash, lockoutCount: 0, failedLoginAttempts: 0 });
+
+    // Apply the counter updates to the one user, like MongoDB would
+    const applyUpdate = (update) => {
+      Object.assign(user, update.$set);
+      for (const [path, amount] of Object.entries(update.$inc || {})) {
+        user[path] = (user[path] || 0) + amount;
+      }
+    };
+    mock.method(User, 'findOne', () => fakeQuery(user));
+    mock.method(User, 'findById', () => fakeQuery(user.toObject()));
+    mock.method(User, 'findOneAndUpdate', (filter, update) => {
+      applyUpdate(update);
+      return fakeQuery({ failedLoginAttempts: user.failedLoginAttempts, lockoutCount: user.lockoutCount });
+    });
+    mock.method(User, 'updateOne', async (filter, update) => {
+      applyUpdate(update);
+      return {};
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const attempt = (password) => call(login, makeReq({ body: { email: user.email, password } }));
+
+  it('locks the account after five wrong passwords', async () => {
+    for (let i = 0; i < 4; i++) {
+      assert.equal((await attempt('wrong')).status, 401);
+    }
+
+    const { status, body } = await attempt('wrong');
+
+    assert.equal(status, 423);
+    assert.ok(body.lockUntil > new Date());
+    assert.equal(user.failedLoginAttempts, 0);
+    assert.equal(user.lockoutCount, 1);
+  });
+
+  it('refuses the right password while locked, without checking it', async () => {
+    user.lockUntil = new Date(Date.now() + 10 * MINUTE_MS);
+    const compare = mock.method(bcrypt, 'compare');
+
+    const { status, body } = await attempt(PASSWORD);
+
+    assert.equal(status, 423);
+    assert.match(body.message, /Try again in 10 minutes/);
+    assert.equal(compare.mock.callCount(), 0);
+  });
+
+  it('doubles the lockout each time and caps it at a day', async () => {
+    const lockMinutes = async (lockoutCount) => {
+      Object.assign(user, { failedLoginAttempts: 4, lockoutCount });
+      const { lockUntil } = await registerFailedLogin(user, makeReq(), 'password');
+      return Math.round((lockUntil - Date.now()) / MINUTE_MS);
+    };
+
+    assert.equal(await lockMinutes(0), 15);
+    assert.equal(await lockMinutes(1), 30);
+    assert.equal(await lockMinutes(2), 60);
+    assert.equal(await lockMinutes(10), 24 * 60);
+  });
+
+  it('resets the counters and alerts the user on the first login after a lockout', async () => {
+    Object.assign(user, {
+      lockUntil: new Date(Date.now() - MINUTE_MS),
+      lockoutCount: 2,
+      failedLoginAttempts: 3,
+      lockoutNoticePending: true
+    });
+
+    const { status } = await attempt(PASSWORD);
+    await flush();
+
+    assert.equal(status, 200);
+    assert.equal(user.failedLoginAttempts, 0);
+    assert.equal(user.lockoutCount, 0);
+    assert.equal(user.lockUntil, null);
+    const alert = saved.find(doc => doc.constructor.modelName === 'Notification');
+    assert.match(alert.message, /after your account was temporarily locked/);
+  });
+
+  it('alerts the user to a login from an unfamiliar device', async () => {
+    user.knownDevices = [{ fingerprint: 'another-device', userAgent: 'old phone' }];
+
+    const { status } = await attempt(PASSWORD);
+    await flush();
+
+    assert.equal(status, 200);
+    const alert = saved.find(doc => doc.constructor.modelName === 'Notification');
+    assert.match(alert.message, /from a device we have not seen before/);
+  });
+
+  it('does not alert on the first device an account uses', async () => {
+    await attempt(PASSWORD);
+    await flush();
+
+    assert.ok(!saved.some(doc => doc.constructor.modelName === 'Notification'));
+  });
+});
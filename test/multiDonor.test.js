@@ -0,0 +1,228 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import Donation from '../models/Donation.js';
+import Camp from '../models/Camp.js';
+import RequestEvent from '../models/RequestEvent.js';
+import { acceptRequest, fulfillRequest } from '../controllers/requestController.js';
+import { verifyDonation } from '../controllers/doctorController.js';
+import { getUserActivity } from '../controllers/adminController.js';
+import { buildUser, buildRequest, buildPledge } from './fixtures.js';
+
+describe('multi-donor fulfilment', () => {
+  let saved;
+  let requester;
+  let doctor;
+  let donors;
+  let request;
+  let conflict;
+
+  beforeEach(() => {
+    conflict = false;
+    saved = stubSaves({ conflict: (doc) => conflict && doc instanceof Request });
+    stubSettings();
+    requester = buildUser('requester');
+    doctor = buildUser('doctor');
+    donors = [buildUser('donor'), buildUser('donor')];
+    request = buildRequest({ requester: requester._id, units: 3 });
+
+    const users = [requester, doctor, ...donors];
+    mock.method(Request, 'findById', () => fakeQuery(request));
+    mock.method(User, 'findById', (id) =>
+      fakeQuery(users.find(user => user._id.toString() === id.toString()) || null)
+    );
+    mock.method(User, 'find', () => fakeQuery(donors));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const savedDonations = () => saved.filter(doc => doc instanceof Donation);
+
+  describe('pledging', () => {
+    const accept = (donor, units) => call(acceptRequest, makeReq({
+      user: { id: donor._id, role: 'donor', roles: ['donor'] },
+      params: { id: request._id.toString() },
+      body: { units }
+    }));
+
+    it('stays open until the pledged units cover the request', async () => {
+      const first = await accept(donors[0], 2);
+
+      assert.equal(first.status, 200);
+      assert.equal(request.status, 'pending');
+      assert.equal(request.unitsPledged, 2);
+
+      const second = await accept(donors[1], 1);
+
+      assert.equal(second.status, 200);
+      assert.equal(request.status, 'matched');
+      assert.equal(request.pledges.length, 2);
+      assert.equal(request.unitsPledged, 3);
+    });
+
+    it('refuses more units than are still needed', async () => {
+      await accept(donors[0], 2);
+
+      const { status } = await accept(donors[1], 2);
+
+      assert.equal(status, 400);
+      assert.equal(request.pledges.length, 1);
+    });
+
+    it('refuses a second pledge from the same donor', async () => {
+      await accept(donors[0], 1);
+
+      const { status } = await accept(donors[0], 1);
+
+      assert.equal(status, 400);
+    });
+  });
+
+  describe('verification', () => {
+    beforeEach(() => {
+      request.status = 'matched';
+      request.pledges.push(buildPledge(donors[0], { units: 2 }), buildPledge(donors[1], { units: 1 }));
+      request.syncUnitTotals();
+    });
+
+    const verify = (body) => call(verifyDonation, makeReq({
+      user: { id: doctor._id, name: doctor.name, role: 'doctor', roles: ['doctor'] },
+      params: { requestId: request._id.toString() },
+      body: {
+        donationDate: new Date(),
+        location: { type: 'Point', coordinates: [88.3639, 22.5726] },
+        hospitalName: 'City Hospital',
+        status: 'verified',
+        ...body
+      }
+    }));
+
+    it('creates one donation per donor and fulfils the request once every unit is verified', async () => {
+      const first = await verify({ donorId: donors[0]._id.toString() });
+
+      assert.equal(first.status, 200);
+      assert.equal(request.status, 'matched');
+      assert.equal(request.unitsVerified, 2);
+
+      await verify({ donorId: donors[1]._id.toString() });
+
+      assert.equal(request.status, 'fulfilled');
+      assert.equal(request.unitsVerified, 3);
+      const donations = savedDonations();
+      assert.deepEqual(donations.map(d => d.donor.toString()), donors.map(d => d._id.toString()));
+      assert.equal(request.pledges[1].donation.toString(), donations[1]._id.toString());
+    });
+
+    it('counts each verified donation once on the donor', async () => {
+      donors[0].donationCount = 4;
+
+      await verify({ donorId: donors[0]._id.toString() });
+
+      assert.equal(donors[0].donationCount, 5);
+    });
+
+    it('needs the donor named when several have pledged', async () => {
+      const { status } = await verify();
+
+      assert.equal(status, 400);
+      assert.equal(savedDonations().length, 0);
+    });
+
+    it('reopens the request when a donation is rejected', async () => {
+      const { status } = await verify({ donorId: donors[1]._id.toString(), status: 'rejected', notes: 'Low haemoglobin' });
+
+      assert.equal(status, 200);
+      assert.equal(request.status, 'pending');
+      assert.equal(request.unitsPledged, 2);
+    });
+
+    it('leaves no donation or donor stats behind when the request was changed meanwhile', async () => {
+      conflict = true;
+      donors[0].donationCount = 4;
+
+      const { status } = await verify({ donorId: donors[0]._id.toString() });
+
+      assert.equal(status, 409);
+      assert.equal(savedDonations().length, 0);
+      assert.equal(donors[0].donationCount, 4);
+      assert.ok(!saved.includes(donors[0]));
+    });
+  });
+
+  describe('fulfilling directly', () => {
+    beforeEach(() => {
+      request.status = 'matched';
+      request.pledges.push(buildPledge(donors[0], { units: 2 }), buildPledge(donors[1], { units: 1 }));
+      request.syncUnitTotals();
+    });
+
+    const fulfil = (body = {}) => call(fulfillRequest, makeReq({
+      user: { id: doctor._id, role: 'doctor', roles: ['doctor'] },
+      params: { id: request._id.toString() },
+      body
+    }));
+
+    it('records a donation for every pledged donor', async () => {
+      const { status } = await fulfil({ hospitalName: 'City Hospital', notes: 'Both units cross-matched' });
+
+      assert.equal(status, 200);
+      assert.equal(request.status, 'fulfilled');
+      assert.equal(request.unitsVerified, 3);
+      const donations = savedDonations();
+      assert.deepEqual(donations.map(d => d.units), [2, 1]);
+      assert.ok(donations.every(d => d.hospitalName === 'City Hospital' && d.status === 'verified'));
+      assert.equal(request.pledges[0].donation.toString(), donations[0]._id.toString());
+      assert.equal(saved.find(doc => doc instanceof RequestEvent).details.notes, 'Both units cross-matched');
+    });
+
+    it('needs to know the hospital', async () => {
+      const { status } = await fulfil();
+
+      assert.equal(status, 400);
+      assert.equal(request.status, 'matched');
+    });
+
+    it('records nothing when the request was changed meanwhile', async () => {
+      conflict = true;
+
+      const { status } = await fulfil({ hospitalName: 'City Hospital' });
+
+      assert.equal(status, 409);
+      assert.equal(savedDonations().length, 0);
+    });
+  });
+
+  it('turns the donor of requests matched before multi-donor support into a pledge', async () => {
+    const matched = { _id: request._id, status: 'matched', assignedDonor: donors[0]._id, units: 2, createdAt: new Date() };
+    const fulfilled = { ...matched, _id: buildRequest()._id, status: 'fulfilled' };
+    const find = mock.method(Request, 'find', () => fakeQuery([matched, fulfilled]));
+    const bulkWrite = mock.method(Request, 'bulkWrite', async (operations) => ({ modifiedCount: operations.length }));
+
+    assert.equal(await Request.backfillPledges(), 2);
+
+    assert.deepEqual(find.mock.calls[0].arguments[0].status.$in, ['matched', 'fulfilled']);
+    const [first, second] = bulkWrite.mock.calls[0].arguments[0].map(operation => operation.updateOne.update.$set);
+    assert.notEqual(first.pledges[0]._id.toString(), request._id.toString());
+    assert.notEqual(first.pledges[0]._id.toString(), second.pledges[0]._id.toString());
+    assert.equal(first.pledges[0].status, 'pledged');
+    assert.deepEqual([first.unitsPledged, first.unitsVerified], [2, 0]);
+    assert.equal(second.pledges[0].status, 'verified');
+    assert.equal(second.unitsVerified, 2);
+  });
+
+  it("lists the requests a user pledged to in their activity", async () => {
+    const find = mock.method(Request, 'find', () => fakeQuery([]));
+    mock.method(Donation, 'find', () => fakeQuery([]));
+    mock.method(Camp, 'find', () => fakeQuery([]));
+
+    const { status } = await call(getUserActivity, makeReq({
+      user: { id: buildUser('admin')._id, role: 'admin', roles: ['admin'] },
+      params: { id: donors[0]._id.toString() }
+    }));
+
+    assert.equal(status, 200);
+    assert.deepEqual(find.mock.calls[0].arguments[0].$or[1], { 'pledges.donor': donors[0]._id });
+  });
+});
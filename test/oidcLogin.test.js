@@ -0,0 +1,183 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call } from './helpers.js';
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import OidcState from '../models/OidcState.js';
+import {
+  startOidcLogin,
+  completeOidcLogin,
+  completeOidcSignup
+} from '../controllers/authController.js';
+import { createPkceChallenge } from '../utils/oidc.js';
+import { generateToken, verifyToken } from '../utils/tokenUtils.js';
+import { buildUser } from './fixtures.js';
+
+const ISSUER = 'https://idp.test';
+
+describe('OpenID Connect login', () => {
+  let keys;
+  let saved;
+  let claims;
+  let linkedUser;
+  let emailUser;
+
+  before(() => {
+    keys = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  });
+
+  beforeEach(() => {
+    saved = stubSaves();
+    stubSettings();
+    claims = { sub: 'idp-user-1', email: 'Mina@Example.com', email_verified: true, name: 'Mina Paul', nonce: 'nonce-1' };
+    linkedUser = null;
+    emailUser = null;
+
+    // The provider: discovery, signing keys and the token endpoint
+    const jwk = { ...keys.publicKey.export({ format: 'jwk' }), kid: 'key-1' };
+    mock.method(globalThis, 'fetch', async (url) => {
+      const body = {
+        [`${ISSUER}/.well-known/openid-configuration`]: {
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          jwks_uri: `${ISSUER}/jwks`
+        },
+        [`${ISSUER}/jwks`]: { keys: [jwk] },
+        [`${ISSUER}/token`]: {
+          id_token: jwt.sign(claims, keys.privateKey, {
+            algorithm: 'RS256',
+            keyid: 'key-1',
+            issuer: ISSUER,
+            audience: 'bloodlink-test',
+            expiresIn: '5m'
+          })
+        }
+      }[url];
+      return { ok: !!body, status: body ? 200 : 404, json: async () => body || {} };
+    });
+    mock.method(OidcState, 'findOneAndDelete', async () => ({ codeVerifier: 'verifier', nonce: 'nonce-1' }));
+    mock.method(User, 'findOne', (filter) => fakeQuery(filter.oidcIdentities ? linkedUser : emailUser));
+    mock.method(User, 'findById', () => fakeQuery(linkedUser || emailUser));
+    mock.method(User, 'updateOne', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const callback = () => call(completeOidcLogin, makeReq({
+    params: { provider: 'test' },
+    body: { code: 'code-1', state: 'state-1' }
+  }));
+
+  it('starts a PKCE login and remembers the state', async () => {
+    const { status, body } = await call(startOidcLogin, makeReq({ params: { provider: 'test' } }));
+
+    assert.equal(status, 200);
+    const url = new URL(body.data.authorizationUrl);
+    assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+    const state = saved.find(doc => doc instanceof OidcState);
+    assert.equal(url.searchParams.get('code_challenge'), createPkceChallenge(state.codeVerifier));
+    assert.equal(url.searchParams.get('state'), state.state);
+  });
+
+  it('asks a first-time user to choose a role', async () => {
+    const { status, body } = await callback();
+
+    assert.equal(status, 200);
+    assert.equal(body.data.signupRequired, true);
+    assert.ok(!body.data.availableRoles.includes('admin'));
+    const signup = verifyToken(body.data.signupToken);
+    assert.equal(signup.email, 'mina@example.com');
+    assert.equal(signup.subject, 'idp-user-1');
+  });
+
+  it('logs in an account already linked to the identity', async () => {
+    linkedUser = buildUser('donor');
+
+    const { status, body } = await callback();
+
+    assert.equal(status, 200);
+    assert.equal(verifyToken(body.data.token).id, linkedUser._id.toString());
+  });
+
+  it('links an existing account when the provider has verified the email', async () => {
+    emailUser = buildUser('donor', { email: 'mina@example.com' });
+
+    const { status } = await callback();
+
+    assert.equal(status, 200);
+    assert.equal(emailUser.oidcIdentities[0].subject, 'idp-user-1');
+  });
+
+  it('does not link an account whose email was never verified', async () => {
+    emailUser = buildUser('donor', { email: 'mina@example.com', isVerified: false });
+
+    const { status, body } = await callback();
+
+    assert.equal(status, 409);
+    assert.equal(body.data, undefined);
+    assert.equal(emailUser.oidcIdentities.length, 0);
+    assert.equal(emailUser.isVerified, false);
+  });
+
+  it('does not link an existing account on an unverified email', async () => {
+    claims.email_verified = false;
+    emailUser = buildUser('donor', { email: 'mina@example.com' });
+
+    const { status } = await callback();
+
+    assert.equal(status, 409);
+    assert.equal(emailUser.oidcIdentities.length, 0);
+  });
+
+  it('rejects an ID token with the wrong nonce', async () => {
+    claims.nonce = 'replayed';
+
+    const { status } = await callback();
+
+    assert.equal(status, 401);
+  });
+
+  describe('signup', () => {
+    const signupToken = () => generateToken(null, null, '15m', 'oidc-signup', {
+      provider: 'test',
+      subject: 'idp-user-1',
+      email: 'mina@example.com',
+      emailVerified: true,
+      name: 'Mina Paul'
+    });
+    const signup = (body) => call(completeOidcSignup, makeReq({
+      body: { signupToken: signupToken(), phone: '9876543210', ...body }
+    }));
+
+    beforeEach(() => {
+      mock.method(User, 'exists', async () => null);
+    });
+
+    it('creates a verified account linked to the identity and logs it in', async () => {
+      const { status, body } = await signup({ role: 'donor', bloodGroup: 'B+' });
+
+      assert.equal(status, 200);
+      const user = saved.find(doc => doc instanceof User);
+      assert.equal(user.email, 'mina@example.com');
+      assert.equal(user.isVerified, true);
+      assert.equal(user.oidcIdentities[0].provider, 'test');
+      assert.equal(verifyToken(body.data.token).id, user._id.toString());
+    });
+
+    it('refuses the admin role however it is asked for', async () => {
+      for (const body of [{ role: 'admin' }, { roles: ['admin'] }, { roles: [], role: 'admin' }]) {
+        const { status } = await signup(body);
+        assert.equal(status, 403, JSON.stringify(body));
+      }
+      assert.equal(saved.filter(doc => doc instanceof User).length, 0);
+    });
+
+    it('reports missing role fields as a bad request', async () => {
+      const { status } = await signup({ role: 'doctor' });
+
+      assert.equal(status, 400);
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { sentSms, resetOutbox, fakeQuery, stubSaves, stubSettings, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import OtpCode from '../models/OtpCode.js';
+import { requestOtp, verifyOtp } from '../controllers/authController.js';
+import { verifyToken } from '../utils/tokenUtils.js';
+import { buildUser } from './fixtures.js';
+
+const PHONE = '9876543210';
+
+describe('SMS one-time codes', () => {
+  let saved;
+  let user;
+  let latestCode;
+
+  beforeEach(() => {
+    resetOutbox();
+    stubSettings();
+    saved = stubSaves();
+    user = buildUser('donor', { phone: PHONE, phoneVerified: true });
+    latestCode = null;
+
+    mock.method(User, 'find', (filter) => fakeQuery(filter.phoneVerified && !user.phoneVerified ? [] : [user]));
+    mock.method(User, 'findById', () => fakeQuery(user));
+    mock.method(User, 'updateOne', async () => ({}));
+    mock.method(User, 'findOneAndUpdate', () => fakeQuery({ failedLoginAttempts: 1, lockoutCount: 0 }));
+    mock.method(OtpCode, 'updateMany', async () => ({}));
+    mock.method(OtpCode, 'findOne', () => fakeQuery(latestCode));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const sendCode = async () => {
+    const result = await call(requestOtp, makeReq({ body: { phone: PHONE } }));
+    latestCode = saved.findLast(doc => doc instanceof OtpCode) || null;
+    return result;
+  };
+  const smsCode = () => sentSms.at(-1).message.match(/^(\d{6})/)[1];
+  const verify = (code, phone = PHONE) => call(verifyOtp, makeReq({ body: { phone, code } }));
+
+  it('texts a code and stores only its hash', async () => {
+    const { status } = await sendCode();
+
+    assert.equal(status, 200);
+    assert.equal(sentSms.length, 1);
+    assert.equal(sentSms[0].to, PHONE);
+    assert.equal(latestCode.user.toString(), user._id.toString());
+    assert.ok(!latestCode.codeHash.includes(smsCode()));
+  });
+
+  it('gives the same answer for a number with no account, without texting it', async () => {
+    User.find.mock.mockImplementation(() => fakeQuery([]));
+
+    const { status, body } = await sendCode();
+
+    assert.equal(status, 200);
+    assert.match(body.message, /If an account exists/);
+    assert.equal(sentSms.length, 0);
+  });
+
+  it('does not guess between several accounts sharing a number', async () => {
+    User.find.mock.mockImplementation(() => fakeQuery([user, buildUser('donor', { phone: PHONE, phoneVerified: true })]));
+
+    await sendCode();
+
+    assert.equal(sentSms.length, 0);
+  });
+
+  it('never logs into an account whose number was not verified', async () => {
+    await sendCode();
+    const code = smsCode();
+    user.phoneVerified = false;
+
+    assert.equal((await verify(code)).status, 400);
+    assert.equal(latestCode.consumedAt, undefined);
+
+    await sendCode();
+    assert.equal(sentSms.length, 1);
+    assert.equal(User.find.mock.calls.at(-1).arguments[0].phoneVerified, true);
+  });
+
+  it('rejects a phone number that is not a plain string', async () => {
+    await sendCode();
+    const findOne = OtpCode.findOne.mock.callCount();
+
+    const { status } = await verify(smsCode(), { $ne: null });
+
+    assert.equal(status, 400);
+    assert.equal(OtpCode.findOne.mock.callCount(), findOne);
+  });
+
+  it('makes users wait before asking for another code', async () => {
+    await sendCode();
+
+    const { status } = await sendCode();
+
+    assert.equal(status, 429);
+    assert.equal(sentSms.length, 1);
+  });
+
+  it('logs in with the right code', async () => {
+    await sendCode();
+
+    const { status, body } = await verify(smsCode());
+
+    assert.equal(status, 200);
+    assert.equal(verifyToken(body.data.token).id, user._id.toString());
+    assert.ok(latestCode.consumedAt);
+  });
+
+  it('counts wrong codes towards the lockout and burns the code after five', async () => {
+    await sendCode();
+    const wrong = smsCode() === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < 4; i++) {
+      assert.equal((await verify(wrong)).status, 401);
+    }
+    assert.equal(latestCode.consumedAt, undefined);
+
+    await verify(wrong);
+
+    assert.ok(latestCode.consumedAt);
+    assert.equal(User.findOneAndUpdate.mock.callCount(), 5);
+  });
+
+  it('marks the phone as verified with a verification code', async () => {
+    user.phoneVerified = false;
+    mock.method(User, 'exists', async () => null);
+    const asUser = (body) => makeReq({ user: { id: user._id, role: 'donor' }, body: { purpose: 'verify-phone', ...body } });
+
+    await call(requestOtp, asUser());
+    latestCode = saved.findLast(doc => doc instanceof OtpCode);
+    const { status } = await call(verifyOtp, asUser({ code: smsCode() }));
+
+    assert.equal(status, 200);
+    assert.equal(user.phoneVerified, true);
+  });
+
+  it("rejects a phone verification code sent to someone else's account", async () => {
+    await sendCode();
+    const other = buildUser('donor');
+
+    const { status } = await call(verifyOtp, makeReq({
+      user: { id: other._id, role: 'donor' },
+      body: { purpose: 'verify-phone', code: smsCode() }
+    }));
+
+    assert.equal(status, 400);
+    assert.equal(latestCode.consumedAt, undefined);
+  });
+});
@@ -0,0 +1,164 @@
+import { sentEmails, resetOutbox, fakeQuery, stubSaves, stubSettings, makeReq, call } from './helpers.js';
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { changePassword, forgotPassword, resetPassword, getCurrentUser } from '../controllers/authController.js';
+import { generateToken, verifyToken, hashToken } from '../utils/tokenUtils.js';
+import { buildUser } from './fixtures.js';
+
+const PASSWORD = 'Blood!Link-2024';
+const NEW_PASSWORD = 'Plasma#Drive-77';
+
+describe('password change and reset', () => {
+  let passwordHash;
+  let user;
+  let tokenBumps;
+
+  before(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(() => {
+    resetOutbox();
+    stubSaves();
+    stubSettings();
+    user = buildUser('donor', { password: passwordHash, passwordHistory: [] });
+    mock.method(User, 'findById', () => fakeQuery(user));
+    tokenBumps = mock.method(User, 'updateOne', async () => ({}));
+    mock.method(Session, 'updateMany', async () => ({}));
+    mock.method(RefreshToken, 'updateMany', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('change', () => {
+    const change = (body) => call(changePassword, makeReq({
+      user: { id: user._id, role: 'donor', roles: ['donor'] },
+      body
+    }));
+
+    it('needs the current password', async () => {
+      const { status } = await change({ currentPassword: 'wrong', newPassword: NEW_PASSWORD });
+
+      assert.equal(status, 401);
+      assert.equal(user.password, passwordHash);
+    });
+
+    it('rejects weak passwords', async () => {
+      const { status } = await change({ currentPassword: PASSWORD, newPassword: 'password1' });
+
+      assert.equal(status, 400);
+      assert.equal(user.password, passwordHash);
+    });
+
+    it('rejects the current password as the new one', async () => {
+      const { status, body } = await change({ currentPassword: PASSWORD, newPassword: PASSWORD });
+
+      assert.equal(status, 400);
+      assert.match(body.message, /not used recently/);
+    });
+
+    it('sets the password, signs out other sessions and keeps this device signed in', async () => {
+      const { status, body } = await change({ currentPassword: PASSWORD, newPassword: NEW_PASSWORD });
+
+      assert.equal(status, 200);
+      assert.ok(await bcrypt.compare(NEW_PASSWORD, user.password));
+      assert.equal(user.passwordHistory[0], passwordHash);
+      assert.equal(tokenBumps.mock.calls[0].arguments[1].$inc.tokenVersion, 1);
+      assert.equal(verifyToken(body.data.token).id, user._id.toString());
+      assert.ok(body.data.refreshToken);
+    });
+  });
+
+  describe('forgotten password', () => {
+    it('emails a reset link to a registered address', async () => {
+      mock.method(User, 'findOne', () => fakeQuery(user));
+
+      const { status } = await call(forgotPassword, makeReq({ body: { email: user.email } }));
+
+      assert.equal(status, 200);
+      assert.equal(sentEmails.length, 1);
+      const [emailedToken] = sentEmails[0].text.match(/reset-password\/(\S+)/).slice(1);
+      assert.equal(user.resetPasswordToken, hashToken(emailedToken));
+      assert.ok(user.resetPasswordExpires > Date.now());
+    });
+
+    it('keeps the reset token out of the profile', async () => {
+      user.resetPasswordToken = hashToken('reset-token');
+      user.resetPasswordExpires = Date.now() + 3600000;
+
+      const { status, body } = await call(getCurrentUser, makeReq({ user: { id: user._id, role: 'donor' } }));
+
+      assert.equal(status, 200);
+      assert.equal(body.data.email, user.email);
+      assert.equal(body.data.resetPasswordToken, undefined);
+      assert.equal(body.data.resetPasswordExpires, undefined);
+      assert.equal(body.data.password, undefined);
+    });
+
+    it('gives the same answer for an unknown address without sending anything', async () => {
+      mock.method(User, 'findOne', () => fakeQuery(null));
+
+      const { status, body } = await call(forgotPassword, makeReq({ body: { email: 'nobody@example.com' } }));
+
+      assert.equal(status, 200);
+      assert.match(body.message, /If an account exists/);
+      assert.equal(sentEmails.length, 0);
+    });
+  });
+
+  describe('reset', () => {
+    let token;
+    let lookup;
+
+    beforeEach(() => {
+      token = generateToken(user._id, user.role, '1h', 'reset');
+      user.resetPasswordToken = hashToken(token);
+      user.resetPasswordExpires = Date.now() + 3600000;
+      user.passwordResetRequired = true;
+      lookup = mock.method(User, 'findOne', (filter) =>
+        fakeQuery(filter.resetPasswordToken === user.resetPasswordToken ? user : null)
+      );
+    });
+
+    const reset = (resetToken, password = NEW_PASSWORD) =>
+      call(resetPassword, makeReq({ params: { token: resetToken }, body: { password } }));
+
+    it('sets the password once and signs out every session', async () => {
+      const { status } = await reset(token);
+
+      assert.equal(status, 200);
+      assert.ok(await bcrypt.compare(NEW_PASSWORD, user.password));
+      assert.equal(user.resetPasswordToken, undefined);
+      assert.equal(user.passwordResetRequired, false);
+      assert.equal(tokenBumps.mock.callCount(), 1);
+
+      assert.equal((await reset(token, 'Another!Pass-93')).status, 400);
+    });
+
+    it('only accepts unexpired tokens', async () => {
+      await reset(token);
+
+      assert.ok(lookup.mock.calls[0].arguments[0].resetPasswordExpires.$gt <= Date.now());
+    });
+
+    it('rejects invalid tokens and tokens of another type', async () => {
+      assert.equal((await reset('not-a-token')).status, 400);
+
+      const authToken = generateToken(user._id, user.role);
+      user.resetPasswordToken = hashToken(authToken);
+      assert.equal((await reset(authToken)).status, 400);
+      assert.equal(user.password, passwordHash);
+    });
+
+    it('still applies the password policy', async () => {
+      const { status } = await reset(token, PASSWORD);
+
+      assert.equal(status, 400);
+      assert.equal(user.resetPasswordToken, hashToken(token));
+    });
+  });
+});
@@ -0,0 +1,136 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import Notification from '../models/Notification.js';
+import { updatePledgeCheckpoint, withdrawPledge } from '../controllers/requestController.js';
+import { releaseUnresponsivePledges } from '../jobs/pledgeTimeoutJob.js';
+import { buildUser, buildRequest, buildPledge } from './fixtures.js';
+
+describe('pledge checkpoints, withdrawal and timeouts', () => {
+  let saved;
+  let requester;
+  let donor;
+  let nextDonor;
+  let request;
+  let offers;
+
+  beforeEach(() => {
+    saved = stubSaves();
+    stubSettings();
+    requester = buildUser('requester');
+    donor = buildUser('donor', { bloodGroup: 'A+' });
+    nextDonor = buildUser('donor', { bloodGroup: 'A+', location: { type: 'Point', coordinates: [88.3639, 22.5826] } });
+    request = buildRequest({
+      requester: requester._id,
+      units: 1,
+      status: 'matched',
+      unitsPledged: 1,
+      assignedDonor: donor._id,
+      pledges: [buildPledge(donor, { respondBy: new Date(Date.now() + 3600000) })]
+    });
+
+    const users = [requester, donor, nextDonor];
+    mock.method(Request, 'findById', () => fakeQuery(request));
+    mock.method(User, 'findById', (id) =>
+      fakeQuery(users.find(user => user._id.toString() === (id._id || id).toString()) || null)
+    );
+    mock.method(User, 'find', () => fakeQuery([nextDonor]));
+    offers = mock.method(Request, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const asDonor = (fields = {}) => makeReq({
+    user: { id: donor._id.toString(), role: 'donor', roles: ['donor'] },
+    params: { id: request._id.toString() },
+    ...fields
+  });
+  const notificationsFor = (user) => saved.filter(doc =>
+    doc instanceof Notification && doc.user.toString() === user._id.toString()
+  );
+  const eventTypes = () => saved.filter(doc => doc instanceof RequestEvent).map(event => event.type);
+
+  describe('checkpoints', () => {
+    it('records progress and moves the response deadline on', async () => {
+      const previousDeadline = request.pledges[0].respondBy;
+
+      const { status } = await call(updatePledgeCheckpoint, asDonor({ body: { checkpoint: 'on-my-way' } }));
+
+      assert.equal(status, 200);
+      const [pledge] = request.pledges;
+      assert.equal(pledge.checkpoints[0].stage, 'on-my-way');
+      assert.ok(pledge.respondBy > previousDeadline);
+      assert.ok(eventTypes().includes('checkpoint'));
+    });
+
+    it('stops the clock once the donor has arrived', async () => {
+      await call(updatePledgeCheckpoint, asDonor({ body: { checkpoint: 'arrived' } }));
+
+      assert.equal(request.pledges[0].respondBy, undefined);
+    });
+
+    it('rejects unknown and repeated checkpoints', async () => {
+      assert.equal((await call(updatePledgeCheckpoint, asDonor({ body: { checkpoint: 'lost' } }))).status, 400);
+
+      await call(updatePledgeCheckpoint, asDonor({ body: { checkpoint: 'confirmed' } }));
+      assert.equal((await call(updatePledgeCheckpoint, asDonor({ body: { checkpoint: 'confirmed' } }))).status, 400);
+    });
+  });
+
+  describe('withdrawal', () => {
+    it('releases the pledge, reopens the request and offers it to the next donor', async () => {
+      const { status } = await call(withdrawPledge, asDonor({ body: { reason: 'Car broke down' } }));
+
+      assert.equal(status, 200);
+      assert.equal(request.pledges[0].status, 'released');
+      assert.equal(request.pledges[0].releaseReason, 'withdrawn');
+      assert.equal(request.status, 'pending');
+      assert.equal(request.assignedDonor, null);
+      assert.deepEqual(eventTypes(), ['withdrawn', 'offered']);
+      assert.equal(notificationsFor(requester).length, 1);
+      assert.equal(notificationsFor(nextDonor).length, 1);
+      const offer = offers.mock.calls[0].arguments[1].$push.donorAlerts;
+      assert.equal(offer.kind, 'offer');
+      assert.equal(offer.donor, nextDonor._id);
+    });
+
+    it('needs an open pledge', async () => {
+      const { status } = await call(withdrawPledge, makeReq({
+        user: { id: nextDonor._id.toString(), role: 'donor', roles: ['donor'] },
+        params: { id: request._id.toString() }
+      }));
+
+      assert.equal(status, 404);
+      assert.equal(request.pledges[0].status, 'pledged');
+    });
+  });
+
+  describe('timeouts', () => {
+    beforeEach(() => {
+      mock.method(Request, 'find', () => fakeQuery([request]));
+    });
+
+    it('releases pledges past their deadline and tells the donor', async () => {
+      request.pledges[0].respondBy = new Date(Date.now() - 60000);
+
+      await releaseUnresponsivePledges();
+
+      assert.equal(request.pledges[0].status, 'released');
+      assert.equal(request.pledges[0].releaseReason, 'timed-out');
+      assert.equal(request.status, 'pending');
+      assert.deepEqual(eventTypes(), ['pledge-timed-out', 'offered']);
+      assert.match(notificationsFor(donor)[0].title, /released/);
+    });
+
+    it('leaves pledges that are still within their deadline', async () => {
+      await releaseUnresponsivePledges();
+
+      assert.equal(request.pledges[0].status, 'pledged');
+      assert.equal(request.status, 'matched');
+      assert.deepEqual(eventTypes(), []);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+import { fakeQuery, loadDoc, stubSaves, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { refreshAccessToken, logout } from '../controllers/authController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { generateToken, hashToken } from '../utils/tokenUtils.js';
+
+const DAY_MS = 24 * 3600000;
+
+describe('refresh token rotation', () => {
+  let user;
+  let session;
+  let stored;
+  let revocations;
+
+  beforeEach(() => {
+    stubSaves();
+    user = loadDoc(User, {
+      name: 'Ravi Das',
+      email: 'ravi@example.com',
+      phone: '9876543210',
+      role: 'donor',
+      roles: ['donor'],
+      bloodGroup: 'A+'
+    });
+    session = loadDoc(Session, { user: user._id, expiresAt: new Date(Date.now() + DAY_MS) });
+    stored = loadDoc(RefreshToken, {
+      user: user._id,
+      tokenHash: hashToken('refresh-1'),
+      family: session._id.toString(),
+      expiresAt: new Date(Date.now() + DAY_MS)
+    });
+
+    // One token in the "database", claimed atomically like MongoDB would
+    mock.method(RefreshToken, 'findOneAndUpdate', (filter, update) => {
+      if (filter.tokenHash !== stored.tokenHash || stored.revokedAt || stored.expiresAt <= new Date()) {
+        return fakeQuery(null);
+      }
+      Object.assign(stored, update.$set);
+      return fakeQuery(stored);
+    });
+    mock.method(RefreshToken, 'findOne', (filter) =>
+      fakeQuery(filter.tokenHash === stored.tokenHash ? stored : null)
+    );
+    mock.method(RefreshToken, 'updateOne', async () => ({ matchedCount: 1 }));
+    revocations = mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 1 }));
+    mock.method(Session, 'updateOne', async () => ({ matchedCount: 1 }));
+    mock.method(Session, 'findById', () => fakeQuery(session));
+    mock.method(User, 'findById', () => fakeQuery(user));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const refresh = (refreshToken) => call(refreshAccessToken, makeReq({ body: { refreshToken } }));
+
+  it('issues a new pair and revokes the token that was used', async () => {
+    const { status, body } = await refresh('refresh-1');
+
+    assert.equal(status, 200);
+    assert.ok(body.data.token);
+    assert.notEqual(body.data.refreshToken, 'refresh-1');
+    assert.equal(stored.revokedReason, 'rotated');
+    assert.equal(revocations.mock.callCount(), 0);
+  });
+
+  it('revokes the whole session when a rotated token is presented again', async () => {
+    await refresh('refresh-1');
+    const { status } = await refresh('refresh-1');
+
+    assert.equal(status, 401);
+    const [filter, update] = revocations.mock.calls[0].arguments;
+    assert.equal(filter.family, session._id.toString());
+    assert.equal(update.revokedReason, 'reuse-detected');
+  });
+
+  it('lets only one of two simultaneous refreshes succeed and treats the other as reuse', async () => {
+    const results = await Promise.all([refresh('refresh-1'), refresh('refresh-1')]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 401]);
+    assert.equal(revocations.mock.calls[0].arguments[1].revokedReason, 'reuse-detected');
+  });
+
+  it('rejects unknown and expired tokens without revoking anything', async () => {
+    assert.equal((await refresh('not-a-token')).status, 401);
+
+    stored.expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await refresh('refresh-1')).status, 401);
+    assert.equal(revocations.mock.callCount(), 0);
+  });
+
+  it('refuses to refresh a session that has been ended', async () => {
+    session.revokedAt = new Date();
+
+    const { status } = await refresh('refresh-1');
+
+    assert.equal(status, 401);
+    assert.equal(revocations.mock.calls[0].arguments[1].revokedReason, 'session-ended');
+  });
+
+  it('requires a refresh token', async () => {
+    assert.equal((await refresh(undefined)).status, 400);
+  });
+});
+
+describe('logout and revocation', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('revokes the access token and ends its session on logout', async () => {
+    const revokeToken = mock.method(RevokedToken, 'updateOne', async () => ({}));
+    const endSession = mock.method(Session, 'updateOne', async () => ({}));
+    mock.method(RefreshToken, 'updateMany', async () => ({}));
+    const tokenPayload = { jti: 'jti-1', id: 'u1', sid: 'session-1', exp: Math.floor(Date.now() / 1000) + 60 };
+
+    const { status } = await call(logout, makeReq({ tokenPayload }));
+
+    assert.equal(status, 200);
+    assert.equal(revokeToken.mock.calls[0].arguments[0].jti, 'jti-1');
+    assert.equal(endSession.mock.calls[0].arguments[0]._id, 'session-1');
+  });
+
+  it('rejects access tokens on the revocation list', async () => {
+    mock.method(RevokedToken, 'exists', async () => ({ _id: 'r1' }));
+    const token = generateToken('64b000000000000000000001', 'donor', '15m', 'auth', { jti: 'jti-1' });
+
+    const { status, nextCalled } = await call(protect, makeReq({ headers: { authorization: `Bearer ${token}` } }));
+
+    assert.equal(status, 401);
+    assert.equal(nextCalled, false);
+  });
+
+  it('rejects access tokens whose session has ended', async () => {
+    mock.method(RevokedToken, 'exists', async () => null);
+    mock.method(Session, 'findById', () => fakeQuery(loadDoc(Session, {
+      user: '64b000000000000000000001',
+      revokedAt: new Date(),
+      expiresAt: new Date(Date.now() + DAY_MS)
+    })));
+    const token = generateToken('64b000000000000000000001', 'donor', '15m', 'auth', { jti: 'jti-2', sid: 's1' });
+
+    const { status, body } = await call(protect, makeReq({ headers: { authorization: `Bearer ${token}` } }));
+
+    assert.equal(status, 401);
+    assert.match(body.message, /session has ended/);
+  });
+});
@@ -0,0 +1,129 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import Notification from '../models/Notification.js';
+import { acceptRequest, cancelRequest } from '../controllers/requestController.js';
+import { buildUser, buildRequest, buildPledge } from './fixtures.js';
+
+describe('race-safe request transitions', () => {
+  let saved;
+  let conflicts;
+  let requester;
+  let donor;
+  let rival;
+  let reads;
+
+  beforeEach(() => {
+    conflicts = 0;
+    saved = stubSaves({
+      conflict: (doc) => doc instanceof Request && conflicts > 0 && conflicts-- > 0
+    });
+    stubSettings();
+    requester = buildUser('requester');
+    donor = buildUser('donor');
+    rival = buildUser('donor');
+    reads = [];
+
+    const users = [requester, donor, rival];
+    mock.method(Request, 'findById', () => fakeQuery(reads.length > 1 ? reads.shift() : reads[0]));
+    mock.method(User, 'findById', (id) =>
+      fakeQuery(users.find(user => user._id.toString() === id.toString()) || null)
+    );
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const build = (fields = {}) => buildRequest({ requester: requester._id, units: 2, ...fields });
+  const accept = (units) => call(acceptRequest, makeReq({
+    user: { id: donor._id.toString(), role: 'donor', roles: ['donor'] },
+    params: { id: 'r1' },
+    body: { units }
+  }));
+  const notificationsFor = (user) => saved.filter(doc =>
+    doc instanceof Notification && doc.user.toString() === user._id.toString()
+  );
+
+  it('only allows transitions the state machine knows', () => {
+    assert.equal(Request.canTransition('pending', 'matched'), true);
+    assert.equal(Request.canTransition('expired', 'pending'), true);
+    assert.equal(Request.canTransition('fulfilled', 'pending'), false);
+    assert.equal(Request.canTransition('cancelled', 'matched'), false);
+  });
+
+  it('refuses to save a request into a status it cannot reach', async () => {
+    const request = build({ status: 'fulfilled' });
+    request.status = 'pending';
+
+    await assert.rejects(request.save(), { name: 'InvalidTransitionError', statusCode: 409 });
+  });
+
+  it('re-reads and retries when another pledge landed first but units remain', async () => {
+    const stale = build();
+    const fresh = build({ _id: stale._id, pledges: [buildPledge(rival)], unitsPledged: 1 });
+    reads = [stale, fresh];
+    conflicts = 1;
+
+    const { status } = await accept(1);
+
+    assert.equal(status, 200);
+    assert.equal(fresh.status, 'matched');
+    assert.equal(fresh.pledges.length, 2);
+    assert.equal(notificationsFor(donor).length, 0);
+  });
+
+  it('gives the losing donor a 409 and tells them someone else got there first', async () => {
+    const stale = build();
+    const fresh = build({
+      _id: stale._id,
+      status: 'matched',
+      pledges: [buildPledge(rival, { units: 2 })],
+      unitsPledged: 2
+    });
+    reads = [stale, fresh];
+    conflicts = 1;
+
+    const { status, body } = await accept(2);
+
+    assert.equal(status, 409);
+    assert.match(body.message, /got there first/);
+    assert.match(notificationsFor(donor)[0].title, /got there first/);
+  });
+
+  it('gives up with a 409 after repeated conflicts', async () => {
+    const request = build();
+    reads = [request, build({ _id: request._id }), build({ _id: request._id })];
+    conflicts = 5;
+
+    const { status, body } = await accept(1);
+
+    assert.equal(status, 409);
+    assert.equal(body.conflict, true);
+    assert.equal(notificationsFor(requester).length, 0);
+  });
+
+  it('refuses to cancel a request that has already been fulfilled', async () => {
+    reads = [build({ status: 'fulfilled' })];
+
+    const { status } = await call(cancelRequest, makeReq({
+      user: { id: requester._id.toString(), role: 'requester', roles: ['requester'] },
+      params: { id: 'r1' }
+    }));
+
+    assert.equal(status, 409);
+  });
+
+  it('does not notify donors when a cancellation loses a race', async () => {
+    reads = [build({ status: 'matched', pledges: [buildPledge(donor, { units: 2 })], unitsPledged: 2 })];
+    conflicts = 1;
+
+    const { status } = await call(cancelRequest, makeReq({
+      user: { id: requester._id.toString(), role: 'requester', roles: ['requester'] },
+      params: { id: 'r1' }
+    }));
+
+    assert.equal(status, 409);
+    assert.equal(saved.filter(doc => doc instanceof Notification).length, 0);
+  });
+});
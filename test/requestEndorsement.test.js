@@ -0,0 +1,234 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call, flush } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import Notification from '../models/Notification.js';
+import { createRequest, endorseRequest, getRequests, updateRequest } from '../controllers/requestController.js';
+import { getPendingEndorsements } from '../controllers/doctorController.js';
+import { findHospitalDoctors } from '../utils/requestEndorsement.js';
+import { resetEscalation } from '../utils/requestEscalation.js';
+import { buildUser, buildRequest } from './fixtures.js';
+
+const fields = {
+  bloodGroup: 'A+',
+  units: 2,
+  location: { type: 'Point', coordinates: [88.3639, 22.5726] },
+  address: '12 Park Street, Kolkata',
+  needByDate: new Date(Date.now() + 24 * 3600000),
+  patientName: 'Rina Ghosh',
+  purpose: 'Surgery',
+  urgency: 'critical'
+};
+
+describe('hospital endorsement', () => {
+  let saved;
+  let requester;
+  let doctor;
+  let nearbyDonor;
+  let request;
+  let users;
+
+  beforeEach(() => {
+    saved = stubSaves();
+    stubSettings({ 'requests.requireEndorsementForCritical': true });
+    requester = buildUser('requester');
+    doctor = buildUser('doctor');
+    nearbyDonor = buildUser('donor', {
+      bloodGroup: 'A+',
+      location: { type: 'Point', coordinates: [88.3639, 22.5736] }
+    });
+    request = buildRequest({
+      requester: requester._id,
+      urgency: 'critical',
+      hospital: { name: 'City  Hospital', address: '1 Lake Road' },
+      endorsement: { required: true }
+    });
+    users = [requester, doctor, nearbyDonor];
+
+    mock.method(Request, 'findById', () => fakeQuery(request));
+    mock.method(User, 'findById', (id) =>
+      fakeQuery(users.find(user => user._id.toString() === id.toString()) || null)
+    );
+    mock.method(User, 'find', (filter) => fakeQuery(filter.roles === 'donor' ? [nearbyDonor] : [doctor]));
+    mock.method(Request, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const as = (user, fields = {}) => makeReq({
+    user: {
+      id: user._id.toString(),
+      name: user.name,
+      role: user.role,
+      roles: user.roles,
+      credentialStatus: user.getCredentialStatus()
+    },
+    params: { id: request._id.toString() },
+    ...fields
+  });
+  const endorse = async (user = doctor) => {
+    const result = await call(endorseRequest, as(user, { body: { note: 'Patient admitted in ward 4' } }));
+    await flush();
+    return result;
+  };
+  const notificationsFor = (user) => saved.filter(doc =>
+    doc instanceof Notification && doc.user.toString() === user._id.toString()
+  );
+
+  it('asks only doctors an admin confirmed at the hospital', async () => {
+    await findHospitalDoctors('City  Hospital');
+
+    const filter = User.find.mock.calls[0].arguments[0];
+    const { role, status, hospitalName } = filter.credentials.$elemMatch;
+    assert.deepEqual({ role, status }, { role: 'doctor', status: 'approved' });
+    assert.ok(hospitalName.test('city hospital'));
+    assert.equal(filter.hospitalName, undefined);
+  });
+
+  it('holds a critical request back from donors and asks the hospital to endorse it', async () => {
+    mock.method(Request, 'find', () => fakeQuery([]));
+    mock.method(Request, 'countDocuments', async () => 0);
+
+    const { status } = await call(createRequest, as(requester, {
+      body: { ...fields, hospital: { name: 'City Hospital' } }
+    }));
+    await flush();
+
+    assert.equal(status, 201);
+    const created = saved.find(doc => doc instanceof Request);
+    assert.equal(created.endorsement.required, true);
+    assert.equal(created.escalation.startedAt, undefined);
+    assert.equal(notificationsFor(nearbyDonor).length, 0);
+    assert.equal(notificationsFor(doctor)[0].actionUrl, `/requests/${created._id}/endorse`);
+  });
+
+  it('needs critical requests to name the hospital', async () => {
+    const { status, body } = await call(createRequest, as(requester, {
+      body: { ...fields, hospital: { name: '  ' } }
+    }));
+
+    assert.equal(status, 400);
+    assert.match(body.message, /must name the hospital/);
+  });
+
+  it('endorses the request and releases it to donors', async () => {
+    const { status } = await endorse();
+
+    assert.equal(status, 200);
+    assert.equal(request.isEndorsed, true);
+    assert.equal(request.endorsement.endorsedBy.toString(), doctor._id.toString());
+    assert.equal(request.endorsement.hospitalName, 'City Hospital');
+    assert.ok(request.escalation.startedAt);
+    assert.equal(saved.find(doc => doc instanceof RequestEvent).details.releasedToDonors, true);
+    assert.match(notificationsFor(requester)[0].message, /Nearby donors are being alerted/);
+    assert.match(notificationsFor(nearbyDonor)[0].title, /Hospital-confirmed/);
+  });
+
+  it('goes by the hospital the admin confirmed, not the profile', async () => {
+    doctor.hospitalName = 'City Hospital';
+    doctor.getCredential('doctor').hospitalName = 'Lake View Hospital';
+
+    const { status } = await endorse();
+
+    assert.equal(status, 403);
+    assert.equal(request.isEndorsed, false);
+  });
+
+  it('is not open to doctors awaiting approval or to the requester', async () => {
+    doctor.getCredential('doctor').status = 'pending';
+    assert.equal((await endorse()).status, 403);
+
+    const requestingDoctor = buildUser('doctor');
+    users.push(requestingDoctor);
+    request.requester = requestingDoctor._id;
+    assert.equal((await endorse(requestingDoctor)).status, 403);
+  });
+
+  it('can only happen once', async () => {
+    await endorse();
+
+    assert.equal((await endorse()).status, 409);
+  });
+
+  describe('editing an endorsed request', () => {
+    const update = async (body) => {
+      const result = await call(updateRequest, as(requester, { body }));
+      await flush();
+      return result;
+    };
+
+    beforeEach(async () => {
+      await endorse();
+      saved.length = 0;
+    });
+
+    it('withdraws the endorsement and holds the request back when the vouched details change', async () => {
+      const { status } = await update({ units: 4, patientName: 'Someone Else' });
+
+      assert.equal(status, 200);
+      assert.equal(request.isEndorsed, false);
+      assert.equal(request.endorsement.endorsedBy, undefined);
+      assert.equal(request.endorsement.required, true);
+      assert.equal(request.escalation.startedAt, undefined);
+      assert.equal(saved.find(doc => doc instanceof RequestEvent).details.endorsementWithdrawn, true);
+      assert.equal(notificationsFor(doctor)[0].actionUrl, `/requests/${request._id}/endorse`);
+      assert.equal(notificationsFor(nearbyDonor).length, 0);
+    });
+
+    it('keeps alerting donors when admins do not require an endorsement', async () => {
+      stubSettings({ 'requests.requireEndorsementForCritical': false });
+
+      await update({ bloodGroup: 'A-' });
+
+      assert.equal(request.isEndorsed, false);
+      assert.equal(request.endorsement.required, false);
+      assert.ok(request.escalation.startedAt);
+      assert.equal(notificationsFor(doctor).length, 1);
+    });
+
+    it('keeps the endorsement for details the doctor did not vouch for', async () => {
+      const { status } = await update({
+        needByDate: new Date(Date.now() + 2 * 24 * 3600000),
+        additionalNotes: 'Ward 4, bed 12'
+      });
+
+      assert.equal(status, 200);
+      assert.equal(request.isEndorsed, true);
+      assert.equal(request.endorsement.hospitalName, 'City Hospital');
+      assert.equal(notificationsFor(doctor).length, 0);
+    });
+  });
+
+  it('lists the requests at the confirmed hospital waiting for an endorsement', async () => {
+    const find = mock.method(Request, 'find', () => fakeQuery([request]));
+
+    const { status, body } = await call(getPendingEndorsements, as(doctor));
+
+    assert.equal(status, 200);
+    assert.equal(body.count, 1);
+    assert.ok(find.mock.calls[0].arguments[0]['hospital.name'].test('CITY HOSPITAL'));
+  });
+
+  it('shows the endorsed badge in listings and sorts endorsed requests first', async () => {
+    request.endorsement = { required: false };
+    request.isEndorsed = true;
+    request.endorsement.hospitalName = 'City Hospital';
+    resetEscalation(request);
+    let sort;
+    mock.method(Request, 'find', () => {
+      const query = fakeQuery([request]);
+      query.sort = (value) => { sort = value; return query; };
+      return query;
+    });
+    mock.method(Request, 'countDocuments', async () => 1);
+
+    const { body } = await call(getRequests, as(nearbyDonor, { query: { sort: 'endorsed' } }));
+
+    assert.equal(sort.isEndorsed, -1);
+    assert.equal(body.data[0].isEndorsed, true);
+    assert.equal(body.data[0].endorsement.hospitalName, 'City Hospital');
+    assert.equal(body.data[0].endorsement.endorsedBy, undefined);
+  });
+});
@@ -0,0 +1,117 @@
+import { fakeQuery, stubSaves, stubSettings } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import Notification from '../models/Notification.js';
+import {
+  runEscalationStep,
+  resetEscalation,
+  rescheduleEscalation,
+  getEscalationBloodGroups
+} from '../utils/requestEscalation.js';
+import { buildUser, buildRequest } from './fixtures.js';
+
+// Roughly 1.1 km per hundredth of a degree of latitude
+const donorAt = (km, fields = {}) => buildUser('donor', {
+  bloodGroup: 'A+',
+  location: { type: 'Point', coordinates: [88.3639, 22.5726 + km / 111] },
+  ...fields
+});
+
+describe('request escalation', () => {
+  let saved;
+  let request;
+  let donors;
+  let organizations;
+  let updates;
+
+  beforeEach(() => {
+    saved = stubSaves();
+    stubSettings();
+    request = buildRequest({ urgency: 'critical' });
+    resetEscalation(request);
+    donors = [];
+    organizations = [];
+    mock.method(User, 'find', (filter) => fakeQuery(filter.roles === 'donor' ? donors : organizations));
+    updates = mock.method(Request, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const loggedSteps = () => updates.mock.calls
+    .map(call => call.arguments[1].$push?.['escalation.steps'])
+    .filter(Boolean);
+
+  it('widens the blood groups at each step', () => {
+    assert.deepEqual(getEscalationBloodGroups('A+', 'exact'), ['A+']);
+    assert.deepEqual(getEscalationBloodGroups('A+', 'same-type').sort(), ['A+', 'A-']);
+    assert.deepEqual(getEscalationBloodGroups('A+', 'compatible').sort(), ['A+', 'A-', 'O+', 'O-']);
+  });
+
+  it('runs the first step at a small radius and schedules the next one', async () => {
+    const step = await runEscalationStep(request);
+
+    assert.equal(step.level, 0);
+    assert.equal(step.radiusKm, 5);
+    assert.deepEqual(step.bloodGroups, ['A+']);
+    const [filter, claim] = updates.mock.calls[0].arguments;
+    assert.equal(filter['escalation.level'], -1);
+    assert.equal(claim['escalation.nextAt'].getTime(), request.escalation.startedAt.getTime() + 15 * 60000);
+    assert.equal(loggedSteps().length, 1);
+    const event = saved.find(doc => doc instanceof RequestEvent && doc.type === 'escalated');
+    assert.equal(event.details.level, 0);
+  });
+
+  it("keeps the first alert within donors' own radius and goes beyond it when widening", async () => {
+    const donor = donorAt(12);
+    donors = [donor];
+
+    const first = await runEscalationStep(request);
+    assert.equal(first.donorsAlerted, 0);
+
+    const second = await runEscalationStep(request);
+    assert.equal(second.radiusKm, 15);
+    assert.equal(second.donorsAlerted, 1);
+  });
+
+  it('finally hands the request to NGOs and admins', async () => {
+    organizations = [buildUser('ngo'), buildUser('admin')];
+    request.escalation.level = 2;
+
+    const step = await runEscalationStep(request);
+
+    assert.equal(step.notifyOrganizations, true);
+    assert.equal(step.organizationsAlerted, 2);
+    assert.equal(saved.filter(doc => doc instanceof Notification).length, 2);
+    assert.ok(updates.mock.calls[0].arguments[1]['escalation.completedAt']);
+  });
+
+  it('does nothing when another run already took the step', async () => {
+    updates.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+
+    assert.equal(await runEscalationStep(request), null);
+    assert.equal(User.find.mock.callCount(), 0);
+  });
+
+  it("follows the admin's policy for the urgency", async () => {
+    stubSettings({
+      'requests.escalationPolicy': { critical: [{ afterMinutes: 0, radiusKm: 2, bloodGroups: 'compatible' }] }
+    });
+
+    const step = await runEscalationStep(request);
+
+    assert.equal(step.radiusKm, 2);
+    assert.equal(updates.mock.calls[0].arguments[1]['escalation.nextAt'], null);
+  });
+
+  it('reschedules the next step when the urgency changes', async () => {
+    request.escalation.level = 0;
+    request.urgency = 'low';
+
+    await rescheduleEscalation(request);
+
+    assert.equal(request.escalation.nextAt.getTime(), request.escalation.startedAt.getTime() + 720 * 60000);
+  });
+});
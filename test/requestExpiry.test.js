@@ -0,0 +1,141 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call, flush } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import Notification from '../models/Notification.js';
+import { expireOverdueRequests, expireRequest } from '../jobs/requestExpiryJob.js';
+import { renewRequest } from '../controllers/requestController.js';
+import { buildUser, buildRequest, buildPledge } from './fixtures.js';
+
+const DAY_MS = 24 * 3600000;
+
+describe('request expiry', () => {
+  let saved;
+  let requester;
+  let donor;
+  let request;
+  let updates;
+
+  beforeEach(() => {
+    saved = stubSaves();
+    stubSettings();
+    requester = buildUser('requester');
+    donor = buildUser('donor');
+    request = buildRequest({
+      requester: requester._id,
+      needByDate: new Date(Date.now() - DAY_MS)
+    });
+    mock.method(User, 'findById', () => fakeQuery(requester));
+    mock.method(User, 'find', () => fakeQuery([donor]));
+    updates = mock.method(Request, 'updateOne', async () => ({ modifiedCount: 1 }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const notificationsFor = (user) => saved.filter(doc =>
+    doc instanceof Notification && doc.user.toString() === user._id.toString()
+  );
+
+  describe('the job', () => {
+    it('expires overdue open requests and records why', async () => {
+      const find = mock.method(Request, 'find', () => fakeQuery([request]));
+
+      await expireOverdueRequests();
+
+      const filter = find.mock.calls[0].arguments[0];
+      assert.deepEqual(filter.status.$in, ['pending', 'matched']);
+      assert.ok(filter.needByDate.$lt instanceof Date);
+      const [, update] = updates.mock.calls[0].arguments;
+      assert.equal(update.status, 'expired');
+      assert.ok(update.expiredAt);
+      assert.match(update.expiryReason, /without a donor/);
+      assert.equal(request.status, 'expired');
+      const event = saved.find(doc => doc instanceof RequestEvent);
+      assert.equal(event.type, 'expired');
+      assert.equal(event.fromStatus, 'pending');
+    });
+
+    it('offers the requester a renewal and tells the pledged donors', async () => {
+      request.status = 'matched';
+      request.unitsPledged = 1;
+      request.pledges.push(buildPledge(donor));
+
+      await expireRequest(request);
+
+      const [toRequester] = notificationsFor(requester);
+      assert.equal(toRequester.actionUrl, `/requests/${request._id}/renew`);
+      assert.equal(notificationsFor(donor).length, 1);
+      assert.match(updates.mock.calls[0].arguments[1].expiryReason, /before the donation was completed/);
+    });
+
+    it('leaves a request alone if it changed since it was read', async () => {
+      updates.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+
+      assert.equal(await expireRequest(request), false);
+      assert.equal(request.status, 'pending');
+      assert.equal(saved.length, 0);
+    });
+
+    it('keeps going when one request fails', async () => {
+      const other = buildRequest({ requester: requester._id, needByDate: request.needByDate });
+      mock.method(Request, 'find', () => fakeQuery([request, other]));
+      updates.mock.mockImplementationOnce(async () => { throw new Error('write failed'); });
+      mock.method(console, 'error', () => {});
+
+      await expireOverdueRequests();
+
+      assert.equal(request.status, 'pending');
+      assert.equal(other.status, 'expired');
+    });
+  });
+
+  describe('renewal', () => {
+    beforeEach(() => {
+      request.status = 'expired';
+      request.unitsPledged = 1;
+      request.pledges.push(buildPledge(donor));
+      mock.method(Request, 'findById', () => fakeQuery(request));
+    });
+
+    const renew = (body, userId = requester._id) => call(renewRequest, makeReq({
+      user: { id: userId, role: 'requester', roles: ['requester'] },
+      params: { id: request._id.toString() },
+      body
+    }));
+
+    it('reopens the request with a new date and releases old pledges', async () => {
+      const needByDate = new Date(Date.now() + 3 * DAY_MS);
+
+      const { status } = await renew({ needByDate });
+      await flush();
+
+      assert.equal(status, 200);
+      assert.equal(request.status, 'pending');
+      assert.equal(request.needByDate.getTime(), needByDate.getTime());
+      assert.equal(request.renewalCount, 1);
+      assert.equal(request.pledges[0].status, 'released');
+      assert.equal(request.unitsPledged, 0);
+      const event = saved.find(doc => doc instanceof RequestEvent);
+      assert.equal(event.type, 'renewed');
+      assert.equal(event.fromStatus, 'expired');
+    });
+
+    it('needs a future date', async () => {
+      const { status } = await renew({ needByDate: new Date(Date.now() - 1000) });
+
+      assert.equal(status, 400);
+      assert.equal(request.status, 'expired');
+    });
+
+    it('is only for the requester, and only for expired requests', async () => {
+      const future = new Date(Date.now() + DAY_MS);
+
+      assert.equal((await renew({ needByDate: future }, buildUser('requester')._id)).status, 403);
+
+      request.status = 'pending';
+      assert.equal((await renew({ needByDate: future })).status, 409);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { fakeQuery, loadDoc, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import Camp from '../models/Camp.js';
+import { getRequestById, getRequestTimeline } from '../controllers/requestController.js';
+import { getActiveRequests } from '../controllers/donorController.js';
+import { getDonorHeatmap, getCampMap, getRequestMap } from '../controllers/mapController.js';
+import { buildUser, buildRequest, buildPledge } from './fixtures.js';
+
+describe('request redaction', () => {
+  let requester;
+  let donor;
+  let request;
+
+  beforeEach(() => {
+    requester = buildUser('requester');
+    donor = buildUser('donor');
+    request = buildRequest({
+      requester: requester._id,
+      contactDetails: { name: 'Amit Ghosh', phone: '9123456789' },
+      pledges: [buildPledge(donor)],
+      unitsPledged: 1
+    });
+    mock.method(Request, 'findById', () => fakeQuery(request));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const as = (user, fields = {}) => makeReq({
+    user: { id: user._id, role: user.role, roles: user.roles, credentialStatus: user.getCredentialStatus() },
+    params: { id: request._id.toString() },
+    ...fields
+  });
+  const view = async (user) => (await call(getRequestById, as(user))).body.data;
+
+  it('shows the requester everything', async () => {
+    const data = await view(requester);
+
+    assert.equal(data.patientName, 'Rina Ghosh');
+    assert.equal(data.contactDetails.phone, '9123456789');
+  });
+
+  it('shows browsing donors a summary without patient or contact details', async () => {
+    const data = await view(buildUser('donor'));
+
+    assert.equal(data.bloodGroup, 'A+');
+    for (const field of ['patientName', 'patientAge', 'contactDetails', 'pledges']) {
+      assert.equal(data[field], undefined, field);
+    }
+  });
+
+  it('keeps the details from a pledged donor until the request is matched', async () => {
+    assert.equal((await view(donor)).patientName, undefined);
+
+    request.status = 'matched';
+    assert.equal((await view(donor)).patientName, 'Rina Ghosh');
+  });
+
+  it('shows donors whose donation was verified, but not ones whose pledge was released', async () => {
+    request.pledges[0].status = 'verified';
+    assert.equal((await view(donor)).patientName, 'Rina Ghosh');
+
+    request.status = 'matched';
+    request.pledges[0].status = 'released';
+    assert.equal((await view(donor)).patientName, undefined);
+  });
+
+  it("keeps the other donors' contact details and the alert list from a matched donor", async () => {
+    const otherDonor = buildUser('donor');
+    request.status = 'matched';
+    request.pledges.push(buildPledge(otherDonor, {
+      checkpoints: [{ stage: 'on-my-way', note: 'Leaving from Salt Lake' }]
+    }));
+    request.pledges[0].donor = donor;
+    request.pledges[1].donor = otherDonor;
+    request.donorAlerts = [{ donor: donor._id }, { donor: otherDonor._id }];
+
+    const data = await view(donor);
+
+    assert.equal(data.patientName, 'Rina Ghosh');
+    assert.equal(data.donorAlerts, undefined);
+    const [own, other] = data.pledges;
+    assert.equal(own.donor.phone, donor.phone);
+    assert.equal(other.donor.name, otherDonor.name);
+    assert.equal(other.donor.phone, undefined);
+    assert.equal(other.donor.email, undefined);
+    assert.equal(other.checkpoints[0].note, undefined);
+    assert.equal(other.checkpoints[0].stage, 'on-my-way');
+
+    const requesterView = await view(requester);
+    assert.equal(requesterView.pledges[1].donor.phone, otherDonor.phone);
+    assert.equal(requesterView.donorAlerts.length, 2);
+  });
+
+  it('shows doctors everything only once their credentials are approved', async () => {
+    const doctor = buildUser('doctor');
+    assert.equal((await view(doctor)).patientName, 'Rina Ghosh');
+
+    doctor.getCredential('doctor').status = 'pending';
+    assert.equal((await view(doctor)).patientName, undefined);
+  });
+
+  it('hides private requests from everyone who cannot see them in full', async () => {
+    request.isPublic = false;
+
+    const { status } = await call(getRequestById, as(buildUser('donor')));
+
+    assert.equal(status, 404);
+  });
+
+  it("keeps a pledged donor's timeline to summary changes until the request is matched", async () => {
+    mock.method(RequestEvent, 'find', () => fakeQuery([
+      loadDoc(RequestEvent, {
+        request: request._id,
+        type: 'updated',
+        changes: [{ field: 'units', from: 1, to: 2 }, { field: 'patientAge', from: 45, to: 54 }]
+      })
+    ]));
+
+    const { status, body } = await call(getRequestTimeline, as(donor));
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data[0].changes.map(change => change.field), ['units']);
+  });
+
+  it("redacts a donor's own active requests the same way", async () => {
+    mock.method(Request, 'find', () => fakeQuery([request]));
+
+    const { body } = await call(getActiveRequests, as(donor));
+
+    assert.equal(body.data[0].patientName, undefined);
+    assert.equal(body.data[0].units, 2);
+  });
+
+  describe('maps', () => {
+    let donorSelect;
+
+    beforeEach(() => {
+      mock.method(User, 'find', () => {
+        const query = fakeQuery([donor]);
+        query.select = (fields) => { donorSelect = fields; return query; };
+        return query;
+      });
+    });
+
+    it('names donors on the heatmap only for approved doctors and admins', async () => {
+      const doctor = buildUser('doctor');
+
+      const approved = await call(getDonorHeatmap, as(doctor));
+      assert.match(donorSelect, /name/);
+      assert.equal(approved.body.data[0].name, donor.name);
+
+      doctor.getCredential('doctor').status = 'pending';
+      const pending = await call(getDonorHeatmap, as(doctor));
+      assert.doesNotMatch(donorSelect, /name/);
+      assert.equal(pending.body.data[0].name, undefined);
+    });
+
+    it('lists camps and requests', async () => {
+      // As populated with the organiser's name
+      const camp = { _id: 'c1', title: 'Saturday camp', status: 'upcoming', organizer: { name: 'Helping Hands' } };
+      mock.method(Camp, 'find', () => fakeQuery([camp]));
+      mock.method(Request, 'find', () => fakeQuery([request]));
+
+      const camps = await call(getCampMap, makeReq());
+      const requests = await call(getRequestMap, as(donor));
+
+      assert.equal(camps.status, 200);
+      assert.equal(camps.body.data[0].organizer, 'Helping Hands');
+      assert.equal(requests.status, 200);
+      assert.equal(requests.body.data[0].patientName, undefined);
+    });
+  });
+});
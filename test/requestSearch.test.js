@@ -0,0 +1,115 @@
+import { fakeQuery, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import { getRequests } from '../controllers/requestController.js';
+import { buildUser, buildRequest } from './fixtures.js';
+
+describe('request search', () => {
+  let donor;
+  let found;
+  let listing;
+
+  beforeEach(() => {
+    donor = buildUser('donor', { bloodGroup: 'O-' });
+    found = [buildRequest({ isPublic: true })];
+    listing = {};
+    mock.method(User, 'findById', () => fakeQuery(donor));
+    mock.method(Request, 'find', (filter) => {
+      listing.filter = filter;
+      const query = fakeQuery(found);
+      query.sort = (sort) => { listing.sort = sort; return query; };
+      query.skip = (skip) => { listing.skip = skip; return query; };
+      query.limit = (limit) => { listing.limit = limit; return query; };
+      return query;
+    });
+    mock.method(Request, 'countDocuments', async () => 25);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const search = (query) => call(getRequests, makeReq({
+    user: { id: donor._id.toString(), role: 'donor', roles: ['donor'] },
+    query
+  }));
+  // Listings for donors are wrapped as {$and: [filters, visibility]}
+  const filters = () => listing.filter.$and[0];
+
+  it('filters by urgency, deadline range and free text', async () => {
+    const { status } = await search({
+      urgency: 'high,critical',
+      needByFrom: '2030-01-01',
+      needByTo: '2030-01-31',
+      q: 'park st.'
+    });
+
+    assert.equal(status, 200);
+    assert.deepEqual(filters().urgency.$in, ['high', 'critical']);
+    assert.equal(filters().needByDate.$gte.toISOString(), '2030-01-01T00:00:00.000Z');
+    assert.ok(filters().$or.some(condition => condition.address?.test('12 PARK ST., Kolkata')));
+    assert.ok(!filters().$or[0].address.test('Park Street'));
+  });
+
+  it("finds requests compatible with the donor's own blood group", async () => {
+    await search({ compatibleWith: 'me', bloodGroup: 'A+,A-,B+' });
+
+    assert.deepEqual(filters().bloodGroup.$in, ['A+', 'A-', 'B+']);
+
+    donor.bloodGroup = 'AB+';
+    await search({ compatibleWith: 'me' });
+    assert.deepEqual(filters().bloodGroup.$in, ['AB+']);
+  });
+
+  it('searches inside a bounding box', async () => {
+    await search({ bbox: '88.2,22.4,88.5,22.7' });
+
+    const [ring] = filters().location.$geoWithin.$geometry.coordinates;
+    assert.deepEqual(ring[0], [88.2, 22.4]);
+    assert.deepEqual(ring[2], [88.5, 22.7]);
+  });
+
+  it('keeps the page envelope and only shows donors what they may see', async () => {
+    const { body } = await search({ page: '2', limit: '10', sort: 'deadline' });
+
+    assert.equal(listing.skip, 10);
+    assert.deepEqual(listing.sort, { needByDate: 1, createdAt: -1 });
+    assert.deepEqual(
+      { total: body.total, totalPages: body.totalPages, currentPage: body.currentPage, count: body.count },
+      { total: 25, totalPages: 3, currentPage: 2, count: 1 }
+    );
+    assert.equal(body.data[0].patientName, undefined);
+    assert.ok(listing.filter.$and[1].$or);
+  });
+
+  it('sorts by distance around a point', async () => {
+    const aggregate = mock.method(Request, 'aggregate', async () => [{
+      total: [{ count: 1 }],
+      data: [{ ...found[0].toObject(), distanceKm: 3.14159 }]
+    }]);
+    mock.method(Request, 'populate', async (docs) => docs);
+
+    const { status, body } = await search({ lat: '22.57', lng: '88.36', radius: '25', sort: 'distance' });
+
+    assert.equal(status, 200);
+    const [{ $geoNear: geoNear }, { $facet: facet }] = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(geoNear.near.coordinates, [88.36, 22.57]);
+    assert.equal(geoNear.maxDistance, 25000);
+    assert.deepEqual(facet.data[0].$sort, { distanceKm: 1, _id: 1 });
+    assert.equal(body.data[0].distanceKm, 3.1);
+  });
+
+  it('rejects parameters it cannot use', async () => {
+    for (const query of [
+      { urgency: 'panic' },
+      { sort: 'distance' },
+      { lat: '22.5', lng: '88.3', bbox: '88.2,22.4,88.5,22.7' },
+      { bbox: '88.5,22.4,88.2,22.7' },
+      { lat: '95', lng: '88.3' },
+      { compatibleWith: 'C+' }
+    ]) {
+      const { status } = await search(query);
+      assert.equal(status, 400, JSON.stringify(query));
+    }
+  });
+});
@@ -0,0 +1,107 @@
+import { fakeQuery, loadDoc, stubSaves, stubSettings, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import RequestEvent from '../models/RequestEvent.js';
+import { updateRequest, getRequestTimeline } from '../controllers/requestController.js';
+import { redactRequestEvents } from '../utils/requestVisibility.js';
+import { buildUser, buildRequest, buildPledge } from './fixtures.js';
+
+describe('request timeline', () => {
+  let saved;
+  let requester;
+  let donor;
+  let request;
+  let events;
+
+  beforeEach(() => {
+    saved = stubSaves();
+    stubSettings();
+    requester = buildUser('requester');
+    donor = buildUser('donor');
+    request = buildRequest({ requester: requester._id, pledges: [buildPledge(donor)], unitsPledged: 1 });
+    events = [
+      loadDoc(RequestEvent, { request: request._id, type: 'created', toStatus: 'pending' }),
+      loadDoc(RequestEvent, {
+        request: request._id,
+        type: 'updated',
+        actor: requester._id,
+        changes: [
+          { field: 'units', from: 1, to: 2 },
+          { field: 'patientName', from: 'R Ghosh', to: 'Rina Ghosh' }
+        ]
+      }),
+      loadDoc(RequestEvent, { request: request._id, type: 'pledged', details: { donor: donor._id, units: 1 } })
+    ];
+    mock.method(Request, 'findById', () => fakeQuery(request));
+    mock.method(User, 'findById', () => fakeQuery(requester));
+    mock.method(RequestEvent, 'find', () => fakeQuery(events));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const timelineFor = (user) => call(getRequestTimeline, makeReq({
+    user: { id: user._id, role: user.role, roles: user.roles, credentialStatus: user.getCredentialStatus() },
+    params: { id: request._id.toString() }
+  }));
+
+  it('records who changed which fields on an update', async () => {
+    const { status } = await call(updateRequest, makeReq({
+      user: { id: requester._id.toString(), role: 'requester', roles: ['requester'] },
+      params: { id: request._id.toString() },
+      body: { units: 3, purpose: 'Surgery', patientAge: 55 }
+    }));
+
+    assert.equal(status, 200);
+    const event = saved.find(doc => doc instanceof RequestEvent);
+    assert.equal(event.type, 'updated');
+    assert.equal(event.actor.toString(), requester._id.toString());
+    assert.deepEqual(event.changes.map(change => change.toObject()), [
+      { field: 'units', from: 2, to: 3 },
+      { field: 'patientAge', from: 54, to: 55 }
+    ]);
+  });
+
+  it('refuses to edit or delete recorded events', async () => {
+    await assert.rejects(RequestEvent.deleteMany({ request: request._id }), /append-only/);
+  });
+
+  it('shows the requester every event in order', async () => {
+    const { status, body } = await timelineFor(requester);
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.map(event => event.type), ['created', 'updated', 'pledged']);
+    assert.equal(body.data[1].changes.length, 2);
+  });
+
+  it('shows donors with an active pledge, but not ones whose pledge was released', async () => {
+    assert.equal((await timelineFor(donor)).status, 200);
+
+    request.pledges[0].status = 'released';
+    assert.equal((await timelineFor(donor)).status, 403);
+  });
+
+  it('shows doctors only once their credentials are approved', async () => {
+    const doctor = buildUser('doctor');
+    assert.equal((await timelineFor(doctor)).status, 200);
+
+    doctor.getCredential('doctor').status = 'pending';
+    assert.equal((await timelineFor(doctor)).status, 403);
+  });
+
+  it('refuses anyone else', async () => {
+    const { status } = await timelineFor(buildUser('donor'));
+
+    assert.equal(status, 403);
+  });
+
+  it('keeps only summary changes, without details, for viewers without the full request', () => {
+    const stranger = buildUser('donor');
+
+    const visible = redactRequestEvents(events, request, { id: stranger._id, role: 'donor' });
+
+    assert.deepEqual(visible[1].changes, [{ field: 'units', from: 1, to: 2 }]);
+    assert.equal(visible[2].details, undefined);
+  });
+});
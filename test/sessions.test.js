@@ -0,0 +1,123 @@
+import { fakeQuery, loadDoc, stubSettings, makeReq, call } from './helpers.js';
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { getSessions, revokeUserSession, revokeAllSessions } from '../controllers/sessionController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { generateToken } from '../utils/tokenUtils.js';
+import { buildUser } from './fixtures.js';
+
+const DAY_MS = 24 * 3600000;
+
+describe('session management', () => {
+  let user;
+  let current;
+  let other;
+  let sessionUpdates;
+  let refreshRevocations;
+  let accessRevocations;
+
+  const buildSession = (fields = {}) => loadDoc(Session, {
+    user: user._id,
+    deviceName: 'Chrome on Android',
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + DAY_MS),
+    ...fields
+  });
+
+  beforeEach(() => {
+    stubSettings();
+    user = buildUser('donor');
+    current = buildSession();
+    other = buildSession({ deviceName: 'Firefox on Windows' });
+    sessionUpdates = mock.method(Session, 'updateOne', async () => ({ modifiedCount: 1 }));
+    refreshRevocations = mock.method(RefreshToken, 'updateMany', async () => ({ modifiedCount: 1 }));
+    accessRevocations = mock.method(RevokedToken, 'updateOne', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const asUser = (fields = {}) => makeReq({
+    user: { id: user._id, role: 'donor', roles: ['donor'] },
+    tokenPayload: {
+      jti: 'jti-1',
+      sid: current._id.toString(),
+      exp: Math.floor(Date.now() / 1000) + 60
+    },
+    ...fields
+  });
+
+  it('lists active sessions and flags the current one', async () => {
+    const find = mock.method(Session, 'find', () => fakeQuery([current, other]));
+
+    const { status, body } = await call(getSessions, asUser());
+
+    assert.equal(status, 200);
+    assert.equal(find.mock.calls[0].arguments[0].revokedAt, null);
+    assert.deepEqual(body.data.map(session => session.isCurrent), [true, false]);
+  });
+
+  it('ends another session and its refresh tokens', async () => {
+    mock.method(Session, 'findById', () => fakeQuery(other));
+
+    const { status, body } = await call(revokeUserSession, asUser({ params: { id: other._id.toString() } }));
+
+    assert.equal(status, 200);
+    assert.equal(body.message, 'Session ended successfully');
+    assert.equal(sessionUpdates.mock.calls[0].arguments[0]._id, other._id.toString());
+    assert.equal(refreshRevocations.mock.calls[0].arguments[0].family, other._id.toString());
+    assert.equal(accessRevocations.mock.callCount(), 0);
+  });
+
+  it('also revokes the access token when ending the current session', async () => {
+    mock.method(Session, 'findById', () => fakeQuery(current));
+
+    const { status } = await call(revokeUserSession, asUser({ params: { id: current._id.toString() } }));
+
+    assert.equal(status, 200);
+    assert.equal(accessRevocations.mock.calls[0].arguments[0].jti, 'jti-1');
+  });
+
+  it("hides other users' sessions", async () => {
+    const stranger = buildSession({ user: buildUser('donor')._id });
+    mock.method(Session, 'findById', () => fakeQuery(stranger));
+
+    const { status } = await call(revokeUserSession, asUser({ params: { id: stranger._id.toString() } }));
+
+    assert.equal(status, 404);
+    assert.equal(sessionUpdates.mock.callCount(), 0);
+  });
+
+  it('refuses to end a session twice', async () => {
+    other.revokedAt = new Date();
+    mock.method(Session, 'findById', () => fakeQuery(other));
+
+    const { status } = await call(revokeUserSession, asUser({ params: { id: other._id.toString() } }));
+
+    assert.equal(status, 400);
+  });
+
+  it('logs out everywhere by invalidating every token issued so far', async () => {
+    const userUpdates = mock.method(User, 'updateOne', async () => ({}));
+    mock.method(Session, 'updateMany', async () => ({}));
+
+    const { status } = await call(revokeAllSessions, asUser());
+
+    assert.equal(status, 200);
+    assert.deepEqual(userUpdates.mock.calls[0].arguments[1], { $inc: { tokenVersion: 1 } });
+    assert.equal(refreshRevocations.mock.calls[0].arguments[0].user, user._id);
+
+    // An access token minted before the bump is now refused
+    user.tokenVersion = 1;
+    mock.method(RevokedToken, 'exists', async () => null);
+    mock.method(User, 'findById', () => fakeQuery(user));
+    const token = generateToken(user._id, 'donor', '15m', 'auth', { jti: 'jti-2', tv: 0 });
+
+    const result = await call(protect, makeReq({ headers: { authorization: `Bearer ${token}` } }));
+    assert.equal(result.status, 401);
+    assert.match(result.body.message, /session has been revoked/);
+  });
+});
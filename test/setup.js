@@ -0,0 +1,13 @@
+// Environment for the test suite. Loaded before any application module.
+import mongoose from 'mongoose';
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.SMS_PROVIDER = 'test';
+// Identity provider served by the OIDC tests
+process.env.OIDC_PROVIDERS = JSON.stringify([
+  { name: 'test', issuer: 'https://idp.test', clientId: 'bloodlink-test', clientSecret: 'secret' }
+]);
+
+// No database in tests - any query that isn't stubbed fails straight away
+mongoose.set('bufferCommands', false);
@@ -0,0 +1,157 @@
+import { fakeQuery, stubSaves, stubSettings, makeReq, call } from './helpers.js';
+import { describe, it, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import bcrypt from 'bcrypt';
+import User from '../models/User.js';
+import RevokedToken from '../models/RevokedToken.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import { login, verifyTwoFactorLogin } from '../controllers/authController.js';
+import { setupTwoFactor, enableTwoFactor, disableTwoFactor } from '../controllers/twoFactorController.js';
+import { protect } from '../middleware/authMiddleware.js';
+import { generateTotpSecret, generateTotp, getTotpStep } from '../utils/totp.js';
+import { generateToken, hashToken, verifyToken } from '../utils/tokenUtils.js';
+import { buildUser } from './fixtures.js';
+
+const PASSWORD = 'Blood!Link-2024';
+
+describe('two-factor authentication', () => {
+  let passwordHash;
+  let user;
+  let secret;
+
+  before(async () => {
+    passwordHash = await bcrypt.hash(PASSWORD, 4);
+  });
+
+  beforeEach(() => {
+    stubSaves();
+    stubSettings();
+    secret = generateTotpSecret();
+    user = buildUser('doctor', {
+      password: passwordHash,
+      twoFactor: { enabled: true, secret, lastUsedStep: getTotpStep() - 5, recoveryCodes: [hashToken('abcde-12345')] }
+    });
+    mock.method(User, 'findOne', () => fakeQuery(user));
+    mock.method(User, 'findById', () => fakeQuery(user));
+    mock.method(User, 'updateOne', async () => ({}));
+    mock.method(User, 'findOneAndUpdate', () => fakeQuery({ failedLoginAttempts: 1, lockoutCount: 0 }));
+    mock.method(Session, 'updateOne', async () => ({}));
+    mock.method(RefreshToken, 'updateMany', async () => ({}));
+    mock.method(RevokedToken, 'updateOne', async () => ({}));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const startLogin = async () => {
+    const { body } = await call(login, makeReq({ body: { email: user.email, password: PASSWORD } }));
+    return body.data.twoFactorToken;
+  };
+
+  it('asks for a code instead of issuing tokens when 2FA is enabled', async () => {
+    const { status, body } = await call(login, makeReq({ body: { email: user.email, password: PASSWORD } }));
+
+    assert.equal(status, 200);
+    assert.equal(body.data.requiresTwoFactor, true);
+    assert.equal(body.data.token, undefined);
+    assert.equal(verifyToken(body.data.twoFactorToken).type, '2fa');
+  });
+
+  it('completes the login with a valid code and marks the token as 2FA-verified', async () => {
+    const twoFactorToken = await startLogin();
+
+    const { status, body } = await call(verifyTwoFactorLogin, makeReq({
+      body: { twoFactorToken, code: generateTotp(secret) }
+    }));
+
+    assert.equal(status, 200);
+    assert.equal(verifyToken(body.data.token).mfa, true);
+    assert.equal(user.twoFactor.lastUsedStep, getTotpStep());
+  });
+
+  it('rejects a code that was already used', async () => {
+    const twoFactorToken = await startLogin();
+    user.twoFactor.lastUsedStep = getTotpStep();
+
+    const { status } = await call(verifyTwoFactorLogin, makeReq({
+      body: { twoFactorToken, code: generateTotp(secret) }
+    }));
+
+    assert.equal(status, 401);
+    assert.equal(User.findOneAndUpdate.mock.callCount(), 1);
+  });
+
+  it('accepts each recovery code once', async () => {
+    const twoFactorToken = await startLogin();
+    const useCode = () => call(verifyTwoFactorLogin, makeReq({
+      body: { twoFactorToken, recoveryCode: 'ABCDE-12345' }
+    }));
+
+    assert.equal((await useCode()).status, 200);
+    assert.equal(user.twoFactor.recoveryCodes.length, 0);
+    assert.equal((await useCode()).status, 401);
+  });
+
+  it('does not accept a normal access token in place of the 2FA token', async () => {
+    const twoFactorToken = generateToken(user._id, user.role);
+
+    const { status } = await call(verifyTwoFactorLogin, makeReq({
+      body: { twoFactorToken, code: generateTotp(secret) }
+    }));
+
+    assert.equal(status, 401);
+  });
+
+  it('makes users in an enforced role set up 2FA before logging in', async () => {
+    stubSettings({ 'auth.twoFactorRequiredRoles': ['doctor'] });
+    user.twoFactor = { enabled: false };
+
+    const { body } = await call(login, makeReq({ body: { email: user.email, password: PASSWORD } }));
+
+    assert.equal(body.data.twoFactorSetupRequired, true);
+    assert.equal(verifyToken(body.data.twoFactorToken).type, '2fa-setup');
+  });
+
+  it('enrolls with a confirmed code and returns recovery codes', async () => {
+    user.twoFactor = { enabled: false };
+    const req = makeReq({ user: { id: user._id }, tokenPayload: {} });
+
+    const setup = await call(setupTwoFactor, req);
+    assert.equal(setup.status, 200);
+    assert.equal(user.twoFactor.enabled, false);
+
+    const wrong = await call(enableTwoFactor, { ...req, body: { code: '000000' } });
+    assert.equal(wrong.status, 400);
+
+    const { status, body } = await call(enableTwoFactor, {
+      ...req,
+      body: { code: generateTotp(setup.body.data.secret) }
+    });
+    assert.equal(status, 200);
+    assert.equal(user.twoFactor.enabled, true);
+    assert.equal(body.data.recoveryCodes.length, 10);
+    assert.equal(verifyToken(body.data.token).mfa, true);
+  });
+
+  it('will not turn 2FA off for a role that requires it', async () => {
+    stubSettings({ 'auth.twoFactorRequiredRoles': ['doctor'] });
+
+    const { status } = await call(disableTwoFactor, makeReq({
+      user: { id: user._id },
+      body: { password: PASSWORD, code: generateTotp(secret) }
+    }));
+
+    assert.equal(status, 403);
+    assert.equal(user.twoFactor.enabled, true);
+  });
+
+  it('rejects access tokens that skipped 2FA for accounts that use it', async () => {
+    mock.method(RevokedToken, 'exists', async () => null);
+    const token = generateToken(user._id, user.role, '15m', 'auth', { jti: 'j1', mfa: false });
+
+    const { status, body } = await call(protect, makeReq({ headers: { authorization: `Bearer ${token}` } }));
+
+    assert.equal(status, 401);
+    assert.equal(body.twoFactorRequired, true);
+  });
+});
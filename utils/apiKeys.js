@@ -0,0 +1,51 @@
+import { generateRandomToken, hashToken } from './tokenUtils.js';
+
+// Prefix that makes BloodLink keys easy to recognise (e.g. in secret scanners)
+const API_KEY_PREFIX = 'blk';
+
+/**
+ * Scopes that can be granted to an API key
+ */
+export const API_KEY_SCOPES = [
+  'requests:read',
+  'requests:write',
+  'donations:read'
+];
+
+/**
+ * Endpoints that accept API keys and the scope each one needs.
+ * Anything not listed here is closed to API keys.
+ */
+const API_KEY_ROUTES = [
+  { method: 'GET', path: /^\/api\/requests$/, scope: 'requests:read' },
+  { method: 'GET', path: /^\/api\/requests\/[^/]+$/, scope: 'requests:read' },
+  { method: 'POST', path: /^\/api\/requests$/, scope: 'requests:write' },
+  { method: 'PUT', path: /^\/api\/requests\/[^/]+$/, scope: 'requests:write' },
+  { method: 'PUT', path: /^\/api\/requests\/[^/]+\/cancel$/, scope: 'requests:write' },
+  { method: 'PUT', path: /^\/api\/requests\/[^/]+\/renew$/, scope: 'requests:write' },
+  { method: 'GET', path: /^\/api\/requesters\/donation-status\/[^/]+$/, scope: 'donations:read' },
+  { method: 'GET', path: /^\/api\/doctors\/pending-verifications$/, scope: 'donations:read' },
+  { method: 'GET', path: /^\/api\/doctors\/verification-history$/, scope: 'donations:read' }
+];
+
+/**
+ * Generate a new API key
+ * @returns {object} {key, prefix, keyHash} - key is only ever shown once
+ */
+export const generateApiKey = () => {
+  const secret = generateRandomToken(32);
+  const prefix = secret.slice(0, 8);
+  const key = `${API_KEY_PREFIX}_${secret}`;
+  return { key, prefix, keyHash: hashToken(key) };
+};
+
+/**
+ * Find the scope an API key needs for a request
+ * @param {object} req - Express request
+ * @returns {string|null} Required scope, or null if API keys are not accepted
+ */
+export const getRequiredScope = (req) => {
+  const path = `${req.baseUrl}${req.path}`.replace(/\/+$/, '');
+  const route = API_KEY_ROUTES.find(r => r.method === req.method && r.path.test(path));
+  return route ? route.scope : null;
+};
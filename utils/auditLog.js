@@ -0,0 +1,34 @@
+import AuditLog from '../models/AuditLog.js';
+
+/**
+ * Write an audit log entry. Failures are logged but never break the request.
+ * @param {object} entry - {action, actor, subject, impersonationId, method, path, statusCode, ip, userAgent, details}
+ */
+export const recordAudit = async (entry) => {
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
+
+/**
+ * Record an impersonated request once the response has been sent
+ * @param {object} req - Express request (with req.impersonation set)
+ * @param {object} res - Express response
+ */
+export const auditImpersonatedRequest = (req, res) => {
+  res.on('finish', () => {
+    recordAudit({
+      action: 'impersonation.request',
+      actor: req.impersonation.adminId,
+      subject: req.user.id,
+      impersonationId: req.impersonation.id,
+      method: req.method,
+      path: req.originalUrl,
+      statusCode: res.statusCode,
+      ip: req.ip,
+      userAgent: req.headers['user-agent']
+    });
+  });
+};
@@ -0,0 +1,78 @@
+import dotenv from 'dotenv';
+import { generateToken, hashToken } from './tokenUtils.js';
+import { sendEmail } from './notify.js';
+
+dotenv.config();
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+const EMAIL_VERIFICATION_EXPIRES_IN = '24h';
+const PASSWORD_RESET_EXPIRES_IN = '1h';
+
+/**
+ * Wrap email body HTML in the standard BloodLink layout
+ * @param {string} title
+ * @param {string} body - Inner HTML
+ * @param {object} action - {url, label} for the call-to-action button (optional)
+ * @returns {string}
+ */
+const buildEmailHtml = (title, body, action) => `
+    <div style="font-family: Arial, sans-serif; max-width: 600px;">
+      <h2 style="color: #d9534f;">${title}</h2>
+      ${body}
+      ${action ? `<p><a href="${action.url}" style="background:#d9534f;color:white;padding:10px 15px;text-decoration:none;border-radius:4px;">${action.label}</a></p>` : ''}
+      <hr>
+      <p style="font-size:12px;color:#777;">BloodLink - Connecting donors and patients in need</p>
+    </div>
+  `;
+
+/**
+ * Issue a single-use email verification token and email the link to the user
+ * @param {object} user - User document
+ */
+export const sendVerificationEmail = async (user) => {
+  const verificationToken = generateToken(user._id, user.role, EMAIL_VERIFICATION_EXPIRES_IN, 'verify-email');
+
+  // Only the most recently issued token is accepted
+  user.emailVerificationToken = verificationToken;
+  user.emailVerificationExpires = Date.now() + 24 * 3600000; // 24 hours
+  await user.save();
+
+  const verifyUrl = `${CLIENT_URL}/verify-email/${verificationToken}`;
+  const emailText = `Hello ${user.name},\n\nPlease verify your email address by opening the link below:\n\n${verifyUrl}\n\nThis link expires in 24 hours.`;
+  const emailHtml = buildEmailHtml(
+    'Verify your email',
+    `<p>Hello ${user.name}, please confirm your email address to start using BloodLink.</p>
+      <p style="font-size:12px;color:#777;">This link expires in 24 hours.</p>`,
+    { url: verifyUrl, label: 'Verify Email' }
+  );
+
+  return sendEmail(user.email, 'BloodLink: Verify your email', emailText, emailHtml);
+};
+
+/**
+ * Issue a password reset token and email the reset link to the user
+ * @param {object} user - User document
+ * @param {object} options - {forcedByAdmin} (optional)
+ */
+export const sendPasswordResetEmail = async (user, { forcedByAdmin = false } = {}) => {
+  const resetToken = generateToken(user._id, user.role, PASSWORD_RESET_EXPIRES_IN, 'reset');
+
+  // Only a hash is stored, so the token cannot be read back from the account
+  user.resetPasswordToken = hashToken(resetToken);
+  user.resetPasswordExpires = Date.now() + 3600000; // 1 hour
+  await user.save();
+
+  const resetUrl = `${CLIENT_URL}/reset-password/${resetToken}`;
+  const intro = forcedByAdmin
+    ? 'An administrator has required you to set a new password before you can log in again.'
+    : 'We received a request to reset your password.';
+  const emailText = `Hello ${user.name},\n\n${intro} Open the link below to choose a new password:\n\n${resetUrl}\n\nThis link expires in 1 hour.`;
+  const emailHtml = buildEmailHtml(
+    'Reset your password',
+    `<p>Hello ${user.name}, ${intro}</p>
+      <p style="font-size:12px;color:#777;">This link expires in 1 hour.</p>`,
+    { url: resetUrl, label: 'Reset Password' }
+  );
+
+  return sendEmail(user.email, 'BloodLink: Reset your password', emailText, emailHtml);
+};
@@ -0,0 +1,183 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+import Session from '../models/Session.js';
+import RefreshToken from '../models/RefreshToken.js';
+import RevokedToken from '../models/RevokedToken.js';
+import { generateToken, generateRandomToken, hashToken } from './tokenUtils.js';
+import { getDeviceFingerprint, describeUserAgent } from './loginSecurity.js';
+
+dotenv.config();
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+/**
+ * Start a new session for a login
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {boolean} mfa - Whether the login passed two-factor authentication
+ * @returns {object} Session document
+ */
+const createSession = async (user, req, mfa) => {
+  const userAgent = req?.headers?.['user-agent'] || 'unknown';
+  return Session.create({
+    user: user._id,
+    userAgent,
+    deviceName: describeUserAgent(userAgent),
+    device: req ? getDeviceFingerprint(req) : undefined,
+    ip: req?.ip,
+    lastIp: req?.ip,
+    mfa,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 3600000)
+  });
+};
+
+/**
+ * Issue an access token and a rotating refresh token for a user.
+ * Starts a new session unless an existing session ID is given.
+ * @param {object} user - User document
+ * @param {object} req - Express request (for IP and user agent)
+ * @param {object} options - {sessionId, mfa} (optional)
+ * @param {string} options.sessionId - Session to continue (refresh token rotation)
+ * @param {boolean} options.mfa - Whether the login passed two-factor authentication
+ * @returns {object} {token, refreshToken, refreshTokenExpiresAt, sessionId}
+ */
+export const issueAuthTokens = async (user, req, { sessionId = null, mfa = false } = {}) => {
+  if (!sessionId) {
+    const session = await createSession(user, req, mfa);
+    sessionId = session._id.toString();
+  }
+
+  const token = generateToken(user._id, user.role, undefined, 'auth', {
+    roles: user.getRoles(),
+    jti: crypto.randomUUID(),
+    tv: user.tokenVersion || 0,
+    sid: sessionId,
+    mfa
+  });
+
+  const refreshToken = generateRandomToken();
+  const refreshTokenExpiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 3600000);
+
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    family: sessionId,
+    mfa,
+    expiresAt: refreshTokenExpiresAt,
+    createdByIp: req?.ip,
+    userAgent: req?.headers?.['user-agent']
+  });
+
+  return { token, refreshToken, refreshTokenExpiresAt, sessionId };
+};
+
+/**
+ * Exchange a refresh token for a new token pair, revoking the old one.
+ * Reusing an already rotated token revokes the whole session.
+ * @param {string} rawToken - Refresh token presented by the client
+ * @param {object} req - Express request
+ * @returns {object|null} {user, token, refreshToken, refreshTokenExpiresAt, sessionId}
+ */
+export const rotateRefreshToken = async (rawToken, req) => {
+  const tokenHash = hashToken(rawToken);
+
+  // Claim the token in a single write so two refreshes with it can't both succeed
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+    if (existing?.revokedAt) {
+      // A rotated token came back (or lost a race with itself) - assume it was stolen
+      await revokeSession(existing.family, 'reuse-detected');
+    }
+    return null;
+  }
+
+  const session = await Session.findById(stored.family);
+  if (!session || !session.isActive) {
+    await revokeSession(stored.family, 'session-ended');
+    return null;
+  }
+
+  const user = await User.findById(stored.user);
+  if (!user || !user.isActive) {
+    await revokeSession(stored.family, 'account-inactive');
+    return null;
+  }
+
+  const issued = await issueAuthTokens(user, req, { sessionId: stored.family, mfa: stored.mfa });
+
+  await RefreshToken.updateOne(
+    { _id: stored._id },
+    { replacedByHash: hashToken(issued.refreshToken) }
+  );
+
+  // Keep the session alive as long as its refresh token
+  session.lastSeenAt = new Date();
+  session.lastIp = req?.ip;
+  session.expiresAt = issued.refreshTokenExpiresAt;
+  await session.save();
+
+  return { user, ...issued };
+};
+
+/**
+ * Add an access token to the revocation list
+ * @param {object} decoded - Decoded JWT payload
+ * @param {string} reason
+ */
+export const revokeAccessToken = async (decoded, reason = 'logout') => {
+  if (!decoded || !decoded.jti) return;
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    {
+      jti: decoded.jti,
+      user: decoded.id,
+      reason,
+      expiresAt: new Date(decoded.exp * 1000)
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * End a session and revoke every refresh token issued within it
+ * @param {string} sessionId
+ * @param {string} reason
+ */
+export const revokeSession = async (sessionId, reason = 'logout') => {
+  if (!sessionId) return;
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await RefreshToken.updateMany(
+    { family: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+/**
+ * Invalidate every outstanding session, access and refresh token for a user
+ * (password reset, deactivation, log out everywhere)
+ * @param {string} userId
+ * @param {string} reason
+ */
+export const revokeAllUserTokens = async (userId, reason = 'revoked') => {
+  // Bumping the version makes every access token issued so far fail in protect
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
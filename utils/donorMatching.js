@@ -0,0 +1,196 @@
+import User from '../models/User.js';
+import Request from '../models/Request.js';
+import Notification from '../models/Notification.js';
+import { findNearbyDonors, calculateDistance, getCompatibleDonorGroups } from './geoUtils.js';
+import { notifyUser } from './notify.js';
+import { socketStore } from './socketStore.js';
+import { recordRequestEvent } from './requestEvents.js';
+
+// Outer search area - donors further away than this are never alerted
+const MATCH_MAX_RADIUS_KM = parseInt(process.env.MATCH_MAX_RADIUS_KM) || 50;
+// Most donors alerted in one go, nearest first
+const MATCH_ALERT_LIMIT = parseInt(process.env.MATCH_ALERT_LIMIT) || 50;
+// Used when a donor has not set their own radius
+const DEFAULT_DONOR_RADIUS_KM = 10;
+
+/**
+ * Find donors who could give blood for a request, nearest first
+ * @param {object} request - Request document
+ * @param {object} options
+ * @param {number} options.radiusKm - Search radius (default MATCH_MAX_RADIUS_KM)
+ * @param {Array} options.bloodGroups - Donor blood groups to include (default all compatible groups)
+ * @param {boolean} options.respectDonorRadius - Skip donors further away than their own preferences.radius
+ * @param {Array} options.excludeDonorIds - Donors to leave out
+ * @param {number} options.limit - Maximum number of donors
+ * @returns {Array} [{donor, distanceKm}]
+ */
+export const findMatchingDonors = async (request, {
+  radiusKm = MATCH_MAX_RADIUS_KM,
+  bloodGroups = getCompatibleDonorGroups(request.bloodGroup),
+  respectDonorRadius = true,
+  excludeDonorIds = [],
+  limit = MATCH_ALERT_LIMIT
+} = {}) => {
+  const coordinates = request.location?.coordinates;
+  const donors = await findNearbyDonors(coordinates, bloodGroups, radiusKm, User);
+
+  const excluded = new Set([
+    request.requester._id?.toString() || request.requester.toString(),
+    ...excludeDonorIds.map(id => id.toString())
+  ]);
+
+  const matches = [];
+  for (const donor of donors) {
+    if (excluded.has(donor._id.toString())) continue;
+    // Accounts waiting to be deleted have opted out
+    if (donor.deletion?.scheduledFor) continue;
+    if (!donor.isEligibleToDonate()) continue;
+
+    const distanceKm = calculateDistance(coordinates, donor.location?.coordinates);
+    const donorRadius = donor.preferences?.radius || DEFAULT_DONOR_RADIUS_KM;
+    if (respectDonorRadius && distanceKm > donorRadius) continue;
+
+    matches.push({ donor, distanceKm: Math.round(distanceKm * 10) / 10 });
+    if (matches.length >= limit) break;
+  }
+
+  return matches;
+};
+
+/**
+ * Tell matching donors about a request by notification and the socket
+ * `new-request` event, and record who was alerted. Donors already alerted
+ * since the request was opened (or last renewed) are skipped.
+ * @param {object} request - Request document
+ * @param {object} options - Passed to findMatchingDonors, plus:
+ * @param {object} options.details - Extra context for the timeline event
+ * @returns {Array} [{donor, distanceKm}] for the donors alerted
+ */
+export const alertMatchingDonors = async (request, { details, ...options } = {}) => {
+  const openedAt = request.escalation?.startedAt || 0;
+  const alreadyAlerted = (request.donorAlerts || [])
+    .filter(alert => alert.alertedAt >= openedAt)
+    .map(alert => alert.donor);
+  const matches = await findMatchingDonors(request, {
+    ...options,
+    excludeDonorIds: [...alreadyAlerted, ...(options.excludeDonorIds || [])]
+  });
+
+  if (matches.length === 0) {
+    return matches;
+  }
+
+  const io = socketStore.getServer();
+  // Donors only see a summary until they accept
+  const summary = {
+    requestId: request._id,
+    bloodGroup: request.bloodGroup,
+    units: request.units,
+    urgency: request.urgency,
+    needByDate: request.needByDate,
+    address: request.address,
+    isEndorsed: !!request.isEndorsed
+  };
+  const titlePrefix = request.isEndorsed ? 'Hospital-confirmed: ' : '';
+
+  for (const { donor, distanceKm } of matches) {
+    try {
+      await notifyUser(donor, {
+        title: `${request.urgency === 'critical' ? 'Urgent: ' : ''}${titlePrefix}${request.bloodGroup} blood needed near you`,
+        message: `Someone ${distanceKm} km away needs ${request.units} unit(s) of ${request.bloodGroup} blood by ${new Date(request.needByDate).toDateString()}.`,
+        type: 'request',
+        actionUrl: `/requests/${request._id}`,
+        details: { ...summary, distanceKm }
+      }, Notification, io);
+
+      if (io) {
+        io.to(`user:${donor._id}`).emit('new-request', { ...summary, distanceKm });
+      }
+    } catch (error) {
+      // One donor's email failing must not stop the others being alerted
+      console.error(`Error alerting donor ${donor._id} for request ${request._id}:`, error);
+    }
+  }
+
+  const alertedAt = new Date();
+  await Request.updateOne(
+    { _id: request._id },
+    {
+      $push: {
+        donorAlerts: {
+          $each: matches.map(({ donor, distanceKm }) => ({ donor: donor._id, distanceKm, alertedAt }))
+        }
+      },
+      lastAlertedAt: alertedAt
+    }
+  );
+
+  await recordRequestEvent(request, 'donors-alerted', {
+    details: {
+      count: matches.length,
+      radiusKm: options.radiusKm || MATCH_MAX_RADIUS_KM,
+      ...details
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * Offer a request directly to the best-ranked donor who hasn't already pledged
+ * to it or been offered it, e.g. after another donor withdrew or timed out
+ * @param {object} request - Request document
+ * @returns {object|null} {donor, distanceKm} for the donor offered the request
+ */
+export const offerToNextDonor = async (request) => {
+  const excludeDonorIds = [
+    ...request.pledges.map(pledge => pledge.donor),
+    ...(request.donorAlerts || [])
+      .filter(alert => alert.kind === 'offer')
+      .map(alert => alert.donor)
+  ];
+  const [match] = await findMatchingDonors(request, { excludeDonorIds, limit: 1 });
+
+  if (!match) {
+    return null;
+  }
+
+  const { donor, distanceKm } = match;
+  const io = socketStore.getServer();
+  const summary = {
+    requestId: request._id,
+    bloodGroup: request.bloodGroup,
+    units: request.units,
+    unitsNeeded: request.unitsRemaining,
+    urgency: request.urgency,
+    needByDate: request.needByDate,
+    address: request.address,
+    isEndorsed: !!request.isEndorsed,
+    distanceKm,
+    offered: true
+  };
+
+  await notifyUser(donor, {
+    title: `Can you help? ${request.bloodGroup} blood still needed`,
+    message: `A donor for a request ${distanceKm} km away can no longer make it. ${request.unitsRemaining} unit(s) of ${request.bloodGroup} are needed by ${new Date(request.needByDate).toDateString()}.`,
+    type: 'request',
+    actionUrl: `/requests/${request._id}`,
+    details: summary
+  }, Notification, io);
+
+  if (io) {
+    io.to(`user:${donor._id}`).emit('new-request', summary);
+  }
+
+  await Request.updateOne(
+    { _id: request._id },
+    {
+      $push: { donorAlerts: { donor: donor._id, distanceKm, kind: 'offer', alertedAt: new Date() } },
+      lastAlertedAt: new Date()
+    }
+  );
+
+  await recordRequestEvent(request, 'offered', { details: { donor: donor._id, distanceKm } });
+
+  return match;
+};
@@ -0,0 +1,72 @@
+import Request from '../models/Request.js';
+import Setting from '../models/Setting.js';
+
+// Requests for hospitals this close together count as the same place
+const DUPLICATE_RADIUS_KM = parseInt(process.env.DUPLICATE_REQUEST_RADIUS_KM) || 2;
+// Need-by dates this close together count as the same need
+const DUPLICATE_WINDOW_HOURS = parseInt(process.env.DUPLICATE_REQUEST_WINDOW_HOURS) || 72;
+const EARTH_RADIUS_KM = 6378.1;
+
+const OPEN_STATUSES = ['pending', 'matched'];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find open requests a new request probably duplicates: same blood group,
+ * same requester or patient, close to the same hospital, and needed around
+ * the same time
+ * @param {object} fields - {bloodGroup, patientName, location, needByDate}
+ * @param {string} requesterId - User creating the request
+ * @returns {Promise<Array>} Matching requests, newest first
+ */
+export const findDuplicateRequests = async ({ bloodGroup, patientName, location, needByDate }, requesterId) => {
+  const coordinates = location?.coordinates;
+  const needBy = new Date(needByDate);
+  if (!coordinates || coordinates.length !== 2 || isNaN(needBy.getTime())) {
+    return [];
+  }
+
+  const windowMs = DUPLICATE_WINDOW_HOURS * 3600000;
+  const samePerson = [{ requester: requesterId }];
+  if (patientName && patientName.trim()) {
+    samePerson.push({ patientName: new RegExp(`^\\s*${escapeRegExp(patientName.trim())}\\s*$`, 'i') });
+  }
+
+  return Request.find({
+    status: { $in: OPEN_STATUSES },
+    bloodGroup,
+    $or: samePerson,
+    needByDate: {
+      $gte: new Date(needBy.getTime() - windowMs),
+      $lte: new Date(needBy.getTime() + windowMs)
+    },
+    location: {
+      $geoWithin: {
+        $centerSphere: [coordinates, DUPLICATE_RADIUS_KM / EARTH_RADIUS_KM]
+      }
+    }
+  })
+    .select('bloodGroup units status needByDate address createdAt')
+    .sort({ createdAt: -1 })
+    .limit(5);
+};
+
+/**
+ * Get how many open requests a requester may have
+ * @param {object} user - User document
+ * @returns {Promise<number>}
+ */
+export const getOpenRequestLimit = async (user) => {
+  if (Number.isInteger(user.openRequestLimit?.limit)) {
+    return user.openRequestLimit.limit;
+  }
+  return Setting.getValue('requests.maxOpenPerRequester');
+};
+
+/**
+ * Count a requester's pending and matched requests
+ * @param {string} requesterId
+ * @returns {Promise<number>}
+ */
+export const countOpenRequests = (requesterId) =>
+  Request.countDocuments({ requester: requesterId, status: { $in: OPEN_STATUSES } });
@@ -45,9 +45,9 @@ export const buildNearbyQuery = (coordinates, radius = 10) => {
 };
 
 /**
- * Find donors within radius of a location and matching blood group
+ * Find donors within radius of a location and matching blood group, nearest first
  * @param {Array} coordinates - [longitude, latitude]
- * @param {string} bloodGroup
+ * @param {string|Array} bloodGroup - A blood group or a list of acceptable groups
  * @param {number} radius
  * @param {Model} User - Mongoose User model
  */
@@ -56,10 +56,10 @@ export const findNearbyDonors = async (coordinates, bloodGroup, radius, User) =>
     const geoQuery = buildNearbyQuery(coordinates, radius);
     const donors = await User.find({
       ...geoQuery,
-      role: 'donor',
+      roles: 'donor',
       isAvailable: true,
       isActive: true,
-      bloodGroup
+      bloodGroup: Array.isArray(bloodGroup) ? { $in: bloodGroup } : bloodGroup
     }).select('-password');
     return donors;
   } catch (error) {
@@ -86,4 +86,14 @@ export const isBloodCompatible = (donorBloodGroup, requesterBloodGroup) => {
     'AB+': ['AB+']
   };
   return compatibility[donorBloodGroup]?.includes(requesterBloodGroup) || false;
+};
+
+/**
+ * Get the donor blood groups a patient can receive
+ * @param {string} recipientBloodGroup
+ * @returns {Array}
+ */
+export const getCompatibleDonorGroups = (recipientBloodGroup) => {
+  const bloodGroups = ['O-', 'O+', 'A-', 'A+', 'B-', 'B+', 'AB-', 'AB+'];
+  return bloodGroups.filter(group => isBloodCompatible(group, recipientBloodGroup));
 };
\ No newline at end of file
@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.MAX_FAILED_LOGIN_ATTEMPTS) || 5;
+const BASE_LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const LOGIN_HISTORY_LIMIT = 50;
+const KNOWN_DEVICES_LIMIT = 20;
+
+/**
+ * Identify the device behind a request. Clients may send a stable
+ * X-Device-Id header; otherwise the user agent is used.
+ * @param {object} req - Express request
+ * @returns {string} Device fingerprint
+ */
+export const getDeviceFingerprint = (req) => {
+  const deviceId = req.headers['x-device-id'] || '';
+  const userAgent = req.headers['user-agent'] || 'unknown';
+  return crypto.createHash('sha256').update(`${deviceId}|${userAgent}`).digest('hex');
+};
+
+/**
+ * Describe a user agent in a few words, e.g. "Chrome on Android"
+ * @param {string} userAgent
+ * @returns {string}
+ */
+export const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ];
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent))?.[0];
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  if (browser && platform) return `${browser} on ${platform}`;
+  return browser || platform || 'Unknown device';
+};
+
+/**
+ * Build a login history entry for a request
+ * @param {object} req - Express request
+ * @param {boolean} success
+ * @param {string} reason - Failure reason (optional)
+ * @returns {object}
+ */
+const buildLoginEvent = (req, success, reason) => ({
+  ip: req.ip,
+  userAgent: req.headers['user-agent'] || 'unknown',
+  device: getDeviceFingerprint(req),
+  success,
+  reason,
+  at: new Date()
+});
+
+/**
+ * Check if an account is currently locked
+ * @param {object} user - User document
+ * @returns {boolean}
+ */
+export const isAccountLocked = (user) => {
+  return !!user.lockUntil && user.lockUntil > new Date();
+};
+
+/**
+ * Record a failed login attempt and lock the account once the threshold is hit.
+ * Lockouts double in length each time (15 min, 30 min, 1 h ... up to 24 h).
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @param {string} reason - e.g. 'password' or '2fa'
+ * @returns {object} {locked, lockUntil, attemptsRemaining}
+ */
+export const registerFailedLogin = async (user, req, reason = 'password') => {
+  // Atomic increment so parallel attempts are all counted
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $push: { loginHistory: { $each: [buildLoginEvent(req, false, reason)], $slice: -LOGIN_HISTORY_LIMIT } }
+    },
+    { new: true }
+  );
+
+  if (updated.failedLoginAttempts < MAX_FAILED_ATTEMPTS) {
+    return {
+      locked: false,
+      lockUntil: null,
+      attemptsRemaining: MAX_FAILED_ATTEMPTS - updated.failedLoginAttempts
+    };
+  }
+
+  const lockMinutes = Math.min(
+    BASE_LOCKOUT_MINUTES * 2 ** (updated.lockoutCount || 0),
+    MAX_LOCKOUT_MINUTES
+  );
+  const lockUntil = new Date(Date.now() + lockMinutes * 60000);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil, lockoutNoticePending: true },
+      $inc: { lockoutCount: 1 }
+    }
+  );
+
+  return { locked: true, lockUntil, attemptsRemaining: 0 };
+};
+
+/**
+ * Record a successful login, reset lockout counters and remember the device
+ * @param {object} user - User document
+ * @param {object} req - Express request
+ * @returns {object} {isNewDevice, afterLockout}
+ */
+export const registerSuccessfulLogin = async (user, req) => {
+  const current = await User.findById(user._id).select('knownDevices lockoutNoticePending');
+  const fingerprint = getDeviceFingerprint(req);
+  const now = new Date();
+  const knownDevices = current?.knownDevices || [];
+  const isKnownDevice = knownDevices.some(device => device.fingerprint === fingerprint);
+
+  const update = {
+    $set: {
+      failedLoginAttempts: 0,
+      lockUntil: null,
+      lockoutCount: 0,
+      lockoutNoticePending: false
+    },
+    $push: {
+      loginHistory: { $each: [buildLoginEvent(req, true)], $slice: -LOGIN_HISTORY_LIMIT }
+    }
+  };
+
+  if (isKnownDevice) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        ...update,
+        $set: {
+          ...update.$set,
+          'knownDevices.$[device].lastSeenAt': now,
+          'knownDevices.$[device].lastIp': req.ip
+        }
+      },
+      { arrayFilters: [{ 'device.fingerprint': fingerprint }] }
+    );
+  } else {
+    update.$push.knownDevices = {
+      $each: [{
+        fingerprint,
+        userAgent: req.headers['user-agent'] || 'unknown',
+        lastIp: req.ip,
+        firstSeenAt: now,
+        lastSeenAt: now
+      }],
+      $slice: -KNOWN_DEVICES_LIMIT
+    };
+    await User.updateOne({ _id: user._id }, update);
+  }
+
+  return {
+    // The very first device on an account is not worth an alert
+    isNewDevice: !isKnownDevice && knownDevices.length > 0,
+    afterLockout: !!current?.lockoutNoticePending
+  };
+};
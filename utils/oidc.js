@@ -0,0 +1,177 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import OidcState from '../models/OidcState.js';
+import { generateRandomToken } from './tokenUtils.js';
+
+const STATE_EXPIRES_MINUTES = 10;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+// issuer -> {metadata, jwks, fetchedAt}
+const metadataCache = new Map();
+
+/**
+ * Derive the S256 PKCE challenge for a code verifier
+ * @param {string} codeVerifier
+ * @returns {string}
+ */
+export const createPkceChallenge = (codeVerifier) =>
+  crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+
+/**
+ * Fetch a JSON document, turning OAuth error responses into exceptions
+ * @param {string} url
+ * @param {object} options - fetch options (optional)
+ * @returns {Promise<object>}
+ */
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error_description || body.error || `Request to ${url} failed with status ${response.status}`);
+  }
+  return body;
+};
+
+/**
+ * Load (and cache) a provider's discovery document and signing keys
+ * @param {object} provider - Provider config
+ * @param {object} options - {refresh} to bypass the cache
+ * @returns {Promise<object>} {metadata, jwks}
+ */
+const getProviderMetadata = async (provider, { refresh = false } = {}) => {
+  const cached = metadataCache.get(provider.issuer);
+  if (cached && !refresh && Date.now() - cached.fetchedAt < METADATA_CACHE_MS) {
+    return cached;
+  }
+
+  const metadata = await fetchJson(`${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+  const jwks = await fetchJson(metadata.jwks_uri);
+
+  const entry = { metadata, jwks, fetchedAt: Date.now() };
+  metadataCache.set(provider.issuer, entry);
+  return entry;
+};
+
+/**
+ * Start an authorization code + PKCE login
+ * @param {object} provider - Provider config
+ * @returns {Promise<object>} {authorizationUrl, state}
+ */
+export const buildAuthorizationUrl = async (provider) => {
+  const { metadata } = await getProviderMetadata(provider);
+
+  const state = generateRandomToken(24);
+  const nonce = generateRandomToken(24);
+  const codeVerifier = generateRandomToken(48);
+
+  await OidcState.create({
+    state,
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    expiresAt: new Date(Date.now() + STATE_EXPIRES_MINUTES * 60000)
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: createPkceChallenge(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params}`,
+    state
+  };
+};
+
+/**
+ * Verify an ID token's signature and claims
+ * @param {object} provider - Provider config
+ * @param {string} idToken
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<object>} ID token claims
+ */
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error('Malformed ID token');
+  }
+
+  let { metadata, jwks } = await getProviderMetadata(provider);
+  let jwk = jwks.keys.find(key => key.kid === decoded.header.kid);
+
+  // The provider may have rotated its keys since they were cached
+  if (!jwk) {
+    ({ metadata, jwks } = await getProviderMetadata(provider, { refresh: true }));
+    jwk = jwks.keys.find(key => key.kid === decoded.header.kid);
+  }
+
+  if (!jwk) {
+    throw new Error('ID token is signed with an unknown key');
+  }
+
+  const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+    algorithms: ['RS256'],
+    audience: provider.clientId,
+    issuer: metadata.issuer
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error('ID token nonce does not match');
+  }
+
+  return claims;
+};
+
+/**
+ * Finish a login: check the state, exchange the code and verify the ID token
+ * @param {object} provider - Provider config
+ * @param {string} code - Authorization code from the redirect
+ * @param {string} state - State from the redirect
+ * @returns {Promise<object>} {subject, email, emailVerified, name}
+ */
+export const completeAuthorization = async (provider, code, state) => {
+  // Each state can only be used once
+  const pending = await OidcState.findOneAndDelete({
+    state,
+    provider: provider.name,
+    expiresAt: { $gt: new Date() }
+  });
+
+  if (!pending) {
+    throw new Error('Login attempt expired or is invalid. Please try again');
+  }
+
+  const { metadata } = await getProviderMetadata(provider);
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || '',
+      code_verifier: pending.codeVerifier
+    })
+  });
+
+  if (!tokens.id_token) {
+    throw new Error('Identity provider did not return an ID token');
+  }
+
+  const claims = await verifyIdToken(provider, tokens.id_token, pending.nonce);
+
+  return {
+    subject: claims.sub,
+    email: claims.email ? claims.email.toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name
+  };
+};
@@ -0,0 +1,81 @@
+import bcrypt from 'bcrypt';
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+// Number of previous passwords that cannot be reused
+const PASSWORD_HISTORY_SIZE = 5;
+
+// Passwords that meet the character rules but are guessed first
+const COMMON_PASSWORDS = [
+  'password1', 'password123', 'passw0rd', 'qwerty123', 'abc12345', 'iloveyou1',
+  'welcome1', 'welcome123', 'letmein1', 'admin123', 'bloodlink1', 'donor123'
+];
+
+/**
+ * Check a password against the strength policy
+ * @param {string} password
+ * @param {object} user - {name, email} of the account, to reject passwords built from them (optional)
+ * @returns {string|null} Error message, or null if the password is acceptable
+ */
+export const checkPasswordStrength = (password, { name, email } = {}) => {
+  if (typeof password !== 'string') {
+    return 'Password is required';
+  }
+
+  const problems = [];
+  if (password.length < PASSWORD_MIN_LENGTH) problems.push(`be at least ${PASSWORD_MIN_LENGTH} characters long`);
+  if (!/[a-z]/.test(password)) problems.push('contain a lowercase letter');
+  if (!/[A-Z]/.test(password)) problems.push('contain an uppercase letter');
+  if (!/[0-9]/.test(password)) problems.push('contain a number');
+
+  const lowerPassword = password.toLowerCase();
+  if (COMMON_PASSWORDS.includes(lowerPassword)) {
+    problems.push('not be a commonly used password');
+  }
+
+  // Parts of the user's own name or email address are easy to guess
+  const personalParts = [
+    ...(name ? name.toLowerCase().split(/\s+/) : []),
+    ...(email ? [email.toLowerCase().split('@')[0]] : [])
+  ].filter(part => part.length >= 3);
+  if (personalParts.some(part => lowerPassword.includes(part))) {
+    problems.push('not contain your name or email address');
+  }
+
+  return problems.length > 0 ? `Password must ${problems.join(', ')}` : null;
+};
+
+/**
+ * Check whether a password matches the current or a recent password.
+ * The user must be loaded with +passwordHistory.
+ * @param {object} user - User document
+ * @param {string} password - Plain text password
+ * @returns {Promise<boolean>}
+ */
+export const isPasswordReused = async (user, password) => {
+  const hashes = [user.password, ...(user.passwordHistory || [])].filter(Boolean);
+  for (const hash of hashes) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+/**
+ * Hash and set a new password, keeping the old hash in the history and
+ * clearing any outstanding reset. The user must be loaded with +passwordHistory.
+ * @param {object} user - User document (not saved)
+ * @param {string} password - Plain text password
+ */
+export const setUserPassword = async (user, password) => {
+  if (user.password) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])]
+      .slice(0, PASSWORD_HISTORY_SIZE);
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+  user.passwordChangedAt = new Date();
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpires = undefined;
+  user.passwordResetRequired = false;
+  user.updatedAt = new Date();
+};
@@ -0,0 +1,76 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import Setting, { SETTING_DEFINITIONS } from '../models/Setting.js';
+import { notifyUser } from './notify.js';
+import { recordRequestEvent } from './requestEvents.js';
+import { offerToNextDonor } from './donorMatching.js';
+
+/**
+ * Get the time by which a donor must next check in on their pledge
+ * @param {string} urgency - Urgency of the request
+ * @param {Date} from - When the clock starts (default now)
+ * @returns {Promise<Date>}
+ */
+export const getPledgeResponseDeadline = async (urgency, from = new Date()) => {
+  const responseMinutes = await Setting.getValue('requests.donorResponseMinutes');
+  const minutes = responseMinutes?.[urgency] ||
+    SETTING_DEFINITIONS['requests.donorResponseMinutes'].default[urgency];
+  return new Date(from.getTime() + minutes * 60000);
+};
+
+/**
+ * Follow up on a pledge that was just released and saved: log it, tell the
+ * requester, and offer the request to the next donor if units are missing.
+ * @param {object} request - Request document (already saved)
+ * @param {object} pledge - The released pledge
+ * @param {object} options
+ * @param {object} options.req - Express request when the donor withdrew; omit for timeouts
+ * @param {string} options.fromStatus - Request status before the release
+ * @param {string} options.reason - Reason given by the donor
+ * @param {boolean} options.offerNextDonor - Offer the request to the next donor (default true)
+ */
+export const followUpReleasedPledge = async (request, pledge, {
+  req,
+  fromStatus,
+  reason,
+  offerNextDonor = true
+} = {}) => {
+  const timedOut = pledge.releaseReason === 'timed-out';
+
+  await recordRequestEvent(request, timedOut ? 'pledge-timed-out' : 'withdrawn', {
+    req,
+    fromStatus,
+    details: { donor: pledge.donor, units: pledge.units, reason }
+  });
+
+  const requester = await User.findById(request.requester._id || request.requester);
+  if (requester) {
+    await notifyUser(requester, {
+      title: timedOut ? 'A donor did not respond in time' : 'A donor can no longer make it',
+      message: `${pledge.units} unit(s) pledged to your ${request.bloodGroup} request are no longer covered. We are looking for another donor.`,
+      type: 'match',
+      actionUrl: `/requests/${request._id}`,
+      details: {
+        requestId: request._id,
+        unitsPledged: request.unitsPledged
+      }
+    }, Notification);
+  }
+
+  if (timedOut) {
+    const donor = await User.findById(pledge.donor);
+    if (donor) {
+      await notifyUser(donor, {
+        title: 'Your pledge was released',
+        message: `We didn't hear from you in time, so your pledge to the ${request.bloodGroup} request was passed on to another donor.`,
+        type: 'request',
+        actionUrl: `/requests/${request._id}`,
+        details: { requestId: request._id }
+      }, Notification);
+    }
+  }
+
+  if (offerNextDonor && request.status === 'pending' && request.unitsRemaining > 0) {
+    await offerToNextDonor(request);
+  }
+};
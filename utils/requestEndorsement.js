@@ -0,0 +1,112 @@
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import Setting from '../models/Setting.js';
+import { notifyUser } from './notify.js';
+import { socketStore } from './socketStore.js';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Compare hospital names ignoring case and extra spaces
+const normalizeHospitalName = (name) => String(name || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Check whether a doctor works at the hospital named on a request
+ * @param {string} doctorHospitalName - Doctor's hospitalName
+ * @param {string} requestHospitalName - request.hospital.name
+ * @returns {boolean}
+ */
+export const isSameHospital = (doctorHospitalName, requestHospitalName) => {
+  const doctorHospital = normalizeHospitalName(doctorHospitalName);
+  return doctorHospital !== '' && doctorHospital === normalizeHospitalName(requestHospitalName);
+};
+
+/**
+ * Build a regular expression matching a hospital name ignoring case and extra spaces
+ * @param {string} hospitalName
+ * @returns {RegExp|null} null when the name is empty
+ */
+export const buildHospitalNamePattern = (hospitalName) => {
+  const name = String(hospitalName || '').trim().replace(/\s+/g, ' ');
+  if (!name) return null;
+
+  const pattern = name.split(' ').map(escapeRegExp).join('\\s+');
+  return new RegExp(`^\\s*${pattern}\\s*$`, 'i');
+};
+
+/**
+ * Check whether admins require a request to be endorsed before donors see it
+ * @param {object} request - Request document (or the fields for a new one)
+ * @returns {Promise<boolean>}
+ */
+export const isEndorsementRequired = async (request) =>
+  request.urgency === 'critical' && await Setting.getValue('requests.requireEndorsementForCritical');
+
+/**
+ * Check whether a request is held back from donors until a doctor endorses it
+ * @param {object} request - Request document or plain object
+ * @returns {boolean}
+ */
+export const isAwaitingEndorsement = (request) =>
+  !!request.endorsement?.required && !request.isEndorsed;
+
+/**
+ * MongoDB condition matching requests donors may be shown, i.e. not held
+ * back waiting for an endorsement
+ */
+export const NOT_AWAITING_ENDORSEMENT = {
+  $or: [{ 'endorsement.required': { $ne: true } }, { isEndorsed: true }]
+};
+
+/**
+ * Find approved doctors an admin confirmed as working at a hospital
+ * @param {string} hospitalName
+ * @returns {Promise<Array>} User documents
+ */
+export const findHospitalDoctors = (hospitalName) => {
+  const pattern = buildHospitalNamePattern(hospitalName);
+  if (!pattern) return Promise.resolve([]);
+
+  return User.find({
+    roles: 'doctor',
+    credentials: { $elemMatch: { role: 'doctor', status: 'approved', hospitalName: pattern } },
+    isActive: true,
+    'deletion.scheduledFor': null
+  });
+};
+
+/**
+ * Ask the doctors at the hospital named on a request to endorse it
+ * @param {object} request - Request document
+ * @returns {Promise<number>} Number of doctors notified
+ */
+export const requestEndorsement = async (request) => {
+  const doctors = await findHospitalDoctors(request.hospital?.name);
+  const io = socketStore.getServer();
+  const requesterId = (request.requester._id || request.requester).toString();
+
+  let notified = 0;
+  for (const doctor of doctors) {
+    // Nobody endorses their own request
+    if (doctor._id.toString() === requesterId) continue;
+
+    try {
+      await notifyUser(doctor, {
+        title: `Please confirm a ${request.urgency} blood request`,
+        message: `A request for ${request.units} unit(s) of ${request.bloodGroup} names ${request.hospital.name}. ${isAwaitingEndorsement(request) ? 'Donors will not be alerted until a doctor there confirms it is genuine.' : 'Confirming it is genuine gives it priority with donors.'}`,
+        type: 'request',
+        actionUrl: `/requests/${request._id}/endorse`,
+        details: {
+          requestId: request._id,
+          bloodGroup: request.bloodGroup,
+          urgency: request.urgency,
+          hospital: request.hospital.name
+        }
+      }, Notification, io);
+      notified += 1;
+    } catch (error) {
+      console.error(`Error asking doctor ${doctor._id} to endorse request ${request._id}:`, error);
+    }
+  }
+
+  return notified;
+};
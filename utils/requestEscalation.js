@@ -0,0 +1,194 @@
+import Request from '../models/Request.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import Setting, { SETTING_DEFINITIONS } from '../models/Setting.js';
+import { alertMatchingDonors } from './donorMatching.js';
+import { getCompatibleDonorGroups } from './geoUtils.js';
+import { notifyUser } from './notify.js';
+import { socketStore } from './socketStore.js';
+import { recordRequestEvent } from './requestEvents.js';
+
+/**
+ * Get the escalation steps for an urgency level. Urgencies missing from the
+ * admin's policy fall back to the built-in defaults.
+ * @param {string} urgency - low | medium | high | critical
+ * @returns {Promise<Array>} Steps in order
+ */
+export const getEscalationSteps = async (urgency) => {
+  const policy = await Setting.getValue('requests.escalationPolicy');
+  return policy?.[urgency] ||
+    SETTING_DEFINITIONS['requests.escalationPolicy'].default[urgency] ||
+    [];
+};
+
+/**
+ * Get the donor blood groups searched at an escalation step
+ * @param {string} bloodGroup - Blood group of the request
+ * @param {string} tier - exact | same-type | compatible
+ * @returns {Array}
+ */
+export const getEscalationBloodGroups = (bloodGroup, tier) => {
+  if (tier === 'exact') return [bloodGroup];
+
+  const compatible = getCompatibleDonorGroups(bloodGroup);
+  if (tier === 'same-type') {
+    // Same ABO type, adding the Rh-negative group where compatible (e.g. A+ also gets A-)
+    const type = bloodGroup.slice(0, -1);
+    return compatible.filter(group => group.slice(0, -1) === type);
+  }
+  return compatible;
+};
+
+/**
+ * Work out when the step after the current one is due
+ * @param {object} request - Request document
+ * @param {Array} steps - Escalation steps for the request's urgency
+ * @returns {Date|null} null when there are no steps left
+ */
+const getNextStepAt = (request, steps) => {
+  const nextStep = steps[request.escalation.level + 1];
+  if (!nextStep) return null;
+  return new Date(request.escalation.startedAt.getTime() + nextStep.afterMinutes * 60000);
+};
+
+/**
+ * Start escalating a request from the first step. Sets the fields in memory;
+ * the caller saves the request.
+ * @param {object} request - Request document
+ */
+export const resetEscalation = (request) => {
+  const now = new Date();
+  request.escalation.level = -1;
+  request.escalation.startedAt = now;
+  request.escalation.nextAt = now;
+  request.escalation.completedAt = undefined;
+};
+
+/**
+ * Stop escalating a request, e.g. while it waits for a hospital endorsement.
+ * Sets the fields in memory; the caller saves the request.
+ * @param {object} request - Request document
+ */
+export const clearEscalation = (request) => {
+  request.escalation.level = -1;
+  request.escalation.startedAt = undefined;
+  request.escalation.nextAt = undefined;
+  request.escalation.completedAt = undefined;
+};
+
+/**
+ * Recalculate when the next step is due, e.g. after the urgency changed.
+ * Sets the fields in memory; the caller saves the request.
+ * @param {object} request - Request document
+ */
+export const rescheduleEscalation = async (request) => {
+  if (!request.escalation?.startedAt) return;
+
+  const steps = await getEscalationSteps(request.urgency);
+  const nextAt = getNextStepAt(request, steps);
+  request.escalation.nextAt = nextAt;
+  request.escalation.completedAt = nextAt ? undefined : new Date();
+};
+
+/**
+ * Hand a request nobody has picked up to NGOs and admins
+ * @param {object} request - Request document
+ * @returns {number} Number of accounts notified
+ */
+const alertOrganizations = async (request) => {
+  const recipients = await User.find({
+    roles: { $in: ['ngo', 'admin'] },
+    isActive: true,
+    'deletion.scheduledFor': null
+  });
+  const io = socketStore.getServer();
+
+  let alerted = 0;
+  for (const recipient of recipients) {
+    try {
+      await notifyUser(recipient, {
+        title: `Unmatched ${request.urgency} request needs help`,
+        message: `A request for ${request.units} unit(s) of ${request.bloodGroup} at ${request.address} still has no donor after widening the search. Needed by ${new Date(request.needByDate).toDateString()}.`,
+        type: 'request',
+        actionUrl: `/requests/${request._id}`,
+        details: {
+          requestId: request._id,
+          urgency: request.urgency,
+          unitsPledged: request.unitsPledged
+        }
+      }, Notification, io);
+      alerted += 1;
+    } catch (error) {
+      console.error(`Error alerting ${recipient._id} about request ${request._id}:`, error);
+    }
+  }
+
+  return alerted;
+};
+
+/**
+ * Run the next escalation step for a pending request and log it against the request
+ * @param {object} request - Request document
+ * @returns {object|null} The logged step, or null if there was nothing to run
+ */
+export const runEscalationStep = async (request) => {
+  if (!request.escalation?.startedAt) return null;
+
+  const steps = await getEscalationSteps(request.urgency);
+  const previousLevel = request.escalation.level;
+  const level = previousLevel + 1;
+  const step = steps[level];
+
+  if (!step) {
+    await Request.updateOne(
+      { _id: request._id, 'escalation.level': previousLevel },
+      { 'escalation.nextAt': null, 'escalation.completedAt': new Date() }
+    );
+    return null;
+  }
+
+  // Claim the step so an overlapping run can't repeat it
+  request.escalation.level = level;
+  const nextAt = getNextStepAt(request, steps);
+  const claimed = await Request.updateOne(
+    { _id: request._id, status: 'pending', 'escalation.level': previousLevel },
+    {
+      'escalation.level': level,
+      'escalation.nextAt': nextAt,
+      ...(nextAt ? {} : { 'escalation.completedAt': new Date() })
+    }
+  );
+  if (claimed.modifiedCount === 0) return null;
+
+  const entry = {
+    level,
+    radiusKm: step.radiusKm,
+    notifyOrganizations: !!step.notifyOrganizations,
+    donorsAlerted: 0,
+    organizationsAlerted: 0,
+    ranAt: new Date()
+  };
+
+  if (step.notifyOrganizations) {
+    entry.organizationsAlerted = await alertOrganizations(request);
+  } else {
+    entry.bloodGroups = getEscalationBloodGroups(request.bloodGroup, step.bloodGroups);
+    const matches = await alertMatchingDonors(request, {
+      radiusKm: step.radiusKm,
+      bloodGroups: entry.bloodGroups,
+      // The first alert keeps to each donor's own radius; widening the search
+      // exists to reach donors beyond theirs (the default is only 10 km)
+      respectDonorRadius: level === 0,
+      details: { escalationLevel: level, bloodGroups: entry.bloodGroups }
+    });
+    entry.donorsAlerted = matches.length;
+  }
+
+  await Request.updateOne({ _id: request._id }, { $push: { 'escalation.steps': entry } });
+
+  await recordRequestEvent(request, 'escalated', {
+    details: { ...entry, urgency: request.urgency, nextAt }
+  });
+
+  return entry;
+};
@@ -0,0 +1,43 @@
+import RequestEvent from '../models/RequestEvent.js';
+
+/**
+ * Compare a request before and after an edit
+ * @param {object} before - Plain object of the old values
+ * @param {object} after - Request document or plain object with the new values
+ * @param {Array} fields - Fields to compare
+ * @returns {Array} [{field, from, to}] for every field that changed
+ */
+export const diffRequestFields = (before, after, fields) => {
+  return fields
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+/**
+ * Append an event to a request's timeline. Failures are logged but never
+ * break the change that was already saved.
+ * @param {object} request - Request document (after the change)
+ * @param {string} type - Event type (see REQUEST_EVENT_TYPES)
+ * @param {object} options
+ * @param {object} options.req - Express request of the user making the change; omit for background jobs
+ * @param {string} options.fromStatus - Status before the change
+ * @param {Array} options.changes - [{field, from, to}]
+ * @param {object} options.details - Any extra context
+ */
+export const recordRequestEvent = async (request, type, { req, fromStatus, changes, details } = {}) => {
+  try {
+    await RequestEvent.create({
+      request: request._id,
+      type,
+      actor: req?.user?.id || null,
+      actorRole: req?.user?.role || 'system',
+      impersonatedBy: req?.impersonation?.adminId,
+      fromStatus: fromStatus || request.status,
+      toStatus: request.status,
+      changes,
+      details
+    });
+  } catch (error) {
+    console.error('Request event error:', error);
+  }
+};
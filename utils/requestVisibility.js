@@ -0,0 +1,200 @@
+import { isAwaitingEndorsement, NOT_AWAITING_ENDORSEMENT } from './requestEndorsement.js';
+
+// Fields anyone browsing requests may see. Patient, contact and donor details are left out.
+const SUMMARY_FIELDS = [
+  '_id',
+  'bloodGroup',
+  'units',
+  'unitsPledged',
+  'unitsVerified',
+  'urgency',
+  'status',
+  'needByDate',
+  'location',
+  'address',
+  'isPublic',
+  'isEndorsed',
+  'createdAt',
+  'updatedAt',
+  'matchedAt',
+  'fulfilledAt',
+  'expiredAt',
+  'distanceKm'
+];
+
+const getId = (value) => (value?._id || value)?.toString();
+
+/**
+ * Remove what a donor seeing a request in full still must not see about the
+ * other donors: who was alerted, how to reach them and their progress notes
+ * @param {object} data - Request as a plain object
+ * @param {object} user - req.user
+ * @returns {object}
+ */
+const hideOtherDonors = (data, user) => {
+  const userId = user.id.toString();
+  // Only populated donors carry contact details
+  const isOtherDonor = (donor) => donor?.name !== undefined && getId(donor) !== userId;
+  const withoutContact = ({ email, phone, ...donor }) => donor;
+
+  const { donorAlerts, ...visible } = data;
+  if (data.pledges) {
+    visible.pledges = data.pledges.map(pledge => getId(pledge.donor) === userId ? pledge : {
+      ...pledge,
+      donor: isOtherDonor(pledge.donor) ? withoutContact(pledge.donor) : pledge.donor,
+      checkpoints: (pledge.checkpoints || []).map(({ note, ...checkpoint }) => checkpoint)
+    });
+  }
+  if (isOtherDonor(data.assignedDonor)) {
+    visible.assignedDonor = withoutContact(data.assignedDonor);
+  }
+  return visible;
+};
+
+// Donors who withdrew, timed out or were rejected no longer count
+const hasActivePledge = (request, user) => (request.pledges || []).some(pledge =>
+  getId(pledge.donor) === user.id.toString() && ['pledged', 'verified'].includes(pledge.status)
+);
+
+/**
+ * Check whether a user sees identifying patient and donor details everywhere:
+ * admins, and doctors whose credentials an admin has approved
+ * @param {object} user - req.user
+ * @returns {boolean}
+ */
+export const isPrivileged = (user) =>
+  user.role === 'admin' || (user.role === 'doctor' && user.credentialStatus === 'approved');
+
+/**
+ * Check whether a user may see everything about a request: the requester,
+ * donors whose donation was verified or whose pledge is part of a completed
+ * match, doctors with approved credentials and admins
+ * @param {object} request - Request document or plain object
+ * @param {object} user - req.user
+ * @returns {boolean}
+ */
+export const canViewFullRequest = (request, user) => {
+  if (!user) return false;
+  if (isPrivileged(user)) return true;
+
+  const userId = user.id.toString();
+  if (getId(request.requester) === userId) return true;
+
+  // A pledge alone isn't enough - the details come once the request is matched
+  const isMatched = ['matched', 'fulfilled'].includes(request.status);
+  return (request.pledges || []).some(pledge =>
+    getId(pledge.donor) === userId &&
+    (pledge.status === 'verified' || (pledge.status === 'pledged' && isMatched))
+  );
+};
+
+/**
+ * Check whether a user may read a request's history: everyone who can see
+ * the request in full, and donors with an open or verified pledge on it
+ * @param {object} request - Request document or plain object
+ * @param {object} user - req.user
+ * @returns {boolean}
+ */
+export const canViewRequestHistory = (request, user) =>
+  canViewFullRequest(request, user) || (!!user && hasActivePledge(request, user));
+
+/**
+ * Check whether a user may see a request at all. Requests marked not public,
+ * or still waiting for a required hospital endorsement, are only visible to
+ * the people who can see them in full.
+ * @param {object} request - Request document or plain object
+ * @param {object} user - req.user
+ * @returns {boolean}
+ */
+export const canViewRequest = (request, user) =>
+  (request.isPublic !== false && !isAwaitingEndorsement(request)) || canViewFullRequest(request, user);
+
+/**
+ * Build a query condition limiting a listing to requests the user may see
+ * @param {object} user - req.user
+ * @returns {object} MongoDB condition ({} when everything is visible)
+ */
+export const buildVisibleRequestsQuery = (user) => {
+  if (isPrivileged(user)) return {};
+  return {
+    $or: [
+      { isPublic: true, ...NOT_AWAITING_ENDORSEMENT },
+      { requester: user.id },
+      { pledges: { $elemMatch: { donor: user.id, status: { $in: ['pledged', 'verified'] } } } }
+    ]
+  };
+};
+
+/**
+ * Return the view of a request the user is allowed to see
+ * @param {object} request - Request document or plain object (e.g. from aggregate)
+ * @param {object} user - req.user
+ * @returns {object} Full request (for donors, without the other donors' details),
+ *   or a summary without patient and contact details
+ */
+export const redactRequest = (request, user) => {
+  const data = typeof request.toObject === 'function' ? request.toObject() : { ...request };
+
+  if (canViewFullRequest(data, user)) {
+    const isOwnerOrPrivileged = isPrivileged(user) || getId(data.requester) === user.id.toString();
+    return isOwnerOrPrivileged ? data : hideOtherDonors(data, user);
+  }
+
+  const summary = {};
+  SUMMARY_FIELDS.forEach(field => {
+    if (data[field] !== undefined) summary[field] = data[field];
+  });
+
+  // Only the hospital's name and address, not its phone
+  if (data.hospital?.name) {
+    summary.hospital = { name: data.hospital.name, address: data.hospital.address };
+  }
+
+  // Enough for the endorsed badge, without naming the doctor
+  if (data.isEndorsed && data.endorsement) {
+    summary.endorsement = {
+      hospitalName: data.endorsement.hospitalName,
+      endorsedAt: data.endorsement.endorsedAt
+    };
+  }
+
+  // First name only, so donors know who they are helping without contact details
+  if (data.requester) {
+    summary.requester = {
+      _id: data.requester._id || data.requester,
+      ...(data.requester.name ? { name: data.requester.name.split(' ')[0] } : {})
+    };
+  }
+
+  return summary;
+};
+
+/**
+ * Redact a list of requests for the current user
+ * @param {Array} requests
+ * @param {object} user - req.user
+ * @returns {Array}
+ */
+export const redactRequests = (requests, user) => requests.map(request => redactRequest(request, user));
+
+/**
+ * Return the history of a request as the user is allowed to see it. For
+ * viewers without the full request, only changes to summary fields are kept
+ * and event details (donors, notes, reasons) are left out.
+ * @param {Array} events - RequestEvent documents
+ * @param {object} request - The request the events belong to
+ * @param {object} user - req.user
+ * @returns {Array}
+ */
+export const redactRequestEvents = (events, request, user) => {
+  const fullView = canViewFullRequest(request, user);
+
+  return events.map(event => {
+    const data = typeof event.toObject === 'function' ? event.toObject() : { ...event };
+    if (fullView) return data;
+
+    const { details, ...summary } = data;
+    summary.changes = (data.changes || []).filter(change => SUMMARY_FIELDS.includes(change.field));
+    return summary;
+  });
+};
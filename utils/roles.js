@@ -0,0 +1,49 @@
+import { USER_ROLES } from '../models/User.js';
+
+/**
+ * Check a list of roles a user should hold
+ * @param {Array} roles
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateRoleList = (roles) => {
+  if (!Array.isArray(roles) || roles.length === 0) {
+    return 'At least one role is required';
+  }
+
+  const invalidRoles = roles.filter(role => !USER_ROLES.includes(role));
+  if (invalidRoles.length > 0) {
+    return `Invalid roles: ${invalidRoles.join(', ')}`;
+  }
+
+  if (new Set(roles).size !== roles.length) {
+    return 'Roles must not contain duplicates';
+  }
+
+  if (roles.includes('admin') && roles.length > 1) {
+    return 'The admin role cannot be combined with other roles';
+  }
+
+  return null;
+};
+
+/**
+ * Check that the fields each role depends on are present
+ * @param {Array} roles
+ * @param {object} fields - {bloodGroup, hospitalId, ngoId}
+ * @returns {string|null} Error message, or null if all are present
+ */
+export const getMissingRoleField = (roles, { bloodGroup, hospitalId, ngoId }) => {
+  if ((roles.includes('donor') || roles.includes('requester')) && !bloodGroup) {
+    return 'Blood group is required for donors and requesters';
+  }
+
+  if (roles.includes('doctor') && !hospitalId) {
+    return 'Hospital ID is required for doctors';
+  }
+
+  if (roles.includes('ngo') && !ngoId) {
+    return 'NGO ID is required for NGO accounts';
+  }
+
+  return null;
+};
@@ -0,0 +1,44 @@
+// Minimal in-process scheduler for recurring background jobs
+const jobs = new Map(); // name -> { timer, running }
+
+/**
+ * Run a task at a fixed interval. A run is skipped if the previous one
+ * is still in progress, and errors are logged rather than thrown.
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Interval between runs in milliseconds
+ * @param {Function} task - Async function to run
+ */
+export const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job '${name}' is already scheduled`);
+  }
+
+  const job = { timer: null, running: false };
+
+  const run = async () => {
+    if (job.running) return;
+    job.running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Job '${name}' failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(run, intervalMs);
+  // Background jobs should never keep the process alive on their own
+  job.timer.unref();
+  jobs.set(name, job);
+
+  console.log(`⏱️  Scheduled job '${name}' every ${Math.round(intervalMs / 1000)}s`);
+};
+
+/**
+ * Stop every scheduled job
+ */
+export const stopAllJobs = () => {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.clear();
+};
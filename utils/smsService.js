@@ -0,0 +1,60 @@
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * SMS providers. Each provider exposes send(to, message).
+ * Real gateways are added with registerSmsProvider and selected with SMS_PROVIDER.
+ */
+const providers = new Map();
+
+// Development provider - prints messages to the server log
+providers.set('console', {
+  send: async (to, message) => {
+    console.log(`📱 SMS to ${to}: ${message}`);
+  }
+});
+
+// Development provider - appends messages to a local file
+providers.set('file', {
+  send: async (to, message) => {
+    const file = process.env.SMS_LOG_FILE || path.join('logs', 'sms.log');
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.appendFile(file, `${new Date().toISOString()}\t${to}\t${message}\n`);
+  }
+});
+
+/**
+ * Register an SMS provider
+ * @param {string} name - Value of SMS_PROVIDER that selects it
+ * @param {object} provider - Object with an async send(to, message) method
+ */
+export const registerSmsProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== 'function') {
+    throw new Error(`SMS provider '${name}' must implement send(to, message)`);
+  }
+  providers.set(name, provider);
+};
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} to - Phone number
+ * @param {string} message
+ */
+export const sendSms = async (to, message) => {
+  const name = process.env.SMS_PROVIDER || 'console';
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new Error(`Unknown SMS provider '${name}'`);
+  }
+
+  try {
+    return await provider.send(to, message);
+  } catch (error) {
+    console.error('SMS sending error:', error);
+    throw error;
+  }
+};
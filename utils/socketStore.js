@@ -3,6 +3,15 @@ class SocketStore {
   constructor() {
     this.userSockets = new Map(); // userId -> socketId
     this.socketUsers = new Map(); // socketId -> userId
+    this.io = null; // socket.io server, for code that runs outside a request
+  }
+
+  setServer(io) {
+    this.io = io;
+  }
+
+  getServer() {
+    return this.io;
   }
 
   addUserSocket(userId, socketId) {
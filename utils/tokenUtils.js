@@ -1,22 +1,24 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'bloodlink-secret-key';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
  * Generate JWT token
  * @param {string} id - User ID
- * @param {string} role - User role
+ * @param {string} role - Active user role
  * @param {string} expiresIn - Token expiration (optional)
  * @param {string} type - Token type (auth/reset) (optional)
+ * @param {object} claims - Extra payload claims, e.g. jti, tv or roles (optional)
  * @returns {string}
  */
-export const generateToken = (id, role, expiresIn = JWT_EXPIRES_IN, type = 'auth') => {
+export const generateToken = (id, role, expiresIn = JWT_EXPIRES_IN, type = 'auth', claims = {}) => {
   return jwt.sign(
-    { id, role, type, iat: Math.floor(Date.now() / 1000) },
+    { ...claims, id, role, type, iat: Math.floor(Date.now() / 1000) },
     JWT_SECRET,
     { expiresIn }
   );
@@ -35,6 +37,24 @@ export const verifyToken = (token) => {
   }
 };
 
+/**
+ * Generate an opaque random token (refresh tokens, one-time codes)
+ * @param {number} bytes - Number of random bytes (optional)
+ * @returns {string}
+ */
+export const generateRandomToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('hex');
+};
+
+/**
+ * Hash a token for storage so a database leak does not expose usable tokens
+ * @param {string} token
+ * @returns {string}
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
 /**
  * Extract token from request
  * @param {object} req - Express request
@@ -0,0 +1,133 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 encoded secret
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter
+ * @returns {string}
+ */
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+  return code.toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Get the current TOTP time step
+ * @param {number} time - Unix time in ms (optional)
+ * @returns {number}
+ */
+export const getTotpStep = (time = Date.now()) => {
+  return Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+};
+
+/**
+ * Generate the TOTP code for a time step (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (optional)
+ * @returns {string}
+ */
+export const generateTotp = (secret, step = getTotpStep()) => {
+  return generateHotp(secret, step);
+};
+
+/**
+ * Verify a TOTP code, allowing for small clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} window - Steps to accept either side of now (optional)
+ * @returns {number|null} Matching time step, or null if invalid
+ */
+export const verifyTotp = (secret, code, window = 1) => {
+  if (!secret || !code || !/^\d{6}$/.test(String(code))) return null;
+  const currentStep = getTotpStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = generateTotp(secret, currentStep + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(String(code)))) {
+      return currentStep + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build an otpauth:// provisioning URI for authenticator apps (QR code payload)
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @param {string} issuer - Issuer shown in the app (optional)
+ * @returns {string}
+ */
+export const buildOtpAuthUri = (secret, accountName, issuer = 'BloodLink') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
@@ -0,0 +1,52 @@
+import Setting from '../models/Setting.js';
+import { generateRandomToken, hashToken } from './tokenUtils.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Check whether an admin has made two-factor authentication mandatory
+ * for any of the roles a user holds
+ * @param {object} user - User document
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorEnforcedForUser = async (user) => {
+  const requiredRoles = await Setting.getValue('auth.twoFactorRequiredRoles');
+  return Array.isArray(requiredRoles) && user.getRoles().some(role => requiredRoles.includes(role));
+};
+
+/**
+ * Check whether a user must pass two-factor authentication to log in
+ * @param {object} user - User document
+ * @returns {Promise<boolean>}
+ */
+export const isTwoFactorRequired = async (user) => {
+  if (user.twoFactor?.enabled) return true;
+  return isTwoFactorEnforcedForUser(user);
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {object} {codes, hashes} - plain codes for the user, hashes for storage
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(code)) };
+};
+
+/**
+ * Consume a recovery code if it matches one of the stored hashes
+ * @param {object} user - User document with twoFactor.recoveryCodes selected
+ * @param {string} code
+ * @returns {boolean}
+ */
+export const consumeRecoveryCode = (user, code) => {
+  if (!code || !user.twoFactor?.recoveryCodes?.length) return false;
+  const hash = hashToken(String(code).trim().toLowerCase());
+  const index = user.twoFactor.recoveryCodes.indexOf(hash);
+  if (index === -1) return false;
+  user.twoFactor.recoveryCodes.splice(index, 1);
+  return true;
+};
@@ -5,8 +5,10 @@
  * @returns {boolean}
  */
 export const canDoctorVerifyDonation = (donation, doctor) => {
-  // Doctor must exist and have role 'doctor'
-  if (!doctor || doctor.role !== 'doctor') return false;
+  // Doctor must exist and hold the 'doctor' role
+  if (!doctor || !doctor.hasRole('doctor')) return false;
+  // Doctor credentials must have been approved by an admin
+  if (doctor.getCredentialStatus('doctor') !== 'approved') return false;
   // Donation must be in a state to verify
   if (!donation || donation.status !== 'matched') return false;
   // The doctor should not be the donor or requester